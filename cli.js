@@ -5,14 +5,321 @@ const fs = require("fs");
 const path = require("path");
 const { Command } = require("commander");
 
-const { loadAndParseSpec, extractOperationsFromSpec } = require("./lib/swagger");
-const { loadPostmanCollection, extractRequestsFromPostman } = require("./lib/postman");
-const { loadNewmanReport, extractRequestsFromNewman } = require("./lib/newman");
-const { matchOperationsDetailed } = require("./lib/match");
-const { generateHtmlReport } = require("./lib/report");
-const { loadExcelSpec } = require("./lib/excel");
-const { loadAndParseProto, extractOperationsFromProto, isProtoFile } = require("./lib/grpc");
-const { loadAndParseGraphQL, extractOperationsFromGraphQL, isGraphQLFile } = require("./lib/graphql");
+const { analyzeCoverage, writeReports } = require("./lib/analyze");
+const {
+  THRESHOLD_EXIT_CODE,
+  parsePercentage,
+  parseThresholdPair,
+  evaluateThresholds,
+  formatThresholdFailure
+} = require("./lib/thresholds");
+const { findConfigFile, loadConfigFile, resolveConfig, mergeThresholdLists } = require("./lib/config");
+const { normalizeFilters } = require("./lib/filters");
+const { summarizeParameterCoverage } = require("./lib/parameters");
+const { summarizeBodyCoverage } = require("./lib/body-coverage");
+const { summarizeResponseValidation } = require("./lib/response-validation");
+const { summarizeResponseCoverage } = require("./lib/response-coverage");
+const { createRecordingProxy } = require("./lib/proxy");
+const { loadRecords, recordsToRequests } = require("./lib/recorder");
+
+// Options that can be set both on the command line and in a config file
+const CONFIGURABLE_OPTIONS = [
+  "verbose",
+  "strictQuery",
+  "strictBody",
+  "explain",
+  "validateResponses",
+  "output",
+  "newman",
+  "json",
+  "junit",
+  "baseline",
+  "failOnRegression",
+  "history",
+  "gitCommit",
+  "basePath",
+  "environment",
+  "brunoEnv",
+  "harHost",
+  "logPattern",
+  "coverageType",
+  "mappings"
+];
+
+// Repeatable include/exclude filter flags (see lib/filters.js): filter key -> option name
+const FILTER_LIST_OPTIONS = {
+  includeTags: "includeTag",
+  excludeTags: "excludeTag",
+  includePaths: "includePath",
+  excludePaths: "excludePath",
+  includeOperations: "includeOperation",
+  excludeOperations: "excludeOperation",
+  excludeExtensions: "excludeExtension"
+};
+
+/**
+ * Load the config file (explicit --config or auto-discovered in the working
+ * directory) and merge it with command line options. Flags given on the
+ * command line always win over the config file and the selected profile.
+ */
+function resolveOptions(cliOptions, command) {
+  const configPath = cliOptions.config || findConfigFile();
+  let config = { ignore: [], filters: {}, thresholds: { apis: [], tags: [] } };
+  if (configPath) {
+    config = resolveConfig(loadConfigFile(configPath), {
+      profile: cliOptions.profile,
+      baseDir: path.dirname(path.resolve(configPath))
+    });
+  } else if (cliOptions.profile) {
+    throw new Error(`Profile "${cliOptions.profile}" requested but no config file was found.`);
+  }
+
+  const options = { configPath };
+  CONFIGURABLE_OPTIONS.forEach(key => {
+    const fromCli = command.getOptionValueSource(key) === "cli";
+    options[key] = !fromCli && config[key] !== undefined ? config[key] : cliOptions[key];
+  });
+
+  // --base-path and --har-host accept a comma-separated list, the config file a string or an array
+  ["basePath", "harHost"].forEach(key => {
+    if (typeof options[key] === "string") {
+      options[key] = splitList(options[key]);
+    }
+  });
+  options.specs = config.specs || [];
+  options.inputs = config.inputs || [];
+  options.ignore = config.ignore;
+  // Filter lists from the config file and the command line are combined
+  options.filters = {
+    ...config.filters,
+    excludeDeprecated: Boolean(cliOptions.excludeDeprecated || config.filters.excludeDeprecated)
+  };
+  Object.entries(FILTER_LIST_OPTIONS).forEach(([key, optionName]) => {
+    options.filters[key] = (config.filters[key] || []).concat(cliOptions[optionName]);
+  });
+  normalizeFilters(options.filters, options.ignore);
+  options.thresholds = {
+    overall: cliOptions.minCoverage !== undefined ?
+      parsePercentage(cliOptions.minCoverage) :
+      (config.thresholds.overall !== undefined ? parsePercentage(config.thresholds.overall) : undefined),
+    apis: mergeThresholdLists(
+      config.thresholds.apis.map(t => ({ name: t.name, min: parsePercentage(t.min, `threshold for "${t.name}"`) })),
+      cliOptions.minCoverageApi.map(parseThresholdPair)
+    ),
+    tags: mergeThresholdLists(
+      config.thresholds.tags.map(t => ({ name: t.name, min: parsePercentage(t.min, `threshold for "${t.name}"`) })),
+      cliOptions.minCoverageTag.map(parseThresholdPair)
+    )
+  };
+  return options;
+}
+
+// Split a comma-separated command line argument into trimmed values
+function splitList(value) {
+  return value.split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// Collect repeatable option values into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Report, threshold, filter and config options shared by the default command and `record`.
+ */
+function addCoverageOptions(command) {
+  return command
+    .option("-v, --verbose", "Show verbose debug info")
+    .option("--strict-query", "Enable strict validation of query parameters")
+    .option("--strict-body", "Enable strict validation of requestBody (JSON)")
+    .option("--explain", "For uncovered operations, show the closest requests and which check rejected each one")
+    .option("--output <file>", "HTML report output file", "coverage-report.html")
+    .option("--coverage-type <type>", "Label the run as \"test\" or \"traffic\" coverage (default: traffic when all inputs are access logs)")
+    .option("--mappings <file>", "Mapping file (JSON/YAML) that pins requests to spec operations or excludes them from matching")
+    .option("--base-path <paths>", "Base path(s) in front of spec paths, e.g. /api/v1 (comma-separated); overrides servers/basePath from the spec, \"/\" disables it")
+    .option("--json <file>", "Also write a machine-readable JSON report to the given file")
+    .option("--junit <file>", "Also write a JUnit XML report (one test case per spec operation) to the given file")
+    .option("--min-coverage <pct>", "Fail with exit code 2 if overall coverage is below the given percentage")
+    .option("--min-coverage-api <name=pct>", "Minimum coverage for a single API (repeatable)", collect, [])
+    .option("--min-coverage-tag <name=pct>", "Minimum coverage for a single tag (repeatable)", collect, [])
+    .option("--baseline <file>", "Compare against a JSON report from a previous run (see --json)")
+    .option("--fail-on-regression", "Fail with exit code 2 if an operation covered in the baseline is no longer covered")
+    .option("--history <file>", "Append this run's totals to a JSON history file and show it in the trend chart")
+    .option("--git-commit <sha>", "Git commit to record with the run in the history file")
+    .option("--include-tag <tag>", "Only count operations with this tag (repeatable)", collect, [])
+    .option("--exclude-tag <tag>", "Exclude operations with this tag (repeatable)", collect, [])
+    .option("--include-path <glob>", "Only count operations whose path matches, e.g. \"/users/**\" or \"GET /users/*\" (repeatable)", collect, [])
+    .option("--exclude-path <glob>", "Exclude operations whose path matches (repeatable)", collect, [])
+    .option("--include-operation <operationId>", "Only count operations with this operationId; * is a wildcard (repeatable)", collect, [])
+    .option("--exclude-operation <operationId>", "Exclude operations with this operationId; * is a wildcard (repeatable)", collect, [])
+    .option("--exclude-deprecated", "Exclude deprecated operations")
+    .option("--exclude-extension <name>", "Exclude operations with this vendor extension set, e.g. x-internal (repeatable; x-coverage-ignore is always honoured)", collect, [])
+    .option("-c, --config <file>", "Path to a config file (default: .swaggercoveragerc[.json|.yaml|.yml] or swagger-coverage.config.js in the working directory)")
+    .option("--profile <name>", "Named profile from the config file to apply (e.g. smoke, full)");
+}
+
+/**
+ * Print the console summary, write the reports and exit with THRESHOLD_EXIT_CODE
+ * when a coverage threshold or the regression check fails.
+ */
+function reportCoverage(result, options, multipleApis) {
+  const { verbose, output, json, junit, thresholds } = options;
+  const { coverage, coverageItems, baselineComparison } = result;
+
+  result.mappingWarnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+  // Print console summary
+  const totalSpecOps = coverageItems.length;
+  const matchedCount = result.summary.covered;
+  const traffic = result.meta.coverageType === "traffic";
+  console.log(traffic ? "=== Traffic Coverage Report ===" : "=== Swagger Coverage Report ===");
+  if (multipleApis) {
+    console.log(`APIs analyzed: ${result.meta.apiNames.join(', ')}`);
+  }
+  console.log(`Total operations in spec(s): ${totalSpecOps}`);
+  console.log(`Matched operations in ${traffic ? "traffic" : "Postman/Newman"}: ${matchedCount}`);
+  console.log(`Coverage: ${coverage.toFixed(2)}%`);
+  const parameters = summarizeParameterCoverage(coverageItems);
+  if (parameters.total > 0) {
+    const enumValues = parameters.enumValues.total > 0 ?
+      `, ${parameters.enumValues.covered}/${parameters.enumValues.total} enum values` : "";
+    console.log(`Parameter coverage: ${parameters.coverage.toFixed(2)}% (${parameters.covered}/${parameters.total} parameters${enumValues})`);
+  }
+  const requestBodies = summarizeBodyCoverage(coverageItems);
+  if (requestBodies.total > 0) {
+    const enumValues = requestBodies.enumValues.total > 0 ?
+      `, ${requestBodies.enumValues.covered}/${requestBodies.enumValues.total} enum values` : "";
+    console.log(`Request body coverage: ${requestBodies.coverage.toFixed(2)}% (${requestBodies.covered}/${requestBodies.total} properties and branches${enumValues})`);
+  }
+  const { headers, contentTypes } = summarizeResponseCoverage(coverageItems);
+  if (headers.total > 0) {
+    console.log(`Response header coverage: ${headers.coverage.toFixed(2)}% (${headers.covered}/${headers.total} headers)`);
+  }
+  if (contentTypes.total > 0) {
+    console.log(`Response media type coverage: ${contentTypes.coverage.toFixed(2)}% (${contentTypes.covered}/${contentTypes.total} media types)`);
+  }
+  if (options.validateResponses) {
+    const responses = summarizeResponseValidation(coverageItems);
+    console.log(`Response validation: ${responses.validated} response(s) validated, ${responses.failed} contract violation(s) in ${responses.operations} operation(s)`);
+  }
+
+  if (result.excludedOperations.length > 0) {
+    console.log(`Excluded operations (not counted): ${result.excludedOperations.length}`);
+  }
+
+  // Also show which items are truly unmatched
+  const unmatchedItems = coverageItems.filter(item => item.unmatched);
+  if (unmatchedItems.length > 0) {
+    console.log("\nUnmatched Spec operations:");
+    unmatchedItems.forEach(item => {
+      const prefix = multipleApis ? `[${item.apiName}] ` : '';
+      console.log(` - ${prefix}[${item.method}] ${item.path} (statusCode=${item.statusCode || ""})`);
+      if (options.explain) {
+        if (!item.nearMisses || item.nearMisses.length === 0) {
+          console.log("     no similar requests found");
+        }
+        (item.nearMisses || []).forEach(miss => {
+          console.log(`     near miss: "${miss.name}" ${miss.method} ${miss.rawUrl} (similarity ${Math.round(miss.similarity * 100)}%) - ${miss.failedCheck}: ${miss.reason}`);
+        });
+      }
+    });
+  }
+
+  const incompleteResponses = coverageItems.filter(item => item.responseCoverage && (
+    item.responseCoverage.headers.some(header => !header.seen) ||
+    item.responseCoverage.contentTypes.some(type => !type.seen)
+  ));
+  if (incompleteResponses.length > 0) {
+    console.log("\nMissing response headers / untested media types:");
+    incompleteResponses.forEach(item => {
+      const prefix = multipleApis ? `[${item.apiName}] ` : '';
+      const missingHeaders = item.responseCoverage.headers.filter(header => !header.seen).map(header => header.name);
+      const untestedTypes = item.responseCoverage.contentTypes.filter(type => !type.seen).map(type => type.type);
+      const details = [
+        missingHeaders.length > 0 ? `missing headers: ${missingHeaders.join(", ")}` : "",
+        untestedTypes.length > 0 ? `untested media types: ${untestedTypes.join(", ")}` : ""
+      ].filter(Boolean).join("; ");
+      console.log(` - ${prefix}[${item.method}] ${item.path} (statusCode=${item.statusCode}) - ${details}`);
+    });
+  }
+
+  const violatingItems = coverageItems.filter(item => item.responseValidation && item.responseValidation.failed > 0);
+  if (violatingItems.length > 0) {
+    console.log("\nContract violations (response schema):");
+    violatingItems.forEach(item => {
+      const prefix = multipleApis ? `[${item.apiName}] ` : '';
+      console.log(` - ${prefix}[${item.method}] ${item.path} (statusCode=${item.statusCode})`);
+      item.responseValidation.violations.forEach(violation => {
+        console.log(`     "${violation.request}": ${violation.errors.join("; ")}`);
+      });
+    });
+  }
+
+  if (result.excludedOperations.length > 0) {
+    console.log("\nExcluded Spec operations:");
+    result.excludedOperations.forEach(op => {
+      const prefix = multipleApis ? `[${op.apiName}] ` : '';
+      console.log(` - ${prefix}[${(op.method || "").toUpperCase()}] ${op.path} (statusCode=${op.statusCode || ""}) - ${op.excludeReason}`);
+    });
+  }
+
+  // Changes compared to the baseline run, if given
+  if (baselineComparison) {
+    const formatChange = entry => {
+      const prefix = multipleApis ? `[${entry.apiName}] ` : '';
+      return ` - ${prefix}[${entry.method}] ${entry.path} (statusCode=${entry.statusCode})`;
+    };
+
+    console.log(`\n=== Changes since baseline (${options.baseline}) ===`);
+    if (typeof baselineComparison.previousCoverage === "number") {
+      const delta = coverage - baselineComparison.previousCoverage;
+      console.log(`Coverage: ${baselineComparison.previousCoverage.toFixed(2)}% -> ${coverage.toFixed(2)}% (${delta >= 0 ? "+" : ""}${delta.toFixed(2)})`);
+    }
+    [
+      ["Newly uncovered", baselineComparison.newlyUncovered],
+      ["Newly covered", baselineComparison.newlyCovered],
+      ["Added to spec", baselineComparison.added],
+      ["Removed from spec", baselineComparison.removed]
+    ].forEach(([title, entries]) => {
+      console.log(`${title}: ${entries.length}`);
+      entries.forEach(entry => console.log(formatChange(entry)));
+    });
+  }
+
+  // Write HTML (always) plus optional JSON/JUnit reports and history
+  writeReports(result, {
+    html: output,
+    json,
+    junit,
+    history: options.history,
+    gitCommit: options.gitCommit
+  });
+  if (verbose && options.history) {
+    console.log(`Coverage history updated: ${options.history}`);
+  }
+  console.log(`\nHTML report saved to: ${output}`);
+  if (json) {
+    console.log(`JSON report saved to: ${json}`);
+  }
+  if (junit) {
+    console.log(`JUnit report saved to: ${junit}`);
+  }
+
+  // Coverage thresholds
+  const thresholdFailures = evaluateThresholds(result.summary, thresholds);
+  if (thresholdFailures.length > 0) {
+    console.error("\nCoverage thresholds not met:");
+    thresholdFailures.forEach(failure => {
+      console.error(` - ${formatThresholdFailure(failure)}`);
+    });
+    process.exit(THRESHOLD_EXIT_CODE);
+  }
+
+  if (options.failOnRegression && baselineComparison && baselineComparison.hasRegressions) {
+    console.error(`\nCoverage regression: ${baselineComparison.newlyUncovered.length} operation(s) covered in the baseline are no longer covered.`);
+    process.exit(THRESHOLD_EXIT_CODE);
+  }
+}
 
 const program = new Command();
 
@@ -22,201 +329,100 @@ program
     "CLI tool for comparing API specifications (OpenAPI/Swagger, gRPC Protocol Buffers, GraphQL) with Postman collections or Newman run reports, producing an enhanced HTML report"
   )
   .version("7.0.0")
-  .argument("<apiFiles>", "Path(s) to API specification file(s): OpenAPI/Swagger (JSON/YAML), gRPC (.proto), GraphQL (.graphql/.gql), or CSV. Use comma-separated values for multiple files.")
-  .argument("<postmanCollectionOrNewmanReport>", "Path to the Postman collection (JSON) or Newman run report (JSON).")
-  .option("-v, --verbose", "Show verbose debug info")
-  .option("--strict-query", "Enable strict validation of query parameters")
-  .option("--strict-body", "Enable strict validation of requestBody (JSON)")
-  .option("--output <file>", "HTML report output file", "coverage-report.html")
+  .argument("[apiFiles]", "Path(s) to API specification file(s): OpenAPI/Swagger (JSON/YAML), gRPC (.proto), GraphQL (.graphql/.gql), or CSV. Use comma-separated values for multiple files. Optional when set in a config file.")
+  .argument("[postmanCollectionOrNewmanReport]", "Path(s) to the Postman collection (JSON), Newman run report (JSON), Insomnia v4 export (JSON), HAR file, OTLP JSON traces, recorded requests (JSON lines), server access log or Bruno collection directory. Use comma-separated values for multiple files. Optional when set in a config file.");
+
+// Root options are only parsed before a subcommand, so `record` can reuse the same flags
+program.enablePositionalOptions();
+
+addCoverageOptions(program)
   .option("--newman", "Treat input file as Newman run report instead of Postman collection")
-  .action(async (apiFiles, postmanFile, options) => {
+  .option("--validate-responses", "Validate the response bodies of Newman reports against the spec's response schemas and report contract violations")
+  .option("-e, --environment <file>", "Postman environment file whose variables are substituted into collection requests")
+  .option("--bruno-env <name>", "Bruno environment (environments/<name>.bru) used for Bruno collection inputs")
+  .option("--har-host <hosts>", "Only count HAR entries for these hosts (comma-separated; * is a wildcard, e.g. \"api.example.com,*.internal:8080\")")
+  .option("--log-pattern <regex>", "Regular expression for access log lines with named groups method, url (or path) and status (default: common/combined log format)")
+  .action(async (apiFilesArg, inputFilesArg, cliOptions, command) => {
     try {
-      const { verbose, strictQuery, strictBody, output, newman } = options;
-
-      // Parse comma-separated API files
-      const files = apiFiles.includes(',') ? 
-        apiFiles.split(',').map(f => f.trim()) : 
-        [apiFiles];
-      
-      let allSpecOperations = [];
-      let allSpecNames = [];
-      const excelExtensions = [".xlsx", ".xls", ".csv"];
-
-      // Process each API specification file
-      for (const apiFile of files) {
-        const ext = path.extname(apiFile).toLowerCase();
-        let specOperations;
-        let specName;
-        let protocol;
-
-        if (excelExtensions.includes(ext)) {
-          // Parse Excel/CSV
-          specOperations = loadExcelSpec(apiFile);
-          specName = path.basename(apiFile);
-          protocol = 'rest';
-        } else if (isProtoFile(apiFile)) {
-          // Parse gRPC Protocol Buffer
-          const protoRoot = await loadAndParseProto(apiFile);
-          specName = path.basename(apiFile, '.proto');
-          specOperations = extractOperationsFromProto(protoRoot, verbose);
-          protocol = 'grpc';
-          if (verbose) {
-            console.log(
-              "gRPC specification loaded successfully:",
-              specName
-            );
-          }
-        } else if (isGraphQLFile(apiFile)) {
-          // Parse GraphQL schema
-          const graphqlData = loadAndParseGraphQL(apiFile);
-          specName = path.basename(apiFile);
-          specOperations = extractOperationsFromGraphQL(graphqlData, verbose);
-          protocol = 'graphql';
-          if (verbose) {
-            console.log(
-              "GraphQL specification loaded successfully:",
-              specName
-            );
-          }
-        } else {
-          // Original OpenAPI/Swagger flow
-          const spec = await loadAndParseSpec(apiFile);
-          specName = spec.info.title;
-          protocol = 'rest';
-          if (verbose) {
-            console.log(
-              "OpenAPI specification loaded successfully:",
-              specName,
-              spec.info.version
-            );
-          }
-          specOperations = extractOperationsFromSpec(spec, verbose);
-        }
-
-        // Add API name and protocol to each operation for identification
-        const operationsWithSource = specOperations.map(op => ({
-          ...op,
-          apiName: specName,
-          sourceFile: path.basename(apiFile),
-          protocol: protocol
-        }));
+      // Validate options and thresholds up front so a typo doesn't surface only after a long run
+      const options = resolveOptions(cliOptions, command);
 
-        allSpecOperations = allSpecOperations.concat(operationsWithSource);
-        allSpecNames.push(specName);
+      if (options.verbose && options.configPath) {
+        console.log(`Using config file: ${options.configPath}${cliOptions.profile ? ` (profile: ${cliOptions.profile})` : ""}`);
       }
 
-      // Ensure Postman/Newman file exists
-      if (!fs.existsSync(postmanFile)) {
-        throw new Error(`Input file not found: ${postmanFile}`);
+      // Spec files: command line argument (comma-separated) or config "specs"
+      const specs = apiFilesArg ? splitList(apiFilesArg).map(file => ({ file })) : options.specs;
+      if (specs.length === 0) {
+        throw new Error("No API specification files given. Pass them as the first argument or set \"specs\" in a config file.");
       }
 
-      // Safely parse input JSON (Postman collection or Newman report)
-      let inputData;
-      let collectionName;
-      try {
-        const rawInput = fs.readFileSync(postmanFile, "utf8");
-        if (!rawInput.trim()) {
-          throw new Error("Input file is empty.");
-        }
-        inputData = JSON.parse(rawInput);
-      } catch (err) {
-        throw new Error(`Unable to parse input JSON: ${err.message}`);
+      // Input files: command line argument (comma-separated) or config "inputs"
+      const inputs = inputFilesArg ? splitList(inputFilesArg) : options.inputs;
+      if (inputs.length === 0) {
+        throw new Error("No Postman collection or Newman report given. Pass it as the second argument or set \"inputs\" in a config file.");
       }
 
-      let postmanRequests;
-      
-      if (newman) {
-        // Handle Newman report
-        if (!inputData.run || !inputData.run.executions) {
-          throw new Error('Invalid Newman report format: missing run or executions fields.');
-        }
-        collectionName = inputData.collection?.info?.name || 'Newman Report';
-        if (verbose) {
-          console.log(`Newman report loaded successfully: "${collectionName}"`);
-        }
-        postmanRequests = extractRequestsFromNewman(inputData, verbose);
-      } else {
-        // Auto-detect format or handle as Postman collection
-        if (inputData.run && inputData.run.executions) {
-          // This looks like a Newman report but --newman flag wasn't used
-          console.log("Detected Newman report format. Consider using --newman flag for explicit handling.");
-          collectionName = inputData.collection?.info?.name || 'Auto-detected Newman Report';
-          postmanRequests = extractRequestsFromNewman(inputData, verbose);
-        } else {
-          // Handle as Postman collection
-          if (!inputData.info || !inputData.item) {
-            throw new Error('Invalid Postman collection format: missing info or item fields.');
-          }
-          collectionName = inputData.info.name;
-          if (verbose) {
-            console.log(`Postman collection loaded successfully: "${collectionName}"`);
-          }
-          postmanRequests = extractRequestsFromPostman(inputData, verbose);
-        }
-      }
+      const result = await analyzeCoverage({ specs, inputs, options });
+      reportCoverage(result, options, specs.length > 1);
+    } catch (err) {
+      console.error("Error:", err.message);
+      process.exit(1);
+    }
+  });
 
-      // 5. Match operations in a "detailed" way that returns coverageItems
-      const coverageItems = matchOperationsDetailed(allSpecOperations, postmanRequests, {
-        verbose,
-        strictQuery,
-        strictBody,
-      });
+const recordCommand = program
+  .command("record")
+  .description("Start a recording HTTP proxy; when stopped (Ctrl+C), report the coverage of the requests that went through it")
+  .argument("[apiFiles]", "Path(s) to API specification file(s), comma-separated. Optional when set in a config file.")
+  .option("-p, --port <port>", "Port the proxy listens on", "8080")
+  .option("--host <host>", "Interface the proxy listens on", "127.0.0.1")
+  .option("--target <url>", "Reverse-proxy mode: forward requests to this base URL (e.g. http://localhost:3000) instead of acting as an HTTP_PROXY")
+  .option("--records <file>", "File the recorded requests are written to (default: .swagger-coverage/records.jsonl)");
 
-      // Collect matched request names
-      const matchedReqNames = new Set();
-      coverageItems.forEach(ci => {
-        ci.matchedRequests.forEach(mr => matchedReqNames.add(mr.name));
-      });
+addCoverageOptions(recordCommand)
+  .action(async (apiFilesArg, cliOptions, command) => {
+    try {
+      const options = resolveOptions(cliOptions, command);
+      const specs = apiFilesArg ? splitList(apiFilesArg).map(file => ({ file })) : options.specs;
+      if (specs.length === 0) {
+        throw new Error("No API specification files given. Pass them as the first argument or set \"specs\" in a config file.");
+      }
+      const port = Number(cliOptions.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port "${cliOptions.port}".`);
+      }
 
-      // Identify any Postman requests that weren't matched
-      const undocumentedRequests = postmanRequests.filter(
-        r => !matchedReqNames.has(r.name)
-      );
+      const proxy = createRecordingProxy({ target: cliOptions.target, records: cliOptions.records, verbose: options.verbose });
+      // Each recording session starts from an empty records file
+      fs.rmSync(proxy.recordsFile, { force: true });
+      const address = await proxy.listen(port, cliOptions.host);
+      const proxyUrl = `http://${cliOptions.host}:${address.port}`;
 
-      // Calculate coverage: # of spec items that are NOT unmatched
-      const totalSpecOps = coverageItems.length;
-      const matchedCount = coverageItems.filter(item => !item.unmatched).length;
-      const coverage = totalSpecOps ? (matchedCount / totalSpecOps) * 100 : 0;
+      console.log(`Recording proxy listening on ${proxyUrl}`);
+      console.log(cliOptions.target ?
+        `Forwarding requests to ${cliOptions.target}; point your API clients at ${proxyUrl}` :
+        `Set HTTP_PROXY=${proxyUrl} for your API clients`);
+      console.log("Press Ctrl+C to stop recording and write the coverage report.");
 
-      // 6. Print console summary
-      console.log("=== Swagger Coverage Report ===");
-      if (files.length > 1) {
-        console.log(`APIs analyzed: ${allSpecNames.join(', ')}`);
-      }
-      console.log(`Total operations in spec(s): ${totalSpecOps}`);
-      console.log(`Matched operations in Postman/Newman: ${matchedCount}`);
-      console.log(`Coverage: ${coverage.toFixed(2)}%`);
-
-      // Also show which items are truly unmatched
-      const unmatchedItems = coverageItems.filter(item => item.unmatched);
-      if (unmatchedItems.length > 0) {
-        console.log("\nUnmatched Spec operations:");
-        unmatchedItems.forEach(item => {
-          const prefix = files.length > 1 ? `[${item.apiName}] ` : '';
-          console.log(` - ${prefix}[${item.method}] ${item.path} (statusCode=${item.statusCode || ""})`);
-        });
+      await new Promise(resolve => {
+        process.once("SIGINT", resolve);
+        process.once("SIGTERM", resolve);
+      });
+      await proxy.close();
+
+      const requests = recordsToRequests(loadRecords(proxy.recordsFile));
+      console.log(`\nRecorded ${requests.length} request(s) in ${proxy.recordsFile}`);
+      if (proxy.stats.tunnels > 0) {
+        console.warn(`Warning: ${proxy.stats.tunnels} HTTPS connection(s) were tunnelled without recording; use --target for HTTPS APIs.`);
       }
 
-      // 7. Generate HTML report with combined spec name
-      const combinedSpecName = files.length > 1 ? 
-        `Multiple APIs (${allSpecNames.join(', ')})` : 
-        allSpecNames[0];
-        
-      const html = generateHtmlReport({
-        coverage,
-        coverageItems,
-        meta: {
-          timestamp: new Date().toLocaleString(),
-          specName: combinedSpecName,
-          postmanCollectionName: collectionName,
-          undocumentedRequests,
-          apiCount: files.length,
-          apiNames: allSpecNames
-        },
+      const result = await analyzeCoverage({
+        specs,
+        inputs: [{ name: "Recorded proxy traffic", type: "recorder", requests }],
+        options
       });
-
-      fs.writeFileSync(path.resolve(output), html, "utf8");
-      console.log(`\nHTML report saved to: ${output}`);
+      reportCoverage(result, options, specs.length > 1);
     } catch (err) {
       console.error("Error:", err.message);
       process.exit(1);
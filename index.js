@@ -0,0 +1,113 @@
+// index.js
+
+"use strict";
+
+/**
+ * Programmatic entry point of swagger-coverage-cli.
+ *
+ *   const { analyzeCoverage, writeReports } = require("swagger-coverage-cli");
+ *
+ *   const result = await analyzeCoverage({
+ *     specs: ["openapi.yaml"],
+ *     inputs: ["newman-report.json"],
+ *     options: { newman: true, strictQuery: true }
+ *   });
+ *   console.log(result.summary.coverage);
+ *   writeReports(result, { html: "coverage.html", json: "coverage.json" });
+ *
+ * The building blocks used by the CLI are exported as well, so callers can
+ * assemble their own pipeline.
+ */
+
+const { analyzeCoverage, writeReports } = require("./lib/analyze");
+const { loadSpecOperations } = require("./lib/specs");
+const { loadRequestsFromInput } = require("./lib/inputs");
+const { loadAndParseSpec, extractOperationsFromSpec } = require("./lib/swagger");
+const { loadPostmanCollection, loadPostmanEnvironment, extractRequestsFromPostman } = require("./lib/postman");
+const { loadNewmanReport, extractRequestsFromNewman } = require("./lib/newman");
+const { loadInsomniaExport, extractRequestsFromInsomnia } = require("./lib/insomnia");
+const { loadBrunoCollection, extractRequestsFromBruno } = require("./lib/bruno");
+const { loadHarFile, extractRequestsFromHar } = require("./lib/har");
+const { loadAccessLog, extractRequestsFromAccessLog } = require("./lib/access-log");
+const { loadOtlpTraces, extractRequestsFromOtlp } = require("./lib/otel");
+const { loadAndParseProto, extractOperationsFromProto } = require("./lib/grpc");
+const { loadAndParseGraphQL, extractOperationsFromGraphQL } = require("./lib/graphql");
+const { loadExcelSpec } = require("./lib/excel");
+const { matchOperationsDetailed } = require("./lib/match");
+const { loadMappingFile } = require("./lib/mappings");
+const { calculateCoverageSummary } = require("./lib/summary");
+const { summarizeParameterCoverage } = require("./lib/parameters");
+const { summarizeBodyCoverage } = require("./lib/body-coverage");
+const { summarizeResponseValidation } = require("./lib/response-validation");
+const { summarizeResponseCoverage } = require("./lib/response-coverage");
+const { evaluateThresholds } = require("./lib/thresholds");
+const { compareWithBaseline } = require("./lib/baseline");
+const { generateHtmlReport } = require("./lib/report");
+const { generateJsonReport, buildJsonReport } = require("./lib/json-report");
+const { generateJunitReport } = require("./lib/junit");
+const SwaggerCoverageReporter = require("./lib/newman-reporter");
+const SwaggerCoverageJestReporter = require("./lib/jest-reporter");
+const { createRecorder, loadRecords, recordsToRequests } = require("./lib/recorder");
+const { createRecordingProxy } = require("./lib/proxy");
+const { expressCoverage, koaCoverage, fastifyCoverage, reportCoverageOnExit } = require("./lib/middleware");
+
+module.exports = {
+  // High-level API
+  analyzeCoverage,
+  writeReports,
+
+  // Loaders
+  loadSpecOperations,
+  loadRequestsFromInput,
+  loadAndParseSpec,
+  extractOperationsFromSpec,
+  loadPostmanCollection,
+  loadPostmanEnvironment,
+  extractRequestsFromPostman,
+  loadNewmanReport,
+  extractRequestsFromNewman,
+  loadInsomniaExport,
+  extractRequestsFromInsomnia,
+  loadBrunoCollection,
+  extractRequestsFromBruno,
+  loadHarFile,
+  extractRequestsFromHar,
+  loadAccessLog,
+  extractRequestsFromAccessLog,
+  loadOtlpTraces,
+  extractRequestsFromOtlp,
+  loadAndParseProto,
+  extractOperationsFromProto,
+  loadAndParseGraphQL,
+  extractOperationsFromGraphQL,
+  loadExcelSpec,
+  loadMappingFile,
+
+  // Matching and aggregation
+  matchOperationsDetailed,
+  calculateCoverageSummary,
+  summarizeParameterCoverage,
+  summarizeBodyCoverage,
+  summarizeResponseValidation,
+  summarizeResponseCoverage,
+  evaluateThresholds,
+  compareWithBaseline,
+
+  // Report writers
+  generateHtmlReport,
+  generateJsonReport,
+  buildJsonReport,
+  generateJunitReport,
+
+  // Integrations
+  SwaggerCoverageReporter,
+  SwaggerCoverageJestReporter,
+  createRecorder,
+  loadRecords,
+  recordsToRequests,
+  createRecordingProxy,
+  expressCoverage,
+  koaCoverage,
+  fastifyCoverage,
+  reportCoverageOnExit
+};
@@ -0,0 +1,150 @@
+// access-log.js
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Server access log loader (nginx / Apache).
+ *
+ * Common log format:
+ *   127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /users?limit=10 HTTP/1.1" 200 2326
+ * Combined log format adds "referer" "user-agent" at the end.
+ *
+ * A custom regular expression can be given instead; it needs the named groups
+ * `method`, `url` (or `path`) and `status`.
+ */
+
+// Matches both common and combined format (referer and user agent are optional)
+const COMBINED_LOG_PATTERN = /^(?<host>\S+) \S+ (?<user>\S+) \[(?<time>[^\]]+)\] "(?<method>[A-Z]+) (?<url>\S+)(?: (?<protocol>[^"]*))?" (?<status>\d{3}) (?<size>\S+)(?: "(?<referer>[^"]*)" "(?<userAgent>[^"]*)")?/;
+
+/**
+ * Compile a custom log pattern (string or RegExp) and check its named groups.
+ */
+function compileLogPattern(pattern) {
+  if (!pattern) {
+    return COMBINED_LOG_PATTERN;
+  }
+  let regex;
+  try {
+    regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+  } catch (e) {
+    throw new Error(`Invalid log pattern: ${e.message}`);
+  }
+  const groups = new RegExp(regex.source + '|').exec('').groups || {};
+  if (!('method' in groups) || !('status' in groups) || !('url' in groups || 'path' in groups)) {
+    throw new Error('Invalid log pattern: named groups "method", "url" (or "path") and "status" are required.');
+  }
+  return regex;
+}
+
+/**
+ * Does the text look like a common/combined access log? Checks the first non-empty line.
+ */
+function looksLikeAccessLog(text) {
+  const firstLine = text.split('\n').find(line => line.trim());
+  return Boolean(firstLine && COMBINED_LOG_PATTERN.test(firstLine));
+}
+
+/**
+ * Load an access log file.
+ */
+function loadAccessLog(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Access log file not found: ${filePath}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Parse access log lines into requests (same shape as extractRequestsFromNewman).
+ * Identical method + path + status combinations are merged into one request
+ * with a `hits` counter. Concrete paths stay apart: /users/1 and /users/2 are
+ * two requests.
+ *
+ * @param {string} text - access log content
+ * @param {boolean} verbose
+ * @param {Object} [options]
+ * @param {string|RegExp} [options.pattern] - custom line pattern with named groups
+ * @returns {Array} requests
+ */
+function extractRequestsFromAccessLog(text, verbose = false, options = {}) {
+  const regex = compileLogPattern(options.pattern);
+  const requests = new Map();
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const match = regex.exec(line);
+    const groups = match && match.groups;
+    const url = groups && (groups.url || groups.path);
+    if (!groups || !groups.method || !url || !/^\d{3}$/.test(groups.status || '')) {
+      skipped++;
+      return;
+    }
+
+    const method = groups.method.toLowerCase();
+    const [pathname, query = ''] = url.split('?');
+    const status = groups.status;
+    const key = `${method} ${pathname} ${status}`;
+
+    let request = requests.get(key);
+    if (!request) {
+      request = {
+        name: `${method.toUpperCase()} ${pathname}`,
+        folder: '',
+        method,
+        rawUrl: url,
+        queryParams: [],
+        bodyInfo: null,
+        testedStatusCodes: [status],
+        testScripts: '',
+        executed: true,
+        responseCode: Number(status),
+        hits: 0
+      };
+      requests.set(key, request);
+    }
+    request.hits++;
+
+    // Union of query parameter names seen for this request
+    parseQuery(query).forEach(param => {
+      if (!request.queryParams.some(q => q.key === param.key)) {
+        request.queryParams.push(param);
+      }
+    });
+  });
+
+  const result = Array.from(requests.values());
+  if (verbose) {
+    console.log(`Requests found in the access log: ${result.length} distinct` +
+      (skipped > 0 ? ` (${skipped} unparsable lines skipped)` : ''));
+  }
+  return result;
+}
+
+function parseQuery(query) {
+  if (!query) return [];
+  return query.split('&').filter(Boolean).map(pair => {
+    const idx = pair.indexOf('=');
+    const key = idx === -1 ? pair : pair.slice(0, idx);
+    const value = idx === -1 ? '' : pair.slice(idx + 1);
+    return { key: safeDecode(key), value: safeDecode(value) };
+  });
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+module.exports = {
+  COMBINED_LOG_PATTERN,
+  compileLogPattern,
+  looksLikeAccessLog,
+  loadAccessLog,
+  extractRequestsFromAccessLog
+};
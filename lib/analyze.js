@@ -0,0 +1,296 @@
+// analyze.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadSpecOperations } = require("./specs");
+const { loadRequestsFromInput } = require("./inputs");
+const { loadPostmanEnvironment } = require("./postman");
+const { matchOperationsDetailed } = require("./match");
+const { calculateCoverageSummary } = require("./summary");
+const { applyFilters } = require("./filters");
+const { loadMappingFile, normalizeMappings, partitionRequests, applyPinnedRequests } = require("./mappings");
+const { loadBaseline, compareWithBaseline } = require("./baseline");
+const { createHistoryEntry, appendToHistory } = require("./history");
+const { generateHtmlReport } = require("./report");
+const { generateJsonReport } = require("./json-report");
+const { generateJunitReport } = require("./junit");
+
+// "test": inputs are test suites; "traffic": inputs are recorded production/staging traffic
+const COVERAGE_TYPES = ["test", "traffic"];
+
+/**
+ * analyzeCoverage - runs the whole coverage pipeline without touching the
+ * command line: loads specs and test inputs, matches them and aggregates totals.
+ *
+ * @param {Object} params
+ * @param {Array} params.specs - spec file paths, { file, name, basePath } entries or
+ *   already loaded specs ({ specName, operations } as returned by loadSpecOperations)
+ * @param {Array} params.inputs - test inputs, each one of:
+ *   - a path to a Postman collection / Newman report / Insomnia export / HAR file /
+ *     OTLP JSON traces / recorder records / access log,
+ *     or to a Bruno collection directory
+ *   - { file } (same as a path)
+ *   - { requests, name, type } with already extracted requests
+ *     (same shape as extractRequestsFromPostman returns)
+ * @param {Object} [params.options]
+ * @param {boolean} [params.options.verbose]
+ * @param {boolean} [params.options.strictQuery]
+ * @param {boolean} [params.options.strictBody]
+ * @param {boolean} [params.options.newman] - treat input files as Newman reports
+ * @param {boolean} [params.options.smartMapping=true]
+ * @param {boolean} [params.options.explain] - record near misses for unmatched operations
+ * @param {boolean} [params.options.validateResponses] - validate Newman response bodies
+ *   against the response schemas of the spec (see response-validation.js)
+ * @param {Array}   [params.options.ignore] - legacy ignore rules (same as filters.excludePaths)
+ * @param {Object}  [params.options.filters] - include/exclude filters, see normalizeFilters in filters.js
+ * @param {string|Array} [params.options.basePath] - base path(s) used for specs
+ *   without their own `basePath`, instead of servers/basePath from the spec
+ * @param {string|Object} [params.options.baseline] - previous JSON report (path or parsed object)
+ * @param {string|Array|Object} [params.options.mappings] - manual mapping file or its
+ *   parsed content, see mappings.js
+ * @param {string|Object} [params.options.environment] - Postman environment file or
+ *   { key: value } variables, substituted into collection requests
+ * @param {string} [params.options.brunoEnv] - environment of Bruno collection inputs
+ * @param {string|Array} [params.options.harHost] - only count HAR entries for these hosts
+ * @param {string} [params.options.logPattern] - custom access log regex with named groups
+ *   method, url (or path) and status
+ * @param {string} [params.options.coverageType] - "test" or "traffic"; by default "traffic"
+ *   when every input is an access log
+ * @returns {Promise<Object>}
+ *   {
+ *     coverage,              // overall percentage
+ *     coverageItems,         // result of matchOperationsDetailed
+ *     summary,               // calculateCoverageSummary(coverageItems)
+ *     undocumentedRequests,  // requests not matching any spec operation
+ *     excludedOperations,    // spec operations removed by filters, each with excludeReason
+ *     excludedRequests,      // requests excluded by the mapping file
+ *     mappingWarnings,       // mapping rules that did not apply
+ *     baselineComparison,    // compareWithBaseline result or null
+ *     requests,              // all requests from the inputs
+ *     meta                   // report metadata, ready for the report writers
+ *   }
+ */
+async function analyzeCoverage({ specs = [], inputs = [], options = {} }) {
+  const { verbose, strictQuery, strictBody, newman, smartMapping = true, explain = false, validateResponses = false } = options;
+  const runDate = options.runDate || new Date();
+
+  if (specs.length === 0) {
+    throw new Error("No API specification files given.");
+  }
+  if (options.coverageType !== undefined && !COVERAGE_TYPES.includes(options.coverageType)) {
+    throw new Error(`Invalid coverage type "${options.coverageType}": expected ${COVERAGE_TYPES.join(" or ")}.`);
+  }
+  if (inputs.length === 0) {
+    throw new Error("No Postman collection or Newman report given.");
+  }
+
+  const mappingRules = typeof options.mappings === "string" ?
+    loadMappingFile(options.mappings) :
+    (options.mappings ? normalizeMappings(options.mappings) : []);
+
+  const baseline = typeof options.baseline === "string" ?
+    loadBaseline(options.baseline) :
+    (options.baseline || null);
+
+  // Load every API specification
+  let allSpecOperations = [];
+  const specNames = [];
+  for (const spec of specs) {
+    let specEntry = typeof spec === "string" ? { file: spec } : spec;
+    if (options.basePath !== undefined && specEntry.basePath === undefined) {
+      specEntry = { ...specEntry, basePath: options.basePath };
+    }
+    // Entries returned by loadSpecOperations can be passed again as { specName, operations }
+    const { specName, operations } = Array.isArray(specEntry.operations) ?
+      specEntry :
+      await loadSpecOperations(specEntry, verbose);
+    allSpecOperations = allSpecOperations.concat(operations);
+    specNames.push(specName);
+  }
+
+  // Set aside operations excluded by filters; they are reported separately
+  const { included, excluded: excludedOperations } = applyFilters(
+    allSpecOperations,
+    options.filters || {},
+    options.ignore || []
+  );
+  if (verbose && excludedOperations.length > 0) {
+    console.log(`Excluded spec operations (filters): ${excludedOperations.length}`);
+  }
+
+  const environment = typeof options.environment === "string" ?
+    loadPostmanEnvironment(options.environment) :
+    (options.environment || undefined);
+  if (verbose && typeof options.environment === "string") {
+    console.log(`Postman environment loaded: ${Object.keys(environment).length} variable(s)`);
+  }
+
+  // Load every test input
+  let requests = [];
+  const collectionNames = [];
+  const inputTypes = [];
+  let inputType = "postman";
+  for (const input of inputs) {
+    const loaded = loadInput(input, {
+      newman,
+      verbose,
+      environment,
+      brunoEnv: options.brunoEnv,
+      harHost: options.harHost !== undefined ? [].concat(options.harHost) : undefined,
+      logPattern: options.logPattern
+    });
+    requests = requests.concat(loaded.requests);
+    collectionNames.push(loaded.collectionName);
+    inputTypes.push(loaded.inputType);
+    if (loaded.inputType !== "postman") {
+      inputType = loaded.inputType;
+    }
+  }
+
+  // Access logs measure real traffic rather than tests
+  const coverageType = options.coverageType ||
+    (inputTypes.length > 0 && inputTypes.every(type => type === "access-log") ? "traffic" : "test");
+
+  // Pinned and excluded requests (mapping file) bypass automatic matching
+  const { autoRequests, pinned, excluded, warnings } = partitionRequests(requests, mappingRules);
+
+  // Match operations in a "detailed" way that returns coverageItems
+  let pinWarnings = [];
+  const matchedReqs = new Set();
+  const coverageItems = matchOperationsDetailed(included, autoRequests, {
+    verbose,
+    strictQuery,
+    strictBody,
+    smartMapping,
+    explain,
+    validateResponses,
+    pinRequests: (items, onPin) => {
+      pinWarnings = applyPinnedRequests(items, pinned, onPin);
+    },
+    matchedReqs
+  });
+  const mappingWarnings = warnings.concat(pinWarnings);
+  if (verbose && mappingRules.length > 0) {
+    console.log(`Manual mappings: ${pinned.length} pinned, ${excluded.length} excluded request(s)`);
+  }
+
+  // Identify any requests that weren't matched
+  const undocumentedRequests = requests.filter(r => !matchedReqs.has(r) && !excluded.includes(r));
+
+  const summary = calculateCoverageSummary(coverageItems);
+  const coverage = summary.coverage;
+
+  // Compare with baseline run, if given
+  let baselineComparison = null;
+  if (baseline) {
+    baselineComparison = {
+      ...compareWithBaseline(baseline.operations, coverageItems),
+      previousCoverage: baseline.summary ? baseline.summary.coverage : undefined,
+      currentCoverage: coverage
+    };
+  }
+
+  const specName = specs.length > 1 ?
+    `Multiple APIs (${specNames.join(', ')})` :
+    specNames[0];
+
+  return {
+    coverage,
+    coverageItems,
+    summary,
+    undocumentedRequests,
+    excludedOperations,
+    excludedRequests: excluded,
+    mappingWarnings,
+    baselineComparison,
+    requests,
+    meta: {
+      timestamp: runDate.toLocaleString(),
+      generatedAt: runDate.toISOString(),
+      specName,
+      postmanCollectionName: collectionNames.join(", "),
+      inputType,
+      coverageType,
+      undocumentedRequests,
+      excludedOperations,
+      apiCount: specs.length,
+      apiNames: specNames,
+      baselineComparison,
+      coverageHistory: null
+    }
+  };
+}
+
+/**
+ * writeReports - writes the requested report files for an analyzeCoverage result.
+ * When `history` is given the run is appended to the history file first, so
+ * the HTML trend chart includes it.
+ *
+ * @param {Object} result - analyzeCoverage result
+ * @param {Object} targets
+ * @param {string} [targets.html]  - HTML report path
+ * @param {string} [targets.json]  - JSON report path
+ * @param {string} [targets.junit] - JUnit XML report path
+ * @param {string} [targets.history] - coverage history file
+ * @param {string} [targets.gitCommit] - commit recorded in the history entry
+ * @returns {Object} paths of written files, e.g. { html: "/abs/report.html" }
+ */
+function writeReports(result, { html, json, junit, history, gitCommit } = {}) {
+  const written = {};
+  const reportData = {
+    coverage: result.coverage,
+    coverageItems: result.coverageItems,
+    meta: { ...result.meta }
+  };
+
+  if (history) {
+    const entry = createHistoryEntry(result.summary, {
+      timestamp: result.meta.generatedAt,
+      commit: gitCommit
+    });
+    reportData.meta.coverageHistory = appendToHistory(history, entry).runs;
+    written.history = path.resolve(history);
+  }
+
+  const writeFile = (key, file, content) => {
+    const target = path.resolve(file);
+    fs.writeFileSync(target, content, "utf8");
+    written[key] = target;
+  };
+
+  if (html) {
+    writeFile("html", html, generateHtmlReport(reportData));
+  }
+  if (json) {
+    writeFile("json", json, generateJsonReport(reportData));
+  }
+  if (junit) {
+    writeFile("junit", junit, generateJunitReport(reportData));
+  }
+
+  return written;
+}
+
+function loadInput(input, opts) {
+  if (typeof input === "string") {
+    return loadRequestsFromInput(input, opts);
+  }
+  if (input && Array.isArray(input.requests)) {
+    return {
+      requests: input.requests,
+      collectionName: input.name || "In-memory requests",
+      inputType: input.type || "postman"
+    };
+  }
+  if (input && input.file) {
+    return loadRequestsFromInput(input.file, opts);
+  }
+  throw new Error("Invalid input: expected a file path, { file } or { requests }.");
+}
+
+module.exports = {
+  analyzeCoverage,
+  writeReports
+};
@@ -0,0 +1,114 @@
+// baseline.js
+
+"use strict";
+
+const fs = require("fs");
+const { JSON_REPORT_SCHEMA_VERSION } = require("./json-report");
+
+/**
+ * Load a JSON report written by a previous run (--json) to compare against.
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Baseline file not found: ${filePath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(`Unable to parse baseline JSON: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.operations)) {
+    throw new Error("Invalid baseline format: expected a JSON report produced with --json (missing operations).");
+  }
+  const major = String(data.schemaVersion || "").split(".")[0];
+  if (major !== JSON_REPORT_SCHEMA_VERSION.split(".")[0]) {
+    throw new Error(
+      `Unsupported baseline schemaVersion "${data.schemaVersion}" (expected ${JSON_REPORT_SCHEMA_VERSION.split(".")[0]}.x).`
+    );
+  }
+  return data;
+}
+
+/**
+ * Key identifying one spec operation across runs: apiName + method + path + statusCode.
+ */
+function operationKey(item) {
+  return [
+    item.apiName || "",
+    (item.method || "").toUpperCase(),
+    item.path || "",
+    item.statusCode || ""
+  ].join(" ");
+}
+
+/**
+ * compareWithBaseline - diffs the current coverage items against the
+ * operations of a baseline report.
+ *
+ * @param {Array} baselineOperations - `operations` of a previous JSON report
+ * @param {Array} coverageItems - current result of matchOperationsDetailed
+ * @returns {Object}
+ *   {
+ *     newlyCovered:   [...],  // uncovered before, covered now
+ *     newlyUncovered: [...],  // covered before, uncovered now (regressions)
+ *     added:          [...],  // operations that are new in the spec
+ *     removed:        [...],  // operations no longer in the spec
+ *     hasRegressions: boolean
+ *   }
+ *   Every entry has the shape { apiName, method, path, statusCode, name, covered }.
+ */
+function compareWithBaseline(baselineOperations, coverageItems) {
+  const previous = new Map();
+  baselineOperations.forEach(op => previous.set(operationKey(op), op));
+
+  const current = new Map();
+  coverageItems.forEach(item => current.set(operationKey(item), item));
+
+  const newlyCovered = [];
+  const newlyUncovered = [];
+  const added = [];
+  const removed = [];
+
+  current.forEach((item, key) => {
+    const before = previous.get(key);
+    if (!before) {
+      added.push(toChangeEntry(item));
+    } else if (before.unmatched && !item.unmatched) {
+      newlyCovered.push(toChangeEntry(item));
+    } else if (!before.unmatched && item.unmatched) {
+      newlyUncovered.push(toChangeEntry(item));
+    }
+  });
+
+  previous.forEach((op, key) => {
+    if (!current.has(key)) {
+      removed.push(toChangeEntry(op));
+    }
+  });
+
+  return {
+    newlyCovered,
+    newlyUncovered,
+    added,
+    removed,
+    hasRegressions: newlyUncovered.length > 0
+  };
+}
+
+function toChangeEntry(item) {
+  return {
+    apiName: item.apiName || "",
+    method: (item.method || "").toUpperCase(),
+    path: item.path || "",
+    statusCode: item.statusCode || "",
+    name: item.name || "",
+    covered: !item.unmatched
+  };
+}
+
+module.exports = {
+  loadBaseline,
+  compareWithBaseline,
+  operationKey
+};
@@ -0,0 +1,256 @@
+// body-coverage.js
+
+"use strict";
+
+const Ajv = require("ajv");
+const { roundPercent } = require("./summary");
+
+// OpenAPI schemas carry keywords and formats plain JSON Schema validation does not know
+const ajv = new Ajv({ strict: false, validateFormats: false, logger: false });
+
+// Deeper (or circular) schemas are not walked any further
+const MAX_DEPTH = 10;
+
+/**
+ * Request body property coverage: which properties of the request body schema
+ * (nested objects, array items, enums) and which oneOf/anyOf branches were sent
+ * by the JSON (or form) bodies of the requests matched to an operation.
+ *
+ *   item.bodyCoverage = {
+ *     total: 4,
+ *     covered: 3,
+ *     coverage: 75,
+ *     properties: [
+ *       { path: "name", required: true, sent: true },
+ *       { path: "address.zip", required: false, sent: false },
+ *       { path: "roles", required: false, sent: true, enum: ["admin", "user"], exercisedValues: ["user"] }
+ *     ],
+ *     branches: [
+ *       { path: "payment", keyword: "oneOf", index: 0, title: "Card", sent: true }
+ *     ]
+ *   }
+ *
+ * Array items are addressed with "[]", e.g. "items[].sku". Properties inside
+ * oneOf/anyOf branches are never required, since only one branch applies.
+ * Like parameter coverage (parameters.js), the object is computed once per
+ * operation and shared by the coverage items of its status codes.
+ */
+
+/**
+ * @param {Object} schema - resolved request body schema (operation.requestBodySchema)
+ * @param {Array} bodyInfos - bodyInfo of every matched request
+ * @returns {Object|null} null without a schema or when it declares no properties or branches
+ */
+function calculateBodyCoverage(schema, bodyInfos) {
+  if (!schema || typeof schema !== "object") {
+    return null;
+  }
+  const targets = { properties: new Map(), branches: [] };
+  collectTargets(schema, "", targets, { required: true, depth: 0, stack: new Set() });
+  if (targets.properties.size === 0 && targets.branches.length === 0) {
+    return null;
+  }
+
+  const bodies = bodyInfos.map(parseBody).filter(body => body !== undefined);
+  const present = new Set();
+  const values = new Map();
+  bodies.forEach(body => collectPresent(body, "", present, values));
+
+  const properties = Array.from(targets.properties.values()).map(target => {
+    const entry = { path: target.path, required: target.required, sent: present.has(target.path) };
+    if (target.enum) {
+      const sentValues = new Set([...(values.get(target.path) || []), ...(values.get(`${target.path}[]`) || [])]);
+      entry.enum = target.enum;
+      entry.exercisedValues = target.enum.filter(value => sentValues.has(value));
+    }
+    return entry;
+  });
+
+  const branches = targets.branches.map(branch => ({
+    path: branch.path,
+    keyword: branch.keyword,
+    index: branch.index,
+    title: branch.title,
+    sent: bodies.some(body => valuesAt(body, branch.path).some(value => matchesSchema(branch.schema, value)))
+  }));
+
+  const total = properties.length + branches.length;
+  const covered = properties.filter(p => p.sent).length + branches.filter(b => b.sent).length;
+  return {
+    total,
+    covered,
+    coverage: roundPercent((covered / total) * 100),
+    properties,
+    branches
+  };
+}
+
+/**
+ * Walk the schema and collect the properties and oneOf/anyOf branches to cover.
+ */
+function collectTargets(schema, prefix, targets, { required, depth, stack }) {
+  if (!schema || typeof schema !== "object" || depth > MAX_DEPTH || stack.has(schema)) {
+    return;
+  }
+  stack.add(schema);
+  const next = { depth: depth + 1, stack };
+
+  (schema.allOf || []).forEach(sub => collectTargets(sub, prefix, targets, { required, ...next }));
+
+  ["oneOf", "anyOf"].forEach(keyword => {
+    (schema[keyword] || []).forEach((sub, index) => {
+      targets.branches.push({ path: prefix, keyword, index, title: branchTitle(sub, index), schema: sub });
+      collectTargets(sub, prefix, targets, { required: false, ...next });
+    });
+  });
+
+  const requiredNames = Array.isArray(schema.required) ? schema.required : [];
+  Object.entries(schema.properties || {}).forEach(([name, propSchema]) => {
+    if (propSchema && propSchema.readOnly) {
+      return;
+    }
+    const propPath = prefix ? `${prefix}.${name}` : name;
+    // Nested properties are only required when every parent is
+    const propRequired = required && requiredNames.includes(name);
+    if (!targets.properties.has(propPath)) {
+      targets.properties.set(propPath, { path: propPath, required: propRequired, enum: schemaEnum(propSchema) });
+    }
+    collectTargets(propSchema, propPath, targets, { required: propRequired, ...next });
+  });
+
+  if (schema.items) {
+    collectTargets(schema.items, `${prefix}[]`, targets, { required, ...next });
+  }
+  stack.delete(schema);
+}
+
+function schemaEnum(schema) {
+  if (!schema) return null;
+  const values = Array.isArray(schema.enum) ? schema.enum :
+    (schema.items && Array.isArray(schema.items.enum) ? schema.items.enum : null);
+  return values ? values.map(String) : null;
+}
+
+function branchTitle(schema, index) {
+  if (schema && schema.title) return schema.title;
+  if (schema && schema.properties) return `{ ${Object.keys(schema.properties).join(", ")} }`;
+  if (schema && schema.type) return String(schema.type);
+  return `#${index + 1}`;
+}
+
+/**
+ * Request body -> JSON value. Form bodies become { key: value } objects;
+ * bodies that are not valid JSON are skipped (undefined).
+ */
+function parseBody(bodyInfo) {
+  if (!bodyInfo) return undefined;
+  if ((bodyInfo.mode === "urlencoded" || bodyInfo.mode === "formdata") && Array.isArray(bodyInfo.content)) {
+    const form = {};
+    bodyInfo.content
+      .filter(field => field && field.key && !field.disabled)
+      .forEach(field => {
+        form[field.key] = field.value;
+      });
+    return form;
+  }
+  if (bodyInfo.mode !== "raw") return undefined;
+  if (bodyInfo.content && typeof bodyInfo.content === "object") return bodyInfo.content;
+  try {
+    return JSON.parse(bodyInfo.content);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Record every property path present in a body, and the primitive values seen at each path.
+ */
+function collectPresent(value, prefix, present, values) {
+  if (Array.isArray(value)) {
+    value.forEach(element => collectPresent(element, `${prefix}[]`, present, values));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = prefix ? `${prefix}.${key}` : key;
+      present.add(childPath);
+      collectPresent(child, childPath, present, values);
+    });
+  } else if (value !== undefined && value !== null) {
+    if (!values.has(prefix)) values.set(prefix, new Set());
+    values.get(prefix).add(String(value));
+  }
+}
+
+/**
+ * All values found at a path such as "items[].payment" ("" is the body itself).
+ */
+function valuesAt(body, path) {
+  let current = [body];
+  if (!path) return current;
+  path.split(".").forEach(segment => {
+    const name = segment.replace(/(\[\])+$/, "");
+    const arrayDepth = (segment.length - name.length) / 2;
+    if (name) {
+      current = current.flatMap(value =>
+        value && typeof value === "object" && !Array.isArray(value) && value[name] !== undefined ? [value[name]] : []
+      );
+    }
+    for (let i = 0; i < arrayDepth; i++) {
+      current = current.flatMap(value => (Array.isArray(value) ? value : []));
+    }
+  });
+  return current;
+}
+
+// Compiled branch validators; null when a schema cannot be compiled (e.g. circular)
+const validators = new WeakMap();
+
+function matchesSchema(schema, value) {
+  if (!validators.has(schema)) {
+    let validate = null;
+    try {
+      validate = ajv.compile(schema);
+    } catch (e) {
+      // leave the branch uncovered
+    }
+    validators.set(schema, validate);
+  }
+  const validate = validators.get(schema);
+  return Boolean(validate && validate(value));
+}
+
+/**
+ * Totals over all operations with a request body schema, each operation counted once.
+ *
+ * @returns {Object} { total, covered, uncovered, coverage, enumValues: { total, covered, coverage } }
+ */
+function summarizeBodyCoverage(coverageItems) {
+  const seen = new Set();
+  const summary = { total: 0, covered: 0, uncovered: 0, coverage: 0, enumValues: { total: 0, covered: 0, coverage: 0 } };
+
+  coverageItems.forEach(item => {
+    const bodyCoverage = item.bodyCoverage;
+    if (!bodyCoverage || seen.has(bodyCoverage)) {
+      return;
+    }
+    seen.add(bodyCoverage);
+    summary.total += bodyCoverage.total;
+    summary.covered += bodyCoverage.covered;
+    bodyCoverage.properties.forEach(property => {
+      if (property.enum) {
+        summary.enumValues.total += property.enum.length;
+        summary.enumValues.covered += property.exercisedValues.length;
+      }
+    });
+  });
+
+  summary.uncovered = summary.total - summary.covered;
+  summary.coverage = summary.total ? (summary.covered / summary.total) * 100 : 0;
+  summary.enumValues.coverage = summary.enumValues.total ?
+    (summary.enumValues.covered / summary.enumValues.total) * 100 : 0;
+  return summary;
+}
+
+module.exports = {
+  calculateBodyCoverage,
+  summarizeBodyCoverage
+};
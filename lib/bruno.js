@@ -0,0 +1,351 @@
+// bruno.js
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bruno collection loader.
+ *
+ * A Bruno collection is a directory with a `bruno.json` file, one `.bru` file
+ * per request (sub-directories are folders) and `environments/<name>.bru`
+ * files with variables. `.bru` files consist of top-level blocks:
+ *
+ *   meta { name: Get user, type: http, seq: 1 }
+ *   get { url: {{baseUrl}}/users/:id, body: none }
+ *   params:query { limit: 10 }          ("~key" = disabled)
+ *   params:path { id: 42 }
+ *   body:json { ... }                   (raw text)
+ *   assert { res.status: eq 200 }
+ *   tests { expect(res.getStatus()).to.equal(200); }
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'connect', 'trace'];
+const SKIPPED_DIRECTORIES = ['environments', 'node_modules'];
+// Blocks whose content is kept as raw text rather than parsed as "key: value" lines
+const TEXT_BLOCK_PATTERN = /^(body(:(json|text|xml|sparql|graphql|graphql:vars))?|tests|script:.*|docs)$/;
+
+/**
+ * Is the path a Bruno collection directory?
+ */
+function isBrunoCollection(dirPath) {
+  return fs.existsSync(dirPath) &&
+    fs.statSync(dirPath).isDirectory() &&
+    fs.existsSync(path.join(dirPath, 'bruno.json'));
+}
+
+/**
+ * Load a Bruno collection directory.
+ * @returns {{ name: string, root: string, requests: Array<{ file, folderPath, blocks }>, environments: Object }}
+ */
+function loadBrunoCollection(dirPath) {
+  if (!isBrunoCollection(dirPath)) {
+    throw new Error(`Bruno collection not found: ${dirPath} (expected a directory with bruno.json)`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.join(dirPath, 'bruno.json'), 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to parse bruno.json: ${e.message}`);
+  }
+
+  const environments = {};
+  const envDir = path.join(dirPath, 'environments');
+  if (fs.existsSync(envDir)) {
+    fs.readdirSync(envDir)
+      .filter(file => file.endsWith('.bru'))
+      .sort()
+      .forEach(file => {
+        const blocks = parseBruFile(fs.readFileSync(path.join(envDir, file), 'utf8'));
+        environments[path.basename(file, '.bru')] = dictionaryToMap(blocks.vars);
+      });
+  }
+
+  const collectionFile = path.join(dirPath, 'collection.bru');
+  const collectionBlocks = fs.existsSync(collectionFile) ?
+    parseBruFile(fs.readFileSync(collectionFile, 'utf8')) :
+    {};
+
+  const requests = [];
+  walkDirectory(dirPath, '', requests);
+
+  return {
+    name: config.name || path.basename(path.resolve(dirPath)),
+    root: dirPath,
+    variables: dictionaryToMap(collectionBlocks['vars:pre-request']),
+    requests,
+    environments
+  };
+}
+
+function walkDirectory(dirPath, folderPath, requests) {
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const files = entries
+    .filter(entry => entry.isFile() && entry.name.endsWith('.bru') &&
+      entry.name !== 'collection.bru' && entry.name !== 'folder.bru')
+    .map(entry => {
+      const file = path.join(dirPath, entry.name);
+      return { file, folderPath, blocks: parseBruFile(fs.readFileSync(file, 'utf8')) };
+    })
+    .filter(item => HTTP_METHODS.some(method => item.blocks[method]));
+
+  // Requests keep the order shown in Bruno (meta.seq)
+  files.sort((a, b) => seqOf(a) - seqOf(b));
+  requests.push(...files);
+
+  entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') &&
+      !(folderPath === '' && SKIPPED_DIRECTORIES.includes(entry.name)))
+    .forEach(entry => {
+      walkDirectory(
+        path.join(dirPath, entry.name),
+        folderPath ? `${folderPath}/${entry.name}` : entry.name,
+        requests
+      );
+    });
+}
+
+function seqOf(item) {
+  const seq = Number(item.blocks.meta && item.blocks.meta.seq);
+  return Number.isFinite(seq) ? seq : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Parse the text of a `.bru` file into { blockName: content }.
+ * Dictionary blocks become [{ key, value, enabled }], list blocks (`name [ ... ]`)
+ * become arrays of strings, text blocks become de-indented strings.
+ */
+function parseBruFile(text) {
+  const blocks = {};
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(/^([\w:-]+)\s*([{[])\s*$/);
+    if (!header) continue;
+
+    const [, name, open] = header;
+    const close = open === '{' ? '}' : ']';
+    const body = [];
+    i++;
+    while (i < lines.length && lines[i].trimEnd() !== close) {
+      body.push(lines[i]);
+      i++;
+    }
+
+    if (open === '[') {
+      blocks[name] = body.map(line => line.trim().replace(/,$/, '')).filter(Boolean);
+    } else if (TEXT_BLOCK_PATTERN.test(name)) {
+      blocks[name] = body.map(line => line.replace(/^ {2}/, '')).join('\n').trim();
+    } else {
+      blocks[name] = parseDictionary(body);
+    }
+  }
+
+  // meta and the method block are read as plain objects
+  ['meta'].concat(HTTP_METHODS).forEach(name => {
+    if (Array.isArray(blocks[name])) {
+      blocks[name] = dictionaryToMap(blocks[name], true);
+    }
+  });
+  return blocks;
+}
+
+function parseDictionary(lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const idx = line.indexOf(':');
+      const rawKey = idx === -1 ? line : line.slice(0, idx);
+      const enabled = !rawKey.startsWith('~');
+      return {
+        key: rawKey.replace(/^~/, '').trim(),
+        value: idx === -1 ? '' : line.slice(idx + 1).trim(),
+        enabled
+      };
+    });
+}
+
+function dictionaryToMap(entries, includeDisabled = false) {
+  const map = {};
+  (entries || []).forEach(entry => {
+    if (entry.enabled || includeDisabled) {
+      map[entry.key] = entry.value;
+    }
+  });
+  return map;
+}
+
+/**
+ * `{{name}}` substitution; unknown variables are kept for the matcher.
+ */
+function resolveBrunoVariables(value, variables) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  let result = value;
+  for (let depth = 0; depth < 10; depth++) {
+    const next = result.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : `{{${name}}}`
+    );
+    if (next === result) break;
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Convert a loaded Bruno collection into request objects
+ * (same shape as extractRequestsFromPostman).
+ *
+ * Variables: collection `vars:pre-request`, then the selected environment,
+ * then request `vars:pre-request`; `options.environment` overrides all of them.
+ *
+ * @param {Object} collection - result of loadBrunoCollection
+ * @param {boolean} verbose
+ * @param {Object} [options]
+ * @param {string} [options.brunoEnv] - name of the environment in environments/
+ * @param {Object} [options.environment] - extra variables { key: value }
+ * @returns {Array} requests
+ */
+function extractRequestsFromBruno(collection, verbose = false, options = {}) {
+  let envVariables = {};
+  if (options.brunoEnv) {
+    if (!collection.environments[options.brunoEnv]) {
+      const available = Object.keys(collection.environments);
+      throw new Error(`Bruno environment "${options.brunoEnv}" not found. Available: ${available.length ? available.join(', ') : 'none'}`);
+    }
+    envVariables = collection.environments[options.brunoEnv];
+  }
+
+  const requests = collection.requests.map(({ file, folderPath, blocks }) => {
+    const method = HTTP_METHODS.find(m => blocks[m]);
+    const variables = {
+      ...collection.variables,
+      ...envVariables,
+      ...dictionaryToMap(blocks['vars:pre-request']),
+      ...(options.environment || {})
+    };
+
+    // Path params (":id") are substituted with their values when defined
+    const pathParams = dictionaryToMap(blocks['params:path']);
+    const url = (blocks[method].url || '').replace(/\/:([A-Za-z_][\w-]*)/g, (match, name) =>
+      pathParams[name] !== undefined && pathParams[name] !== '' ? `/${pathParams[name]}` : `/{{${name}}}`
+    );
+    const rawUrl = resolveBrunoVariables(url, variables);
+
+    const queryParams = (blocks['params:query'] || [])
+      .filter(p => p.enabled)
+      .map(p => ({
+        key: resolveBrunoVariables(p.key, variables),
+        value: resolveBrunoVariables(p.value, variables)
+      }));
+
+    const headers = (blocks.headers || [])
+      .filter(h => h.enabled)
+      .map(h => ({
+        key: resolveBrunoVariables(h.key, variables),
+        value: resolveBrunoVariables(h.value, variables)
+      }));
+
+    const testScripts = [
+      blocks.tests || '',
+      (blocks.assert || []).filter(a => a.enabled).map(a => `${a.key}: ${a.value}`).join('\n')
+    ].filter(Boolean).join('\n');
+
+    const folder = folderPath ? folderPath.split('/').pop() : '';
+    return {
+      id: path.relative(collection.root, file).split(path.sep).join('/'),
+      name: (blocks.meta && blocks.meta.name) || path.basename(file, '.bru'),
+      folder,
+      folderPath,
+      method,
+      rawUrl,
+      queryParams,
+      headers,
+      bodyInfo: convertBody(blocks, blocks[method].body, variables),
+      testedStatusCodes: extractStatusCodes(blocks),
+      testScripts
+    };
+  });
+
+  if (verbose) {
+    console.log(`Requests found in the Bruno collection: ${requests.length}`);
+  }
+  return requests;
+}
+
+/**
+ * Bruno body block -> Postman-like bodyInfo.
+ */
+function convertBody(blocks, bodyType, variables) {
+  if (!bodyType || bodyType === 'none') {
+    return null;
+  }
+  if (bodyType === 'formUrlEncoded' || bodyType === 'multipartForm') {
+    const block = bodyType === 'formUrlEncoded' ? 'body:form-urlencoded' : 'body:multipart-form';
+    return {
+      mode: bodyType === 'formUrlEncoded' ? 'urlencoded' : 'formdata',
+      content: (blocks[block] || [])
+        .filter(p => p.enabled)
+        .map(p => ({ key: p.key, value: resolveBrunoVariables(p.value, variables) }))
+    };
+  }
+  if (bodyType === 'graphql') {
+    return {
+      mode: 'graphql',
+      content: {
+        query: blocks['body:graphql'] || '',
+        variables: blocks['body:graphql:vars'] || ''
+      }
+    };
+  }
+  const text = blocks[`body:${bodyType}`];
+  if (text === undefined) {
+    return null;
+  }
+  return { mode: 'raw', content: resolveBrunoVariables(text, variables) };
+}
+
+/**
+ * Status codes from `assert` (res.status: eq 200 / in 200, 201) and `tests`
+ * (expect(res.getStatus()).to.equal(200), expect(res.status).to.eql(201)).
+ */
+function extractStatusCodes(blocks) {
+  const codes = new Set();
+
+  (blocks.assert || [])
+    .filter(a => a.enabled && a.key === 'res.status')
+    .forEach(a => {
+      const match = a.value.match(/^(eq|in)\s+(.+)$/);
+      if (match) {
+        (match[2].match(/\d{3}/g) || []).forEach(code => codes.add(code));
+      }
+    });
+
+  const patterns = [
+    /res\.(?:getStatus\(\)|status)\)\s*\.to\.(?:equal|eql|be)\((\d{3})\)/g,
+    /res\.(?:getStatus\(\)|status)\s*={2,3}\s*(\d{3})/g,
+    /to\.have\.status\((\d{3})\)/g
+  ];
+  const tests = blocks.tests || '';
+  patterns.forEach(regex => {
+    let match;
+    while ((match = regex.exec(tests)) !== null) {
+      codes.add(match[1]);
+    }
+  });
+
+  return Array.from(codes);
+}
+
+module.exports = {
+  isBrunoCollection,
+  loadBrunoCollection,
+  parseBruFile,
+  extractRequestsFromBruno
+};
@@ -0,0 +1,252 @@
+// config.js
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('js-yaml');
+
+/**
+ * Config files looked up in the working directory when --config is not given,
+ * in order of precedence.
+ */
+const CONFIG_FILE_NAMES = [
+  '.swaggercoveragerc',
+  '.swaggercoveragerc.json',
+  '.swaggercoveragerc.yaml',
+  '.swaggercoveragerc.yml',
+  'swagger-coverage.config.js'
+];
+
+/**
+ * Keys that hold file paths; they are resolved relative to the config file.
+ */
+const PATH_KEYS = ['output', 'json', 'junit', 'baseline', 'history', 'environment', 'mappings'];
+
+/**
+ * Keys accepted at the top level of a config file (and inside a profile).
+ */
+const KNOWN_KEYS = [
+  'specs',
+  'inputs',
+  'newman',
+  'verbose',
+  'strictQuery',
+  'strictBody',
+  'explain',
+  'validateResponses',
+  ...PATH_KEYS,
+  'failOnRegression',
+  'gitCommit',
+  'basePath',
+  'brunoEnv',
+  'harHost',
+  'logPattern',
+  'coverageType',
+  'thresholds',
+  'ignore',
+  'filters',
+  'profiles'
+];
+
+/**
+ * Keys accepted inside `filters` (see normalizeFilters in filters.js).
+ */
+const FILTER_KEYS = [
+  'includeTags',
+  'excludeTags',
+  'includePaths',
+  'excludePaths',
+  'includeOperations',
+  'excludeOperations',
+  'excludeDeprecated',
+  'excludeExtensions'
+];
+
+/**
+ * Find the first known config file in a directory.
+ * @returns {string|null} absolute path or null
+ */
+function findConfigFile(dir = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.resolve(dir, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a config file. JSON, YAML and JS (CommonJS module exporting an object
+ * or a function returning one) are supported; `.swaggercoveragerc` without
+ * extension is parsed as YAML, which also accepts JSON.
+ */
+function loadConfigFile(filePath) {
+  const absPath = path.resolve(filePath);
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const ext = path.extname(absPath).toLowerCase();
+  let config;
+  try {
+    if (ext === '.js' || ext === '.cjs') {
+      const exported = require(absPath);
+      config = typeof exported === 'function' ? exported() : exported;
+    } else if (ext === '.json') {
+      config = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+    } else {
+      config = YAML.load(fs.readFileSync(absPath, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error(`Unable to load config file ${filePath}: ${e.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${filePath}: expected an object.`);
+  }
+  return config;
+}
+
+/**
+ * resolveConfig - applies the selected profile on top of the base config,
+ * validates keys and normalises values:
+ *
+ *   - specs: array of { file, name?, minCoverage?, basePath? } (strings are accepted)
+ *   - inputs: array of file paths (a single string is accepted)
+ *   - thresholds: { overall?, apis: [{ name, min }], tags: [{ name, min }] },
+ *     including per-spec minCoverage values
+ *   - filters: include/exclude filters with list values as arrays
+ *   - relative paths are resolved against baseDir (the config file directory)
+ *
+ * @param {Object} config - raw config object
+ * @param {Object} opts
+ * @param {string} [opts.profile] - profile name from config.profiles
+ * @param {string} [opts.baseDir] - directory used to resolve relative paths
+ * @returns {Object} resolved options
+ */
+function resolveConfig(config, { profile, baseDir = process.cwd() } = {}) {
+  validateKeys(config, 'config');
+
+  const { profiles = {}, ...base } = config;
+  let merged = base;
+
+  if (profile) {
+    const profileConfig = profiles[profile];
+    if (!profileConfig) {
+      const available = Object.keys(profiles);
+      throw new Error(
+        `Unknown profile "${profile}". ${available.length ? `Available profiles: ${available.join(', ')}` : 'No profiles defined in config.'}`
+      );
+    }
+    validateKeys(profileConfig, `profile "${profile}"`);
+    merged = {
+      ...base,
+      ...profileConfig,
+      thresholds: mergeThresholdObjects(base.thresholds, profileConfig.thresholds),
+      filters: { ...(base.filters || {}), ...(profileConfig.filters || {}) }
+    };
+  }
+
+  const resolvePath = p => (path.isAbsolute(p) ? p : path.resolve(baseDir, p));
+  const resolved = { ...merged };
+
+  if (merged.specs !== undefined) {
+    resolved.specs = toArray(merged.specs).map(spec => {
+      const entry = typeof spec === 'string' ? { file: spec } : { ...spec };
+      if (!entry.file) {
+        throw new Error('Invalid spec entry in config: "file" is required.');
+      }
+      entry.file = resolvePath(entry.file);
+      return entry;
+    });
+  }
+
+  if (merged.inputs !== undefined) {
+    resolved.inputs = toArray(merged.inputs).map(resolvePath);
+  }
+
+  PATH_KEYS.forEach(key => {
+    if (typeof merged[key] === 'string') {
+      resolved[key] = resolvePath(merged[key]);
+    }
+  });
+
+  resolved.thresholds = normalizeThresholds(merged.thresholds, resolved.specs || []);
+  resolved.ignore = toArray(merged.ignore || []);
+  resolved.filters = normalizeFilterConfig(merged.filters);
+
+  return resolved;
+}
+
+function validateKeys(obj, label) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error(`Invalid ${label}: expected an object.`);
+  }
+  const unknown = Object.keys(obj).filter(k => !KNOWN_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s) in ${label}: ${unknown.join(', ')}`);
+  }
+}
+
+function normalizeFilterConfig(filters = {}) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Invalid "filters" in config: expected an object.');
+  }
+  const unknown = Object.keys(filters).filter(k => !FILTER_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter option(s) in config: ${unknown.join(', ')}`);
+  }
+  const result = {};
+  Object.keys(filters).forEach(key => {
+    result[key] = key === 'excludeDeprecated' ? filters[key] === true : toArray(filters[key]);
+  });
+  return result;
+}
+
+function mergeThresholdObjects(base = {}, override = {}) {
+  return {
+    ...base,
+    ...override,
+    apis: { ...(base.apis || {}), ...(override.apis || {}) },
+    tags: { ...(base.tags || {}), ...(override.tags || {}) }
+  };
+}
+
+// Values are kept as written ("80%" too); the CLI validates them with parsePercentage
+function normalizeThresholds(thresholds = {}, specs) {
+  const toList = map => Object.keys(map || {}).map(name => ({ name, min: map[name] }));
+
+  const apis = specs
+    .filter(spec => spec.name && spec.minCoverage !== undefined)
+    .map(spec => ({ name: spec.name, min: spec.minCoverage }));
+
+  return {
+    overall: thresholds.overall,
+    apis: mergeThresholdLists(apis, toList(thresholds.apis)),
+    tags: toList(thresholds.tags)
+  };
+}
+
+/**
+ * Merge [{ name, min }] lists; entries from `override` replace same-named ones.
+ */
+function mergeThresholdLists(base, override) {
+  const byName = new Map();
+  base.concat(override).forEach(entry => byName.set(entry.name, entry));
+  return Array.from(byName.values());
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadConfigFile,
+  resolveConfig,
+  mergeThresholdLists
+};
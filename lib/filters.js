@@ -0,0 +1,169 @@
+// filters.js
+
+'use strict';
+
+/**
+ * globToRegExp - converts a path glob to a RegExp:
+ *   `*`  matches within a single path segment
+ *   `**` matches across segments
+ * Everything else (including `{param}` placeholders) is matched literally.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        re += '.*';
+        i++;
+      } else {
+        re += '[^/]*';
+      }
+    } else {
+      re += ch.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * parseIgnoreRule - parses "GET /users/*" or "/internal/**" into
+ * { method, pathRegex }. `method` is null when the rule applies to all methods.
+ */
+function parseIgnoreRule(rule) {
+  const trimmed = String(rule).trim();
+  const match = trimmed.match(/^([A-Za-z]+)\s+(\S+)$/);
+  if (match) {
+    return { method: match[1].toLowerCase(), pathRegex: globToRegExp(match[2]) };
+  }
+  if (!trimmed.startsWith('/')) {
+    throw new Error(`Invalid ignore rule "${rule}". Expected "/path/glob" or "METHOD /path/glob".`);
+  }
+  return { method: null, pathRegex: globToRegExp(trimmed) };
+}
+
+/**
+ * Extensions that always exclude an operation, regardless of configuration.
+ */
+const DEFAULT_EXCLUDED_EXTENSIONS = ['x-coverage-ignore'];
+
+/**
+ * normalizeFilters - validates include/exclude filters and precompiles them.
+ *
+ * @param {Object} filters
+ * @param {Array}  [filters.includeTags] / [filters.excludeTags] - tag names
+ * @param {Array}  [filters.includePaths] / [filters.excludePaths] - path rules, see parseIgnoreRule
+ * @param {Array}  [filters.includeOperations] / [filters.excludeOperations] - operationId globs
+ * @param {boolean} [filters.excludeDeprecated] - exclude `deprecated: true` operations
+ * @param {Array}  [filters.excludeExtensions] - vendor extensions such as `x-internal`;
+ *   an operation is excluded when the extension is set to a truthy value
+ * @param {Array}  [ignore] - legacy `ignore` rules, treated as excludePaths
+ */
+function normalizeFilters(filters = {}, ignore = []) {
+  const list = value => (value === undefined || value === null ? [] : [].concat(value)).map(String);
+  const operationRule = glob => ({ glob, regex: globToRegExp(glob) });
+  const pathRule = rule => ({ rule, ...parseIgnoreRule(rule) });
+
+  return {
+    includeTags: list(filters.includeTags),
+    excludeTags: list(filters.excludeTags),
+    includePaths: list(filters.includePaths).map(pathRule),
+    excludePaths: list(filters.excludePaths).concat(list(ignore)).map(pathRule),
+    includeOperations: list(filters.includeOperations).map(operationRule),
+    excludeOperations: list(filters.excludeOperations).map(operationRule),
+    excludeDeprecated: filters.excludeDeprecated === true,
+    excludeExtensions: Array.from(new Set(DEFAULT_EXCLUDED_EXTENSIONS.concat(list(filters.excludeExtensions))))
+  };
+}
+
+/**
+ * Normalise extension names across protocols, so that `x-internal` (OpenAPI),
+ * `@internal` (GraphQL directive) and `(internal)` (proto option) are equal.
+ */
+function normalizeExtensionName(name) {
+  return String(name).toLowerCase().replace(/^x-/, '').replace(/[^a-z0-9]/g, '');
+}
+
+function pathRuleMatches(rule, op) {
+  const method = (op.method || '').toLowerCase();
+  return (!rule.method || rule.method === method) && rule.pathRegex.test(op.path || '');
+}
+
+/**
+ * getExclusionReason - returns why an operation is excluded by the
+ * normalised filters, or null when it is kept.
+ */
+function getExclusionReason(op, filters) {
+  const tags = op.tags || [];
+  const operationId = op.operationId || '';
+
+  if (filters.includeTags.length && !tags.some(t => filters.includeTags.includes(t))) {
+    return 'not in included tags';
+  }
+  if (filters.includePaths.length && !filters.includePaths.some(rule => pathRuleMatches(rule, op))) {
+    return 'not in included paths';
+  }
+  if (filters.includeOperations.length && !filters.includeOperations.some(rule => rule.regex.test(operationId))) {
+    return 'not in included operations';
+  }
+
+  const tag = tags.find(t => filters.excludeTags.includes(t));
+  if (tag) {
+    return `tag: ${tag}`;
+  }
+  const pathRule = filters.excludePaths.find(rule => pathRuleMatches(rule, op));
+  if (pathRule) {
+    return `path: ${pathRule.rule}`;
+  }
+  const opRule = operationId && filters.excludeOperations.find(rule => rule.regex.test(operationId));
+  if (opRule) {
+    return `operationId: ${opRule.glob}`;
+  }
+  if (filters.excludeDeprecated && op.deprecated) {
+    return 'deprecated';
+  }
+  const extensions = op.extensions || {};
+  const wanted = filters.excludeExtensions.map(normalizeExtensionName);
+  const extension = Object.keys(extensions).find(key =>
+    extensions[key] && extensions[key] !== 'false' && wanted.includes(normalizeExtensionName(key))
+  );
+  if (extension) {
+    return `extension: ${extension}`;
+  }
+  return null;
+}
+
+/**
+ * applyFilters - splits spec operations (REST, gRPC and GraphQL alike) into
+ * included and excluded ones. Excluded operations get an `excludeReason`.
+ *
+ * @param {Array} operations - spec operations
+ * @param {Object} filters - see normalizeFilters
+ * @param {Array} [ignore] - legacy ignore rules
+ * @returns {{ included: Array, excluded: Array }}
+ */
+function applyFilters(operations, filters = {}, ignore = []) {
+  const normalized = normalizeFilters(filters, ignore);
+  const included = [];
+  const excluded = [];
+
+  operations.forEach(op => {
+    const reason = getExclusionReason(op, normalized);
+    if (reason) {
+      excluded.push({ ...op, excludeReason: reason });
+    } else {
+      included.push(op);
+    }
+  });
+
+  return { included, excluded };
+}
+
+module.exports = {
+  DEFAULT_EXCLUDED_EXTENSIONS,
+  globToRegExp,
+  parseIgnoreRule,
+  normalizeFilters,
+  getExclusionReason,
+  applyFilters
+};
@@ -61,7 +61,9 @@ function extractOperationsFromGraphQL(graphqlData, verbose = false) {
         graphqlType: 'query',
         graphqlField: fieldName,
         returnType: field.type.toString(),
-        arguments: field.args || []
+        arguments: field.args || [],
+        deprecated: Boolean(field.deprecationReason),
+        extensions: directivesToExtensions(field)
       };
       
       operations.push(operation);
@@ -92,7 +94,9 @@ function extractOperationsFromGraphQL(graphqlData, verbose = false) {
         graphqlType: 'mutation',
         graphqlField: fieldName,
         returnType: field.type.toString(),
-        arguments: field.args || []
+        arguments: field.args || [],
+        deprecated: Boolean(field.deprecationReason),
+        extensions: directivesToExtensions(field)
       };
       
       operations.push(operation);
@@ -123,7 +127,9 @@ function extractOperationsFromGraphQL(graphqlData, verbose = false) {
         graphqlType: 'subscription',
         graphqlField: fieldName,
         returnType: field.type.toString(),
-        arguments: field.args || []
+        arguments: field.args || [],
+        deprecated: Boolean(field.deprecationReason),
+        extensions: directivesToExtensions(field)
       };
       
       operations.push(operation);
@@ -137,6 +143,24 @@ function extractOperationsFromGraphQL(graphqlData, verbose = false) {
   return operations;
 }
 
+/**
+ * Collect field directives (except @deprecated) as extensions, so that
+ * e.g. `@internal` can be filtered like `x-internal` in OpenAPI.
+ * @param {Object} field - GraphQL field
+ * @returns {Object} { directiveName: true }
+ */
+function directivesToExtensions(field) {
+  const extensions = {};
+  const directives = (field.astNode && field.astNode.directives) || [];
+  directives.forEach(directive => {
+    const name = directive.name.value;
+    if (name !== 'deprecated') {
+      extensions[name] = true;
+    }
+  });
+  return extensions;
+}
+
 /**
  * Check if a file is a GraphQL schema file
  * @param {string} filePath - Path to check
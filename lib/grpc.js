@@ -24,6 +24,31 @@ async function loadAndParseProto(filePath) {
   }
 }
 
+/**
+ * Check the standard `deprecated` option of a service or method
+ * @param {Object} reflectionObject - protobuf Service or Method
+ * @returns {boolean}
+ */
+function isDeprecated(reflectionObject) {
+  return Boolean(reflectionObject.options && reflectionObject.options.deprecated);
+}
+
+/**
+ * Collect custom options, e.g. `option (internal) = true;`, as extensions
+ * @param {Object} reflectionObject - protobuf Service or Method
+ * @returns {Object} { internal: true }
+ */
+function customOptions(reflectionObject) {
+  const extensions = {};
+  Object.entries(reflectionObject.options || {}).forEach(([key, value]) => {
+    const match = key.match(/^\(([^)]+)\)/);
+    if (match) {
+      extensions[match[1]] = value;
+    }
+  });
+  return extensions;
+}
+
 /**
  * Extract gRPC operations from protobuf definition
  * @param {Object} root - Protobuf root object
@@ -59,7 +84,9 @@ function extractOperationsFromProto(root, verbose = false) {
               requestType: method.requestType,
               responseType: method.responseType,
               requestStream: method.requestStream || false,
-              responseStream: method.responseStream || false
+              responseStream: method.responseStream || false,
+              deprecated: isDeprecated(method) || isDeprecated(service),
+              extensions: { ...customOptions(service), ...customOptions(method) }
             };
             
             operations.push(operation);
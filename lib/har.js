@@ -0,0 +1,144 @@
+// har.js
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Is the parsed JSON a HAR (HTTP Archive) log?
+ */
+function isHarLog(data) {
+  return Boolean(data && data.log && Array.isArray(data.log.entries));
+}
+
+/**
+ * Load a HAR 1.2 file (JSON), e.g. exported from browser dev tools or a proxy.
+ */
+function loadHarFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`HAR file not found: ${filePath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to parse HAR file: ${e.message}`);
+  }
+  if (!isHarLog(data)) {
+    throw new Error('Invalid HAR format: missing log or entries fields.');
+  }
+  return data;
+}
+
+/**
+ * Does the URL's host match one of the host patterns?
+ * Patterns match the host name or "host:port"; `*` is a wildcard,
+ * so "*.example.com" matches "api.example.com".
+ */
+function hostMatches(url, hosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const candidates = [parsed.hostname.toLowerCase(), parsed.host.toLowerCase()];
+  return hosts.some(pattern => {
+    const regex = new RegExp('^' + pattern.toLowerCase().split('*').map(escapeRegExp).join('[^/]*') + '$');
+    return candidates.some(candidate => regex.test(candidate));
+  });
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extract requests from a HAR log.
+ * Like Newman reports, every entry is an executed request: the real response
+ * status becomes its tested status code (entries without a response, status 0,
+ * have none).
+ *
+ * @param {Object} har - parsed HAR file
+ * @param {boolean} verbose
+ * @param {Object} [options]
+ * @param {Array<string>} [options.hosts] - only keep entries for these hosts
+ * @returns {Array} requests
+ */
+function extractRequestsFromHar(har, verbose = false, options = {}) {
+  const hosts = (options.hosts || []).filter(Boolean);
+  const entries = har.log.entries || [];
+  const requests = [];
+  let skipped = 0;
+
+  entries.forEach((entry, idx) => {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const rawUrl = request.url || '';
+
+    if (hosts.length > 0 && !hostMatches(rawUrl, hosts)) {
+      skipped++;
+      return;
+    }
+
+    let host = '';
+    let pathname = rawUrl;
+    try {
+      const parsed = new URL(rawUrl);
+      host = parsed.host;
+      pathname = parsed.pathname;
+    } catch (e) {
+      // relative or malformed URL: keep it as is
+    }
+
+    const method = (request.method || 'GET').toLowerCase();
+    const queryParams = (request.queryString || []).map(q => ({ key: q.name, value: q.value }));
+
+    const headers = (request.headers || []).map(h => ({ key: h.name, value: h.value }));
+
+    let bodyInfo = null;
+    const postData = request.postData;
+    if (postData && Array.isArray(postData.params) && postData.params.length > 0) {
+      bodyInfo = {
+        mode: /multipart\/form-data/i.test(postData.mimeType || '') ? 'formdata' : 'urlencoded',
+        content: postData.params.map(p => ({ key: p.name, value: p.value }))
+      };
+    } else if (postData && postData.text) {
+      bodyInfo = { mode: 'raw', content: postData.text };
+    }
+
+    const testedStatusCodes = response.status ? [String(response.status)] : [];
+
+    requests.push({
+      id: String(idx),
+      name: `${method.toUpperCase()} ${pathname}`,
+      folder: host,
+      folderPath: host,
+      method,
+      rawUrl,
+      queryParams,
+      headers,
+      bodyInfo,
+      testedStatusCodes,
+      testScripts: '',
+      // Recorded traffic, like Newman executions
+      executed: true,
+      responseCode: response.status,
+      responseStatus: response.statusText,
+      responseTime: entry.time
+    });
+  });
+
+  if (verbose) {
+    console.log(`Requests found in the HAR file: ${requests.length}` +
+      (skipped > 0 ? ` (${skipped} entries for other hosts skipped)` : ''));
+  }
+  return requests;
+}
+
+module.exports = {
+  isHarLog,
+  loadHarFile,
+  hostMatches,
+  extractRequestsFromHar
+};
@@ -0,0 +1,97 @@
+// history.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { roundPercent } = require("./summary");
+
+const HISTORY_FORMAT_VERSION = 1;
+
+/**
+ * Load a coverage history file. A missing file yields an empty history,
+ * so the first run simply creates it.
+ *
+ * File layout:
+ *   {
+ *     "version": 1,
+ *     "runs": [
+ *       {
+ *         "timestamp": "2025-01-01T10:00:00.000Z",
+ *         "commit": "abc1234",
+ *         "coverage": 75,
+ *         "total": 12,
+ *         "covered": 9,
+ *         "apis": { "Users API": 80 },
+ *         "tags": { "Users": 87.5 },
+ *         "protocols": { "rest": 75 }
+ *       }
+ *     ]
+ *   }
+ */
+function loadHistory(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { version: HISTORY_FORMAT_VERSION, runs: [] };
+  }
+  let data;
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    data = raw.trim() ? JSON.parse(raw) : { runs: [] };
+  } catch (e) {
+    throw new Error(`Unable to parse history JSON: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.runs)) {
+    throw new Error("Invalid history file format: missing runs array.");
+  }
+  return { version: data.version || HISTORY_FORMAT_VERSION, runs: data.runs };
+}
+
+/**
+ * Build one history entry from a coverage summary (see calculateCoverageSummary).
+ */
+function createHistoryEntry(summary, { timestamp, commit } = {}) {
+  const toCoverageMap = buckets => {
+    const result = {};
+    Object.keys(buckets).sort().forEach(name => {
+      result[name] = roundPercent(buckets[name].coverage);
+    });
+    return result;
+  };
+
+  const entry = {
+    timestamp: timestamp || new Date().toISOString(),
+    coverage: roundPercent(summary.coverage),
+    total: summary.total,
+    covered: summary.covered,
+    apis: toCoverageMap(summary.byApi),
+    tags: toCoverageMap(summary.byTag),
+    protocols: toCoverageMap(summary.byProtocol)
+  };
+  if (commit) {
+    entry.commit = commit;
+  }
+  return entry;
+}
+
+/**
+ * Append an entry to the history file (creating it if needed) and return the
+ * updated history.
+ */
+function appendToHistory(filePath, entry) {
+  const history = loadHistory(filePath);
+  history.runs.push(entry);
+
+  const dir = path.dirname(path.resolve(filePath));
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2), "utf8");
+  return history;
+}
+
+module.exports = {
+  HISTORY_FORMAT_VERSION,
+  loadHistory,
+  createHistoryEntry,
+  appendToHistory
+};
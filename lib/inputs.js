@@ -0,0 +1,162 @@
+// inputs.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { extractRequestsFromPostman } = require("./postman");
+const { extractRequestsFromNewman } = require("./newman");
+const { isBrunoCollection, loadBrunoCollection, extractRequestsFromBruno } = require("./bruno");
+const { looksLikeAccessLog, extractRequestsFromAccessLog } = require("./access-log");
+const { isRecordsContent, parseRecords, recordsToRequests } = require("./recorder");
+const { parseOtlpJson, extractRequestsFromOtlp } = require("./otel");
+const { isHarLog, extractRequestsFromHar } = require("./har");
+const { isInsomniaExport, getInsomniaWorkspaceName, extractRequestsFromInsomnia } = require("./insomnia");
+
+/**
+ * loadRequestsFromInput - reads one test input (Postman collection, Newman
+ * report, Insomnia v4 export, HAR file, OTLP JSON traces, recorder records,
+ * server access log or Bruno collection directory) and extracts its requests. Everything except Postman collections
+ * is auto-detected, Newman reports even when `newman` is not set. Access logs
+ * are non-JSON files recognised by a `.log` extension, a `logPattern` or
+ * their first line.
+ *
+ * @param {string} inputFile - path to the input JSON
+ * @param {Object} opts
+ * @param {boolean} opts.newman - treat the input as Newman report
+ * @param {boolean} opts.verbose
+ * @param {Object} [opts.environment] - Postman environment variables { key: value },
+ *   substituted into collection (or Insomnia export / Bruno) requests
+ * @param {string} [opts.brunoEnv] - Bruno environment name (environments/<name>.bru)
+ * @param {Array<string>} [opts.harHost] - only count HAR entries for these hosts
+ * @param {string} [opts.logPattern] - custom access log regex (named groups method, url, status)
+ * @returns {{ requests: Array, collectionName: string, inputType: string }}
+ */
+function loadRequestsFromInput(inputFile, { newman, verbose, environment, brunoEnv, harHost, logPattern } = {}) {
+  // Ensure Postman/Newman file exists
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file not found: ${inputFile}`);
+  }
+
+  // Bruno collections are directories of .bru files
+  if (fs.statSync(inputFile).isDirectory()) {
+    if (!isBrunoCollection(inputFile)) {
+      throw new Error(`Input directory is not a Bruno collection (bruno.json not found): ${inputFile}`);
+    }
+    const collection = loadBrunoCollection(inputFile);
+    if (verbose) {
+      console.log(`Bruno collection loaded successfully: "${collection.name}"`);
+    }
+    return {
+      requests: extractRequestsFromBruno(collection, verbose, { environment, brunoEnv }),
+      collectionName: collection.name,
+      inputType: "bruno"
+    };
+  }
+
+  const rawInput = fs.readFileSync(inputFile, "utf8");
+
+  // Requests recorded from code-based tests (recorder.js)
+  if (!newman && isRecordsContent(rawInput)) {
+    const collectionName = path.basename(inputFile);
+    const requests = recordsToRequests(parseRecords(rawInput));
+    if (verbose) {
+      console.log(`Recorded requests loaded successfully: "${collectionName}" (${requests.length})`);
+    }
+    return { requests, collectionName, inputType: "recorder" };
+  }
+
+  // OpenTelemetry traces (OTLP JSON, one export request or JSON lines)
+  const otlpPayloads = newman ? null : parseOtlpJson(rawInput);
+  if (otlpPayloads) {
+    const collectionName = path.basename(inputFile);
+    if (verbose) {
+      console.log(`OTLP trace file loaded successfully: "${collectionName}"`);
+    }
+    return {
+      requests: extractRequestsFromOtlp(otlpPayloads, verbose),
+      collectionName,
+      inputType: "otlp"
+    };
+  }
+
+  // Server access logs (common/combined format or a custom pattern)
+  const looksLikeJson = /^\s*[{[]/.test(rawInput);
+  if (!newman && !looksLikeJson &&
+    (logPattern || path.extname(inputFile).toLowerCase() === ".log" || looksLikeAccessLog(rawInput))) {
+    const collectionName = path.basename(inputFile);
+    if (verbose) {
+      console.log(`Access log loaded successfully: "${collectionName}"`);
+    }
+    return {
+      requests: extractRequestsFromAccessLog(rawInput, verbose, { pattern: logPattern }),
+      collectionName,
+      inputType: "access-log"
+    };
+  }
+
+  // Safely parse input JSON (Postman collection or Newman report)
+  let inputData;
+  let collectionName;
+  try {
+    if (!rawInput.trim()) {
+      throw new Error("Input file is empty.");
+    }
+    inputData = JSON.parse(rawInput);
+  } catch (err) {
+    throw new Error(`Unable to parse input JSON: ${err.message}`);
+  }
+
+  let requests;
+  let inputType = "postman";
+
+  if (newman) {
+    // Handle Newman report
+    if (!inputData.run || !inputData.run.executions) {
+      throw new Error('Invalid Newman report format: missing run or executions fields.');
+    }
+    collectionName = inputData.collection?.info?.name || 'Newman Report';
+    if (verbose) {
+      console.log(`Newman report loaded successfully: "${collectionName}"`);
+    }
+    requests = extractRequestsFromNewman(inputData, verbose);
+    inputType = "newman";
+  } else {
+    // Auto-detect format or handle as Postman collection
+    if (inputData.run && inputData.run.executions) {
+      // This looks like a Newman report but --newman flag wasn't used
+      console.log("Detected Newman report format. Consider using --newman flag for explicit handling.");
+      collectionName = inputData.collection?.info?.name || 'Auto-detected Newman Report';
+      requests = extractRequestsFromNewman(inputData, verbose);
+      inputType = "newman";
+    } else if (isInsomniaExport(inputData)) {
+      collectionName = getInsomniaWorkspaceName(inputData);
+      if (verbose) {
+        console.log(`Insomnia export loaded successfully: "${collectionName}"`);
+      }
+      requests = extractRequestsFromInsomnia(inputData, verbose, { environment });
+      inputType = "insomnia";
+    } else if (isHarLog(inputData)) {
+      collectionName = inputData.log.pages?.[0]?.title || 'HAR Recording';
+      if (verbose) {
+        console.log(`HAR file loaded successfully: "${collectionName}"`);
+      }
+      requests = extractRequestsFromHar(inputData, verbose, { hosts: harHost });
+      inputType = "har";
+    } else {
+      // Handle as Postman collection
+      if (!inputData.info || !inputData.item) {
+        throw new Error('Invalid Postman collection format: missing info or item fields.');
+      }
+      collectionName = inputData.info.name;
+      if (verbose) {
+        console.log(`Postman collection loaded successfully: "${collectionName}"`);
+      }
+      requests = extractRequestsFromPostman(inputData, verbose, { environment });
+    }
+  }
+
+  return { requests, collectionName, inputType };
+}
+
+module.exports = { loadRequestsFromInput };
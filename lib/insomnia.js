@@ -0,0 +1,240 @@
+// insomnia.js
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Insomnia export (v4) loader.
+ *
+ * An export is a flat list of resources linked by parentId:
+ *   workspace -> request_group (folders, nested) -> request
+ *   workspace -> environment (base) -> environment (sub environments)
+ *   unit_test_suite -> unit_test (with requestId)
+ *
+ * Requests are converted to the same shape as extractRequestsFromPostman returns.
+ */
+
+/**
+ * Is the parsed JSON an Insomnia v4 export?
+ */
+function isInsomniaExport(data) {
+  return Boolean(
+    data &&
+    data._type === 'export' &&
+    Number(data.__export_format) === 4 &&
+    Array.isArray(data.resources)
+  );
+}
+
+/**
+ * Load an Insomnia export file (JSON).
+ */
+function loadInsomniaExport(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Insomnia export file not found: ${filePath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to parse Insomnia export: ${e.message}`);
+  }
+  if (!isInsomniaExport(data)) {
+    throw new Error('Invalid Insomnia export format: expected "_type": "export" with "__export_format": 4.');
+  }
+  return data;
+}
+
+/**
+ * Name of the exported workspace, used as collection name.
+ */
+function getInsomniaWorkspaceName(exportData) {
+  const workspace = exportData.resources.find(r => r._type === 'workspace');
+  return (workspace && workspace.name) || 'Insomnia Export';
+}
+
+/**
+ * Extract requests from an Insomnia export.
+ *
+ * Variables come from the base environment (the environment whose parent is the
+ * workspace) and from request group environments, inner folders winning.
+ * `options.environment` ({ key: value }, e.g. from --environment) overrides both.
+ * Sub environments are not applied because the export doesn't say which one is active.
+ *
+ * @param {Object} exportData - parsed Insomnia export
+ * @param {boolean} verbose
+ * @param {Object} [options]
+ * @param {Object} [options.environment] - extra variables
+ * @returns {Array} requests
+ */
+function extractRequestsFromInsomnia(exportData, verbose = false, options = {}) {
+  const resources = exportData.resources || [];
+  const byId = new Map(resources.map(r => [r._id, r]));
+
+  const workspaceIds = new Set(resources.filter(r => r._type === 'workspace').map(r => r._id));
+  const baseEnvironment = resources.find(r => r._type === 'environment' && workspaceIds.has(r.parentId));
+  const baseVariables = flattenVariables(baseEnvironment ? baseEnvironment.data : {});
+
+  const testsByRequest = collectUnitTests(resources);
+  const requests = [];
+
+  resources.filter(r => r._type === 'request').forEach(req => {
+    // Folder chain from the outermost request group to the innermost one
+    const groups = [];
+    let parent = byId.get(req.parentId);
+    while (parent && parent._type === 'request_group') {
+      groups.unshift(parent);
+      parent = byId.get(parent.parentId);
+    }
+
+    const variables = { ...baseVariables };
+    groups.forEach(group => Object.assign(variables, flattenVariables(group.environment)));
+    Object.assign(variables, options.environment || {});
+
+    const parameters = (req.parameters || []).filter(p => !p.disabled && p.name);
+    const queryParams = parameters.map(p => ({
+      key: resolveInsomniaTemplate(p.name, variables),
+      value: resolveInsomniaTemplate(p.value || '', variables)
+    }));
+
+    const headers = (req.headers || [])
+      .filter(h => !h.disabled && h.name)
+      .map(h => ({
+        key: resolveInsomniaTemplate(h.name, variables),
+        value: resolveInsomniaTemplate(h.value || '', variables)
+      }));
+
+    let rawUrl = resolveInsomniaTemplate(req.url || '', variables);
+    if (queryParams.length > 0) {
+      const query = queryParams.map(q => `${q.key}=${q.value}`).join('&');
+      rawUrl += (rawUrl.includes('?') ? '&' : '?') + query;
+    }
+
+    const scripts = [req.afterResponseScript].concat(testsByRequest.get(req._id) || []).filter(Boolean);
+    const testScripts = scripts.join('\n').trim();
+
+    requests.push({
+      id: req._id,
+      name: req.name || 'Unnamed Request',
+      folder: groups.length ? groups[groups.length - 1].name : '',
+      folderPath: groups.map(g => g.name).join('/'),
+      method: (req.method || 'GET').toLowerCase(),
+      rawUrl,
+      queryParams,
+      headers,
+      bodyInfo: convertBody(req.body, variables),
+      testedStatusCodes: extractStatusCodes(testScripts),
+      testScripts
+    });
+  });
+
+  if (verbose) {
+    console.log(`Requests found in the Insomnia export: ${requests.length}`);
+  }
+  return requests;
+}
+
+/**
+ * Unit test code per request id (unit_test.requestId).
+ */
+function collectUnitTests(resources) {
+  const tests = new Map();
+  resources
+    .filter(r => r._type === 'unit_test' && r.requestId && r.code)
+    .forEach(test => {
+      if (!tests.has(test.requestId)) tests.set(test.requestId, []);
+      tests.get(test.requestId).push(test.code);
+    });
+  return tests;
+}
+
+/**
+ * Nested environment data -> flat { "a.b": value } map (Insomnia allows `{{ _.a.b }}`).
+ */
+function flattenVariables(data, prefix = '', result = {}) {
+  Object.entries(data || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenVariables(value, name, result);
+    } else {
+      result[name] = value === undefined || value === null ? '' : String(value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Substitute `{{ _.name }}` / `{{ name }}` variables. Values may reference other
+ * variables. Unknown variables become `{{name}}` and template tags (`{% ... %}`)
+ * become `{{template}}`, which the matcher treats as wildcards.
+ */
+function resolveInsomniaTemplate(value, variables) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  let result = value.replace(/\{%[\s\S]*?%\}/g, '{{template}}');
+  for (let depth = 0; depth < 10; depth++) {
+    const next = result.replace(/\{\{\s*(?:_\.)?([\w.-]+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : `{{${name}}}`
+    );
+    if (next === result) break;
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Insomnia body -> Postman-like bodyInfo ({ mode, content }).
+ */
+function convertBody(body, variables) {
+  if (!body || (!body.text && !Array.isArray(body.params))) {
+    return null;
+  }
+  if (Array.isArray(body.params)) {
+    const mode = body.mimeType === 'multipart/form-data' ? 'formdata' : 'urlencoded';
+    return {
+      mode,
+      content: body.params
+        .filter(p => !p.disabled)
+        .map(p => ({
+          key: resolveInsomniaTemplate(p.name, variables),
+          value: resolveInsomniaTemplate(p.value || '', variables)
+        }))
+    };
+  }
+  return {
+    mode: 'raw',
+    content: resolveInsomniaTemplate(body.text, variables),
+    contentType: body.mimeType || ''
+  };
+}
+
+/**
+ * Status codes asserted in unit tests or after-response scripts, e.g.
+ *   expect(response.status).to.equal(200)
+ *   insomnia.expect(insomnia.response.code).to.eql(201)
+ *   insomnia.response.to.have.status(204)
+ */
+function extractStatusCodes(code) {
+  const codes = new Set();
+  const patterns = [
+    /\.(?:status|code)\)\s*\.to\.(?:equal|eql|be)\((\d{3})\)/g,
+    /to\.have\.status\((\d{3})\)/g,
+    /response\.(?:status|code)\s*={2,3}\s*(\d{3})/g
+  ];
+  patterns.forEach(regex => {
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      codes.add(match[1]);
+    }
+  });
+  return Array.from(codes);
+}
+
+module.exports = {
+  isInsomniaExport,
+  loadInsomniaExport,
+  getInsomniaWorkspaceName,
+  extractRequestsFromInsomnia
+};
@@ -0,0 +1,95 @@
+// jest-reporter.js
+
+"use strict";
+
+const fs = require("fs");
+const { getRecordsFile, loadRecords, recordsToRequests } = require("./recorder");
+const { analyzeCoverage, writeReports } = require("./analyze");
+
+/**
+ * Jest reporter that turns the requests recorded by recorder.js into a
+ * coverage report at the end of the test run:
+ *
+ *   // jest.config.js
+ *   reporters: [
+ *     "default",
+ *     ["swagger-coverage-cli/lib/jest-reporter", { spec: "openapi.yaml", output: "coverage.html" }]
+ *   ]
+ *
+ * Also usable as a Vitest reporter: `reporters: ["default", new SwaggerCoverageJestReporter({ spec })]`.
+ *
+ * Options:
+ *   spec              - API spec file(s), comma-separated string or array (required)
+ *   output            - HTML report path (default: coverage-report.html)
+ *   json, junit       - additional JSON / JUnit XML report paths
+ *   records           - records file (default: SWAGGER_COVERAGE_RECORDS or .swagger-coverage/records.jsonl)
+ *   strictQuery, strictBody, verbose, basePath - same as the CLI options
+ */
+class SwaggerCoverageJestReporter {
+  constructor(globalConfig, options) {
+    // Vitest passes the options as the only argument
+    const reporterOptions = options === undefined && globalConfig && globalConfig.spec ? globalConfig : (options || {});
+    const specs = [].concat(reporterOptions.spec || [])
+      .flatMap(spec => String(spec).split(","))
+      .map(spec => spec.trim())
+      .filter(Boolean);
+    if (specs.length === 0) {
+      throw new Error("swagger-coverage Jest reporter: the \"spec\" option is required.");
+    }
+
+    this.options = { ...reporterOptions, specs };
+    this.recordsFile = getRecordsFile(reporterOptions.records);
+    // Test workers are started after the reporter, so they inherit the records location
+    process.env.SWAGGER_COVERAGE_RECORDS = this.recordsFile;
+  }
+
+  // Jest
+  onRunStart() {
+    fs.rmSync(this.recordsFile, { force: true });
+  }
+
+  // Jest (awaited before Jest exits)
+  onRunComplete() {
+    return this.writeCoverage();
+  }
+
+  // Vitest
+  onInit() {
+    this.onRunStart();
+  }
+
+  // Vitest
+  onFinished() {
+    return this.writeCoverage();
+  }
+
+  async writeCoverage() {
+    const { options } = this;
+    const requests = recordsToRequests(loadRecords(this.recordsFile));
+    if (requests.length === 0) {
+      console.warn(`swagger-coverage: no recorded requests in ${this.recordsFile}; is the recorder attached?`);
+    }
+
+    const result = await analyzeCoverage({
+      specs: options.specs,
+      inputs: [{ name: "Recorded test requests", type: "recorder", requests }],
+      options: {
+        verbose: options.verbose,
+        strictQuery: options.strictQuery,
+        strictBody: options.strictBody,
+        basePath: options.basePath
+      }
+    });
+    const written = writeReports(result, {
+      html: options.output || "coverage-report.html",
+      json: options.json,
+      junit: options.junit
+    });
+
+    console.log(`\nSwagger coverage: ${result.coverage.toFixed(2)}% (${result.summary.covered}/${result.summary.total} operations)`);
+    Object.values(written).forEach(file => console.log(`Coverage report saved to: ${file}`));
+    return result;
+  }
+}
+
+module.exports = SwaggerCoverageJestReporter;
@@ -0,0 +1,131 @@
+// json-report.js
+
+"use strict";
+
+const { calculateCoverageSummary, roundPercent } = require("./summary");
+const { summarizeParameterCoverage } = require("./parameters");
+const { summarizeBodyCoverage } = require("./body-coverage");
+const { summarizeResponseValidation } = require("./response-validation");
+const { summarizeResponseCoverage } = require("./response-coverage");
+const pkg = require("../package.json");
+
+/**
+ * Version of the JSON report layout. Bump the major part on breaking changes
+ * (removed/renamed fields), the minor part when fields are added.
+ * The layout is documented in docs/json-report.md.
+ */
+const JSON_REPORT_SCHEMA_VERSION = "1.6";
+
+/**
+ * buildJsonReport - produces a plain object describing the whole run:
+ *
+ *   {
+ *     schemaVersion: "1.6",
+ *     generator: { name: "swagger-coverage-cli", version: "8.0.0" },
+ *     meta: { generatedAt, specName, collectionName, inputType, coverageType, apiCount, apiNames },
+ *     summary: { total, covered, uncovered, coverage },
+ *     apis: [ { name, total, covered, uncovered, coverage } ],
+ *     tags: [ { name, total, covered, uncovered, coverage } ],
+ *     protocols: [ { name, total, covered, uncovered, coverage } ],
+ *     parameters: { total, covered, uncovered, coverage, enumValues: { total, covered, coverage } },
+ *     requestBodies: { total, covered, uncovered, coverage, enumValues: { total, covered, coverage } },
+ *     responseValidation: { validated, failed, operations },
+ *     responses: { headers: { total, covered, uncovered, coverage }, contentTypes: { total, covered, uncovered, coverage } },
+ *     operations: [ ...coverageItems ],
+ *     excludedOperations: [ { apiName, method, path, statusCode, name, protocol, reason } ],
+ *     undocumentedRequests: [ { name, folder, method, rawUrl, testedStatusCodes } ]
+ *   }
+ *
+ * Accepts the same arguments as generateHtmlReport.
+ */
+function buildJsonReport({ coverageItems, meta = {} }) {
+  const summary = calculateCoverageSummary(coverageItems);
+  const parameters = summarizeParameterCoverage(coverageItems);
+  const requestBodies = summarizeBodyCoverage(coverageItems);
+  const responses = summarizeResponseCoverage(coverageItems);
+
+  return {
+    schemaVersion: JSON_REPORT_SCHEMA_VERSION,
+    generator: {
+      name: pkg.name,
+      version: pkg.version
+    },
+    meta: {
+      generatedAt: meta.generatedAt || new Date().toISOString(),
+      specName: meta.specName || "",
+      collectionName: meta.postmanCollectionName || "",
+      inputType: meta.inputType || "postman",
+      coverageType: meta.coverageType || "test",
+      apiCount: meta.apiCount || 1,
+      apiNames: meta.apiNames || []
+    },
+    summary: toTotals(summary),
+    apis: toNamedTotals(summary.byApi),
+    tags: toNamedTotals(summary.byTag),
+    protocols: toNamedTotals(summary.byProtocol),
+    parameters: toValueTotals(parameters),
+    requestBodies: toValueTotals(requestBodies),
+    responseValidation: summarizeResponseValidation(coverageItems),
+    responses: {
+      headers: toTotals(responses.headers),
+      contentTypes: toTotals(responses.contentTypes)
+    },
+    operations: coverageItems,
+    excludedOperations: (meta.excludedOperations || []).map(op => ({
+      apiName: op.apiName || "",
+      method: (op.method || "").toUpperCase(),
+      path: op.path || "",
+      statusCode: op.statusCode || "",
+      name: op.operationId || op.summary || "",
+      protocol: op.protocol || "rest",
+      reason: op.excludeReason || ""
+    })),
+    undocumentedRequests: (meta.undocumentedRequests || []).map(r => ({
+      name: r.name,
+      folder: r.folder || "",
+      method: (r.method || "").toUpperCase(),
+      rawUrl: r.rawUrl || "",
+      testedStatusCodes: r.testedStatusCodes || []
+    }))
+  };
+}
+
+/**
+ * generateJsonReport - serialised form of buildJsonReport, ready to be written to disk.
+ */
+function generateJsonReport(reportData) {
+  return JSON.stringify(buildJsonReport(reportData), null, 2);
+}
+
+function toTotals(bucket) {
+  return {
+    total: bucket.total,
+    covered: bucket.covered,
+    uncovered: bucket.uncovered,
+    coverage: roundPercent(bucket.coverage)
+  };
+}
+
+// Parameter and request body totals also count enum values
+function toValueTotals(bucket) {
+  return {
+    ...toTotals(bucket),
+    enumValues: {
+      total: bucket.enumValues.total,
+      covered: bucket.enumValues.covered,
+      coverage: roundPercent(bucket.enumValues.coverage)
+    }
+  };
+}
+
+function toNamedTotals(buckets) {
+  return Object.keys(buckets)
+    .sort()
+    .map(name => ({ name, ...toTotals(buckets[name]) }));
+}
+
+module.exports = {
+  JSON_REPORT_SCHEMA_VERSION,
+  buildJsonReport,
+  generateJsonReport
+};
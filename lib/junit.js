@@ -0,0 +1,108 @@
+// junit.js
+
+"use strict";
+
+/**
+ * generateJunitReport - renders coverage items as JUnit XML so CI servers
+ * (Jenkins, GitLab, GitHub Actions annotations, ...) can show them in their test tab.
+ *
+ * - Each coverage item (method + path + status code) becomes a <testcase>.
+ * - Test cases are grouped into <testsuite> elements by API name and first tag
+ *   (operations without tags go to "Untagged").
+ * - Uncovered operations are reported as <failure> with method, path and status code.
+ *
+ * Accepts the same arguments as generateHtmlReport.
+ *
+ * @returns {string} JUnit XML document
+ */
+function generateJunitReport({ coverageItems, meta = {} }) {
+  const suites = groupIntoSuites(coverageItems, meta.apiCount > 1);
+  const timestamp = (meta.generatedAt || new Date().toISOString()).replace(/\.\d+Z$/, "");
+
+  const totalTests = coverageItems.length;
+  const totalFailures = coverageItems.filter(item => item.unmatched).length;
+  const rootName = meta.specName || "API Coverage";
+
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(
+    `<testsuites name="${escapeXml(`Coverage: ${rootName}`)}" tests="${totalTests}" failures="${totalFailures}" errors="0" time="0">`
+  );
+
+  Object.keys(suites).forEach(suiteName => {
+    const items = suites[suiteName];
+    const failures = items.filter(item => item.unmatched).length;
+
+    lines.push(
+      `  <testsuite name="${escapeXml(suiteName)}" tests="${items.length}" failures="${failures}" errors="0" skipped="0" time="0" timestamp="${timestamp}">`
+    );
+
+    items.forEach(item => {
+      const caseName = formatOperation(item);
+      const className = suiteName.replace(/\s*\/\s*/g, ".");
+
+      if (!item.unmatched) {
+        lines.push(`    <testcase name="${escapeXml(caseName)}" classname="${escapeXml(className)}" time="0">`);
+        const requestNames = (item.matchedRequests || []).map(r => r.name).filter(Boolean);
+        if (requestNames.length > 0) {
+          lines.push(`      <system-out>${escapeXml(`Covered by: ${requestNames.join(", ")}`)}</system-out>`);
+        }
+        lines.push("    </testcase>");
+        return;
+      }
+
+      const message = `Operation not covered: ${caseName}`;
+      const details = [
+        `Method: ${item.method}`,
+        `Path: ${item.path}`,
+        `Status code: ${item.statusCode || "(none)"}`,
+        item.apiName ? `API: ${item.apiName}` : null,
+        item.name ? `Operation: ${item.name}` : null
+      ].filter(Boolean).join("\n");
+
+      lines.push(`    <testcase name="${escapeXml(caseName)}" classname="${escapeXml(className)}" time="0">`);
+      lines.push(`      <failure message="${escapeXml(message)}" type="UncoveredOperation">${escapeXml(details)}</failure>`);
+      lines.push("    </testcase>");
+    });
+
+    lines.push("  </testsuite>");
+  });
+
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Group coverage items by "<API> / <tag>" (or just "<tag>" for a single API).
+ * Insertion order follows the coverage items so the output is stable.
+ */
+function groupIntoSuites(coverageItems, includeApiName) {
+  const suites = {};
+  coverageItems.forEach(item => {
+    const tag = (item.tags && item.tags[0]) || "Untagged";
+    const suiteName = includeApiName && item.apiName ? `${item.apiName} / ${tag}` : tag;
+    if (!suites[suiteName]) {
+      suites[suiteName] = [];
+    }
+    suites[suiteName].push(item);
+  });
+  return suites;
+}
+
+function formatOperation(item) {
+  const statusPart = item.statusCode ? ` (${item.statusCode})` : "";
+  return `[${(item.method || "").toUpperCase()}] ${item.path}${statusPart}`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Strip characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+module.exports = { generateJunitReport };
@@ -0,0 +1,245 @@
+// mappings.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("js-yaml");
+
+/**
+ * Manual mapping overrides for requests the automatic matcher gets wrong.
+ *
+ *   mappings:
+ *     - request: "Login via gateway"              # request name
+ *       operation: loginUser                      # operationId
+ *     - request: { folder: "Legacy/Orders", name: "Create order" }
+ *       operation: "POST /orders 201"             # METHOD path [statusCode]
+ *     - request: { id: "6c1f..." }                # Postman item id
+ *       operation: { method: GET, path: "/users/{id}", statusCode: 200, api: "Users API" }
+ *     - request: "Health check"
+ *       exclude: true                             # never match this request
+ *
+ * Pinned requests are taken out of automatic matching and linked only to
+ * their target operation(s); excluded requests are dropped completely (they
+ * are not matched and not reported as undocumented).
+ */
+
+/**
+ * Load a mapping file (JSON or YAML).
+ * @returns {Array} normalised mapping rules
+ */
+function loadMappingFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Mapping file not found: ${filePath}`);
+  }
+  let data;
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    data = path.extname(filePath).toLowerCase() === ".json" ? JSON.parse(raw) : YAML.load(raw);
+  } catch (e) {
+    throw new Error(`Unable to parse mapping file ${filePath}: ${e.message}`);
+  }
+  return normalizeMappings(data);
+}
+
+/**
+ * Accepts { mappings: [...] } or a bare array and validates every rule.
+ * @returns {Array} [{ request: { name?, folder?, id? }, operation?: {...}, exclude: boolean }]
+ */
+function normalizeMappings(data) {
+  const list = Array.isArray(data) ? data : (data && data.mappings);
+  if (!Array.isArray(list)) {
+    throw new Error("Invalid mapping file: expected a \"mappings\" array.");
+  }
+
+  return list.map((rule, idx) => {
+    const label = `mapping #${idx + 1}`;
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`Invalid ${label}: expected an object.`);
+    }
+    const request = parseRequestSelector(rule.request, label);
+    const exclude = rule.exclude === true;
+    if (exclude && rule.operation !== undefined) {
+      throw new Error(`Invalid ${label}: "operation" and "exclude" cannot be combined.`);
+    }
+    if (!exclude && rule.operation === undefined) {
+      throw new Error(`Invalid ${label}: either "operation" or "exclude: true" is required.`);
+    }
+    return {
+      request,
+      operation: exclude ? undefined : parseOperationSelector(rule.operation, label),
+      exclude
+    };
+  });
+}
+
+function parseRequestSelector(selector, label) {
+  if (typeof selector === "string" && selector.trim()) {
+    return { name: selector.trim() };
+  }
+  if (selector && typeof selector === "object" && (selector.name || selector.folder || selector.id)) {
+    const result = {};
+    ["name", "folder", "id"].forEach(key => {
+      if (selector[key] !== undefined) result[key] = String(selector[key]).trim();
+    });
+    if (result.folder) {
+      result.folder = result.folder.replace(/^\/+|\/+$/g, "");
+    }
+    return result;
+  }
+  throw new Error(`Invalid ${label}: "request" must be a name or an object with name, folder or id.`);
+}
+
+/**
+ * "loginUser"            -> { operationId: "loginUser" }
+ * "POST /orders 201"     -> { method: "POST", path: "/orders", statusCode: "201" }
+ * { method, path, statusCode, operationId, api }
+ */
+function parseOperationSelector(selector, label) {
+  if (typeof selector === "string" && selector.trim()) {
+    const parts = selector.trim().split(/\s+/);
+    if (parts.length >= 2 && parts[1].startsWith("/")) {
+      return {
+        method: parts[0].toUpperCase(),
+        path: parts[1],
+        statusCode: parts[2] !== undefined ? String(parts[2]) : undefined
+      };
+    }
+    if (parts.length === 1) {
+      return { operationId: parts[0] };
+    }
+  } else if (selector && typeof selector === "object" && (selector.operationId || (selector.method && selector.path))) {
+    return {
+      operationId: selector.operationId,
+      method: selector.method ? String(selector.method).toUpperCase() : undefined,
+      path: selector.path,
+      statusCode: selector.statusCode !== undefined ? String(selector.statusCode) : undefined,
+      api: selector.api
+    };
+  }
+  throw new Error(`Invalid ${label}: "operation" must be an operationId, "METHOD /path [status]" or an object.`);
+}
+
+/**
+ * Does a request match a request selector? All given fields must match;
+ * `folder` matches the request's folder path or any parent folder.
+ */
+function requestMatchesSelector(req, selector) {
+  if (selector.name !== undefined && req.name !== selector.name) {
+    return false;
+  }
+  if (selector.id !== undefined && req.id !== selector.id) {
+    return false;
+  }
+  if (selector.folder !== undefined) {
+    const folderPath = req.folderPath !== undefined ? req.folderPath : (req.folder || "");
+    if (folderPath !== selector.folder && !folderPath.startsWith(selector.folder + "/")) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function itemMatchesOperation(item, selector) {
+  if (selector.api && item.apiName !== selector.api) return false;
+  if (selector.operationId && item.name !== selector.operationId) return false;
+  if (selector.method && item.method !== selector.method) return false;
+  if (selector.path && item.path !== selector.path) return false;
+  if (selector.statusCode !== undefined && String(item.statusCode) !== selector.statusCode) return false;
+  return true;
+}
+
+/**
+ * Split requests before automatic matching.
+ * @returns {{ autoRequests: Array, pinned: Array<{ request, rule }>, excluded: Array, warnings: Array<string> }}
+ */
+function partitionRequests(requests, rules) {
+  const autoRequests = [];
+  const pinned = [];
+  const excluded = [];
+  const usedRules = new Set();
+
+  requests.forEach(req => {
+    const matching = rules.filter(rule => requestMatchesSelector(req, rule.request));
+    matching.forEach(rule => usedRules.add(rule));
+
+    if (matching.some(rule => rule.exclude)) {
+      excluded.push(req);
+    } else if (matching.length > 0) {
+      matching.forEach(rule => pinned.push({ request: req, rule }));
+    } else {
+      autoRequests.push(req);
+    }
+  });
+
+  const warnings = rules
+    .filter(rule => !usedRules.has(rule))
+    .map(rule => `Mapping for request ${describeSelector(rule.request)} did not match any request.`);
+
+  return { autoRequests, pinned, excluded, warnings };
+}
+
+/**
+ * Link pinned requests to their target coverage items (after automatic
+ * matching). Without an explicit status code, the operation's status codes
+ * tested by the request are used, falling back to the first 2xx one.
+ *
+ * @param {Function} [onPin] - called with (coverageItem, request) for every link
+ * @returns {Array<string>} warnings for targets that do not exist
+ */
+function applyPinnedRequests(coverageItems, pinned, onPin) {
+  const warnings = [];
+
+  pinned.forEach(({ request, rule }) => {
+    let targets = coverageItems.filter(item => itemMatchesOperation(item, rule.operation));
+    if (targets.length === 0) {
+      warnings.push(`Mapping for request ${describeSelector(rule.request)} points to an unknown operation ${describeOperation(rule.operation)}.`);
+      return;
+    }
+
+    if (rule.operation.statusCode === undefined && targets.length > 1) {
+      const tested = targets.filter(item => (request.testedStatusCodes || []).includes(String(item.statusCode)));
+      const success = targets.filter(item => /^2\d\d$/.test(String(item.statusCode)));
+      targets = tested.length > 0 ? tested : [success[0] || targets[0]];
+    }
+
+    targets.forEach(item => {
+      item.unmatched = false;
+      item.manualMatch = true;
+      item.matchConfidence = 1;
+      item.matchedRequests.push({
+        name: request.name,
+        rawUrl: request.rawUrl,
+        method: (request.method || "").toUpperCase(),
+        testedStatusCodes: request.testedStatusCodes || [],
+        testScripts: request.testScripts || "",
+        confidence: 1,
+        manual: true
+      });
+      if (onPin) {
+        onPin(item, request);
+      }
+    });
+  });
+
+  return warnings;
+}
+
+function describeSelector(selector) {
+  return Object.keys(selector).map(key => `${key}="${selector[key]}"`).join(" ");
+}
+
+function describeOperation(selector) {
+  if (selector.method && selector.path) {
+    return `${selector.method} ${selector.path}${selector.statusCode ? ` ${selector.statusCode}` : ""}`;
+  }
+  return `"${selector.operationId}"`;
+}
+
+module.exports = {
+  loadMappingFile,
+  normalizeMappings,
+  requestMatchesSelector,
+  partitionRequests,
+  applyPinnedRequests
+};
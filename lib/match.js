@@ -4,6 +4,10 @@
 
 const Ajv = require("ajv");
 const ajv = new Ajv();
+const { calculateParameterCoverage } = require("./parameters");
+const { calculateBodyCoverage } = require("./body-coverage");
+const { validateOperationResponses } = require("./response-validation");
+const { calculateResponseCoverage } = require("./response-coverage");
 
 /**
  * matchOperationsDetailed:
@@ -46,6 +50,9 @@ const ajv = new Ajv();
  * @param {boolean} opts.verbose
  * @param {boolean} opts.strictQuery
  * @param {boolean} opts.strictBody
+ * @param {boolean} opts.explain - record `nearMisses` (see findNearMisses) on unmatched items
+ * @param {Function} [opts.pinRequests] - called with (coverageItems, onPin) to link pinned requests (mappings.js)
+ * @param {Set} [opts.matchedReqs] - filled with the request objects matched or pinned to any operation
  * @returns {Array} coverageItems
  *   [
  *     {
@@ -65,13 +72,19 @@ const ajv = new Ajv();
  *           testScripts: "pm.test('Status code is 200', function () { pm.response.to.have.status(200); });"
  *         },
  *         ...
- *       ]
+ *       ],
+ *       parameterCoverage: {...}  // see parameters.js; only for operations with path/query/header parameters
+ *       bodyCoverage: {...}       // see body-coverage.js; only for operations with a request body schema
+ *       responseValidation: {...} // see response-validation.js; only with validateResponses
+ *       responseCoverage: {...}   // see response-coverage.js; only when requests carry responses (Newman)
  *     },
  *     ...
  *   ]
  */
-function matchOperationsDetailed(specOps, postmanReqs, { verbose, strictQuery, strictBody, smartMapping = true }) {
+function matchOperationsDetailed(specOps, postmanReqs, { verbose, strictQuery, strictBody, smartMapping = true, explain = false, validateResponses = false, pinRequests, matchedReqs }) {
   let coverageItems = [];
+  // coverage item -> { specOp, requests } for parameter and request body coverage
+  const matchedBy = new Map();
 
   if (smartMapping) {
     // Group operations by method and path to handle smart status code prioritization
@@ -79,7 +92,7 @@ function matchOperationsDetailed(specOps, postmanReqs, { verbose, strictQuery, s
     
     for (const groupKey in operationGroups) {
       const operations = operationGroups[groupKey];
-      const smartMatches = findSmartMatches(operations, postmanReqs, { strictQuery, strictBody });
+      const smartMatches = findSmartMatches(operations, postmanReqs, { strictQuery, strictBody, explain, matchedBy });
       coverageItems = coverageItems.concat(smartMatches);
     }
   } else {
@@ -99,10 +112,13 @@ function matchOperationsDetailed(specOps, postmanReqs, { verbose, strictQuery, s
         unmatched: true,
         matchedRequests: []
       };
+      const matched = { specOp, requests: [] };
+      matchedBy.set(coverageItem, matched);
 
       for (const pmReq of postmanReqs) {
         if (doesMatchProtocolAware(specOp, pmReq, { strictQuery, strictBody })) {
           coverageItem.unmatched = false;
+          matched.requests.push(pmReq);
           coverageItem.matchedRequests.push({
             name: pmReq.name,
             rawUrl: pmReq.rawUrl,
@@ -113,10 +129,37 @@ function matchOperationsDetailed(specOps, postmanReqs, { verbose, strictQuery, s
         }
       }
 
+      if (explain && coverageItem.unmatched) {
+        coverageItem.nearMisses = findNearMisses(specOp, postmanReqs, { strictQuery, strictBody });
+      }
+
       coverageItems.push(coverageItem);
     }
   }
 
+  // Manually pinned requests (mapping file) are linked before coverage is computed, so they count towards it
+  const pinnedReqs = [];
+  if (pinRequests) {
+    pinRequests(coverageItems, (coverageItem, pmReq) => {
+      matchedBy.get(coverageItem).requests.push(pmReq);
+      pinnedReqs.push(pmReq);
+    });
+  }
+
+  // Request objects, not names: the requests of one recorded test share its name
+  if (matchedReqs) {
+    matchedBy.forEach(({ requests }) => requests.forEach(pmReq => matchedReqs.add(pmReq)));
+  }
+
+  attachOperationCoverage(matchedBy);
+  // Only inputs with executed responses (Newman) tell which headers and media types appeared
+  if (postmanReqs.concat(pinnedReqs).some(pmReq => Array.isArray(pmReq.responseHeaders))) {
+    attachResponseCoverage(matchedBy);
+  }
+  if (validateResponses) {
+    attachResponseValidation(matchedBy);
+  }
+
   if (verbose) {
     const totalCount = coverageItems.length;
     const matchedCount = coverageItems.filter(i => !i.unmatched).length;
@@ -152,7 +195,7 @@ function doesMatch(specOp, pmReq, { strictQuery, strictBody }) {
   }
 
   // 2. Path
-  if (!urlMatchesSwaggerPath(pmReq.rawUrl, specOp.path)) {
+  if (!requestMatchesPath(pmReq, specOp)) {
     return false;
   }
 
@@ -207,6 +250,74 @@ function checkQueryParamsStrict(specOp, pmReq) {
   return true;
 }
 
+/**
+ * attachOperationCoverage:
+ *  - Parameter and request body coverage belong to an operation (API + method + path),
+ *    so the requests matched to any of its status codes are combined, and the
+ *    resulting objects are shared by all its coverage items
+ */
+function attachOperationCoverage(matchedBy) {
+  const operations = new Map();
+  matchedBy.forEach(({ specOp, requests }, coverageItem) => {
+    const key = `${specOp.apiName || ""} ${specOp.method} ${specOp.path}`;
+    if (!operations.has(key)) {
+      operations.set(key, { specOp, requests: new Set(), items: [] });
+    }
+    const operation = operations.get(key);
+    requests.forEach(pmReq => operation.requests.add(pmReq));
+    operation.items.push(coverageItem);
+  });
+
+  operations.forEach(({ specOp, requests, items }) => {
+    const requestValues = Array.from(requests).map(pmReq => ({
+      path: extractPathParams(pmReq.rawUrl, specOp.path, specOp.basePaths) || {},
+      query: pmReq.queryParams || [],
+      header: pmReq.headers || []
+    }));
+    const parameterCoverage = calculateParameterCoverage(specOp, requestValues);
+    if (parameterCoverage) {
+      items.forEach(item => {
+        item.parameterCoverage = parameterCoverage;
+      });
+    }
+
+    const bodyCoverage = calculateBodyCoverage(specOp.requestBodySchema, Array.from(requests).map(pmReq => pmReq.bodyInfo));
+    if (bodyCoverage) {
+      items.forEach(item => {
+        item.bodyCoverage = bodyCoverage;
+      });
+    }
+  });
+}
+
+/**
+ * attachResponseValidation:
+ *  - Unlike parameter coverage, responses are validated per status code,
+ *    against the schema of that response (see response-validation.js)
+ */
+function attachResponseValidation(matchedBy) {
+  matchedBy.forEach(({ specOp, requests }, coverageItem) => {
+    const responseValidation = validateOperationResponses(specOp, requests);
+    if (responseValidation) {
+      coverageItem.responseValidation = responseValidation;
+    }
+  });
+}
+
+/**
+ * attachResponseCoverage:
+ *  - Declared response headers and media types belong to one status code,
+ *    so they are checked per coverage item (see response-coverage.js)
+ */
+function attachResponseCoverage(matchedBy) {
+  matchedBy.forEach(({ specOp, requests }, coverageItem) => {
+    const responseCoverage = calculateResponseCoverage(specOp, requests);
+    if (responseCoverage) {
+      coverageItem.responseCoverage = responseCoverage;
+    }
+  });
+}
+
 /** Utility to find a query param value by key */
 function getParamValue(queryParams, paramName) {
   const qp = queryParams.find(q => q.key === paramName);
@@ -270,8 +381,12 @@ function validateParamWithSchema(value, paramSchema) {
  * urlMatchesSwaggerPath:
  *  - Replaces {param} segments with [^/]+ in a regex, ignoring query part
  *  - Enhanced with better parameter pattern matching
+ *  - Optionally allows one of the spec base paths (servers / basePath, e.g. "/v2")
+ *    in front of the swagger path
+ *  - Unresolved Postman variables ({{userId}}) in the URL only match {param}
+ *    segments, never literal ones
  */
-function urlMatchesSwaggerPath(postmanUrl, swaggerPath) {
+function urlMatchesSwaggerPath(postmanUrl, swaggerPath, basePaths = []) {
   // Handle null/undefined URLs
   if (!postmanUrl || !swaggerPath) {
     return false;
@@ -286,6 +401,7 @@ function urlMatchesSwaggerPath(postmanUrl, swaggerPath) {
   // Enhanced regex generation with more flexible parameter matching
   const regexStr =
     "^" +
+    basePathPrefixPattern(basePaths) +
     swaggerPath
       .replace(/\/+$/, "")
       .replace(/\{[^}]+\}/g, "[^/]+") +
@@ -295,24 +411,107 @@ function urlMatchesSwaggerPath(postmanUrl, swaggerPath) {
   return re.test(cleaned);
 }
 
+/**
+ * extractPathParams:
+ *  - Same matching as urlMatchesSwaggerPath, returning the values of the
+ *    {param} segments, e.g. "/users/42" on "/users/{id}" -> { id: "42" }
+ *  - Returns null when the URL does not match the path
+ */
+function extractPathParams(postmanUrl, swaggerPath, basePaths = []) {
+  if (!postmanUrl || !swaggerPath) {
+    return null;
+  }
+
+  let cleaned = postmanUrl.replace(/^(https?:\/\/)?\{\{.*?\}\}/, "");
+  cleaned = cleaned.replace(/^https?:\/\/[^/]+/, "");
+  cleaned = cleaned.split("?")[0];
+  cleaned = cleaned.replace(/\/+$/, "");
+  if (!cleaned) cleaned = "/";
+
+  const names = [];
+  const regexStr =
+    "^" +
+    basePathPrefixPattern(basePaths) +
+    swaggerPath
+      .replace(/\/+$/, "")
+      .split("/")
+      .map(segment => {
+        if (/\{[^}]+\}/.test(segment)) {
+          return segment
+            .split(/(\{[^}]+\})/)
+            .map(part => {
+              const param = part.match(/^\{([^}]+)\}$/);
+              if (!param) return escapeRegExp(part);
+              names.push(param[1]);
+              return "([^/]+?)";
+            })
+            .join("");
+        }
+        return escapeRegExp(segment);
+      })
+      .join("/") +
+    "$";
+
+  const match = cleaned.match(new RegExp(regexStr));
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  names.forEach((name, i) => {
+    params[name] = match[i + 1];
+  });
+  return params;
+}
+
+/**
+ * basePathPrefixPattern:
+ *  - Builds an optional regex group for base paths, e.g. ["/v2", "/api/{version}"]
+ *    -> optional "/v2" or "/api/<any segment>" in front of the path
+ *  - Unresolved server variables ({name}) match any single segment
+ */
+function basePathPrefixPattern(basePaths) {
+  if (!Array.isArray(basePaths) || basePaths.length === 0) {
+    return "";
+  }
+  const alternatives = basePaths
+    .map(bp => bp.replace(/\/+$/, ""))
+    .filter(Boolean)
+    .map(bp =>
+      bp
+        .split(/(\{[^}]+\})/)
+        .map(part => (/^\{[^}]+\}$/.test(part) ? "[^/]+" : escapeRegExp(part)))
+        .join("")
+    );
+  return alternatives.length ? `(?:${alternatives.join("|")})?` : "";
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 /**
  * Calculate path similarity for fuzzy matching
  */
-function calculatePathSimilarity(postmanUrl, swaggerPath) {
+function calculatePathSimilarity(postmanUrl, swaggerPath, basePaths = []) {
   // Handle null/undefined inputs
   if (!postmanUrl || !swaggerPath) {
     return 0;
   }
 
-  const cleanedUrl = postmanUrl.replace(/^(https?:\/\/)?\{\{.*?\}\}/, "")
-                               .replace(/^https?:\/\/[^/]+/, "")
-                               .split("?")[0]
-                               .replace(/\/+$/, "");
+  let cleanedUrl = postmanUrl.replace(/^(https?:\/\/)?\{\{.*?\}\}/, "")
+                             .replace(/^https?:\/\/[^/]+/, "")
+                             .split("?")[0]
+                             .replace(/\/+$/, "");
+  // Strip a leading base path (e.g. "/v2") before comparing segments
+  const basePrefix = basePathPrefixPattern(basePaths);
+  if (basePrefix) {
+    cleanedUrl = cleanedUrl.replace(new RegExp("^" + basePrefix.slice(0, -1) + "(?=/|$)"), "");
+  }
   const normalizedUrl = cleanedUrl || "/";
   const normalizedSwagger = swaggerPath.replace(/\/+$/, "") || "/";
   
   // Direct match gets highest score
-  if (urlMatchesSwaggerPath(postmanUrl, swaggerPath)) {
+  if (urlMatchesSwaggerPath(postmanUrl, swaggerPath, basePaths)) {
     return 1.0;
   }
   
@@ -369,7 +568,7 @@ function groupOperationsByMethodAndPath(specOps) {
 /**
  * Find smart matches for a group of operations (same method/path, different status codes)
  */
-function findSmartMatches(operations, postmanReqs, { strictQuery, strictBody }) {
+function findSmartMatches(operations, postmanReqs, { strictQuery, strictBody, explain = false, matchedBy = null }) {
   const coverageItems = [];
   
   // Sort operations by status code priority (2xx first, then others)
@@ -411,6 +610,10 @@ function findSmartMatches(operations, postmanReqs, { strictQuery, strictBody })
       isPrimaryMatch: false,
       matchConfidence: 0
     };
+    const matched = { specOp, requests: [] };
+    if (matchedBy) {
+      matchedBy.set(coverageItem, matched);
+    }
 
     // Find requests that match this specific operation
     for (const pmReq of matchingRequests) {
@@ -426,6 +629,7 @@ function findSmartMatches(operations, postmanReqs, { strictQuery, strictBody })
         
         if (isPrimaryCandidate || requestTestsThisStatus || hasNoStatusCode) {
           coverageItem.unmatched = false;
+          matched.requests.push(pmReq);
           coverageItem.matchConfidence = Math.max(coverageItem.matchConfidence, matchResult.confidence);
           coverageItem.matchedRequests.push({
             name: pmReq.name,
@@ -444,6 +648,10 @@ function findSmartMatches(operations, postmanReqs, { strictQuery, strictBody })
       }
     }
 
+    if (explain && coverageItem.unmatched) {
+      coverageItem.nearMisses = findNearMisses(specOp, postmanReqs, { strictQuery, strictBody });
+    }
+
     coverageItems.push(coverageItem);
   }
   
@@ -465,7 +673,7 @@ function doesMatchBasic(specOp, pmReq, { strictQuery, strictBody }) {
   }
 
   // 2. Path
-  if (!urlMatchesSwaggerPath(pmReq.rawUrl, specOp.path)) {
+  if (!requestMatchesPath(pmReq, specOp)) {
     return false;
   }
 
@@ -535,17 +743,28 @@ function isSuccessStatusCode(statusCode) {
   return code >= 200 && code < 300;
 }
 
+/**
+ * Path check of a request: its URL, else the route template recorded by
+ * server-side middleware (recorder.js), e.g. /files/{name} for /files/a/b.txt
+ */
+function requestMatchesPath(pmReq, specOp, protocol = "rest") {
+  if (urlMatchesPath(pmReq.rawUrl, specOp.path, protocol, specOp.basePaths)) {
+    return true;
+  }
+  return Boolean(pmReq.route) && urlMatchesPath(pmReq.route, specOp.path, protocol, specOp.basePaths);
+}
+
 /**
  * Protocol-aware URL matching for gRPC and GraphQL
  */
-function urlMatchesPath(postmanUrl, specPath, protocol) {
+function urlMatchesPath(postmanUrl, specPath, protocol, basePaths = []) {
   if (protocol === 'grpc') {
     return urlMatchesGrpcPath(postmanUrl, specPath);
   } else if (protocol === 'graphql') {
     return urlMatchesGraphQLPath(postmanUrl, specPath);
   } else {
     // Default to OpenAPI/REST matching
-    return urlMatchesSwaggerPath(postmanUrl, specPath);
+    return urlMatchesSwaggerPath(postmanUrl, specPath, basePaths);
   }
 }
 
@@ -633,7 +852,7 @@ function doesMatchProtocolAware(specOp, pmReq, { strictQuery, strictBody }) {
   }
 
   // 2. Protocol-aware path matching
-  if (!urlMatchesPath(pmReq.rawUrl, specOp.path, protocol)) {
+  if (!requestMatchesPath(pmReq, specOp, protocol)) {
     return false;
   }
 
@@ -690,7 +909,7 @@ function doesMatchBasicProtocolAware(specOp, pmReq, { strictQuery, strictBody })
   }
 
   // 2. Protocol-aware path matching
-  if (!urlMatchesPath(pmReq.rawUrl, specOp.path, protocol)) {
+  if (!requestMatchesPath(pmReq, specOp, protocol)) {
     return false;
   }
 
@@ -715,9 +934,128 @@ function doesMatchBasicProtocolAware(specOp, pmReq, { strictQuery, strictBody })
   return true;
 }
 
+// How many near-miss candidates are recorded per unmatched operation
+const NEAR_MISS_LIMIT = 3;
+
+/**
+ * findNearMisses:
+ *  - For an unmatched spec operation, picks the requests that come closest
+ *    (ranked by calculatePathSimilarity, falling back to the share of equal
+ *    literal path segments at half weight) and records which check rejected each one.
+ *
+ * @returns {Array} [{ name, method, rawUrl, similarity, failedCheck, reason }]
+ *   failedCheck: "method" | "path" | "statusCode" | "strictBody" | "strictQuery" | "none"
+ */
+function findNearMisses(specOp, postmanReqs, { strictQuery, strictBody }, limit = NEAR_MISS_LIMIT) {
+  return postmanReqs
+    .map(pmReq => ({ pmReq, similarity: nearMissScore(specOp, pmReq) }))
+    .filter(candidate => candidate.similarity > 0)
+    .sort((a, b) =>
+      b.similarity - a.similarity ||
+      Number(sameMethod(specOp, b.pmReq)) - Number(sameMethod(specOp, a.pmReq))
+    )
+    .slice(0, limit)
+    .map(({ pmReq, similarity }) => {
+      const rejection = explainMismatch(specOp, pmReq, { strictQuery, strictBody }) || {
+        check: "none",
+        reason: "passes all checks, but smart mapping assigned it to another status code of this operation"
+      };
+      return {
+        name: pmReq.name,
+        method: (pmReq.method || "").toUpperCase(),
+        rawUrl: pmReq.rawUrl,
+        similarity: Math.round(similarity * 100) / 100,
+        failedCheck: rejection.check,
+        reason: rejection.reason
+      };
+    });
+}
+
+function sameMethod(specOp, pmReq) {
+  const protocol = specOp.protocol || 'rest';
+  const expected = protocol === 'grpc' || protocol === 'graphql' ? 'post' : (specOp.method || '').toLowerCase();
+  return (pmReq.method || '').toLowerCase() === expected;
+}
+
+function nearMissScore(specOp, pmReq) {
+  const similarity = calculatePathSimilarity(pmReq.rawUrl, specOp.path, specOp.basePaths);
+  if (similarity > 0) {
+    return similarity;
+  }
+  // Different segment values or counts: share of equal segments, at half weight
+  const urlSegments = (pmReq.rawUrl || "")
+    .replace(/^(https?:\/\/)?\{\{.*?\}\}/, "")
+    .replace(/^https?:\/\/[^/]+/, "")
+    .split("?")[0]
+    .split("/")
+    .filter(Boolean);
+  const specSegments = (specOp.path || "").split("/").filter(Boolean);
+  const longest = Math.max(urlSegments.length, specSegments.length);
+  if (longest === 0) {
+    return 0;
+  }
+  const common = specSegments.filter(seg => urlSegments.includes(seg)).length;
+  return 0.5 * (common / longest);
+}
+
+/**
+ * explainMismatch:
+ *  - Runs the same checks as doesMatchProtocolAware, in the same order, and
+ *    returns the first one that rejects the request, or null when all pass.
+ *
+ * @returns {{ check: string, reason: string }|null}
+ */
+function explainMismatch(specOp, pmReq, { strictQuery, strictBody }) {
+  const protocol = specOp.protocol || 'rest';
+  const expectedMethod = protocol === 'grpc' || protocol === 'graphql' ? 'POST' : (specOp.method || '').toUpperCase();
+  const actualMethod = (pmReq.method || '').toUpperCase();
+
+  // 1. Method
+  if (actualMethod !== expectedMethod) {
+    return { check: "method", reason: `method ${actualMethod} instead of ${expectedMethod}` };
+  }
+
+  // 2. Path
+  if (!requestMatchesPath(pmReq, specOp, protocol)) {
+    return { check: "path", reason: `URL does not match path ${specOp.path}` };
+  }
+
+  // 3. Status code
+  if (specOp.statusCode) {
+    const specStatusCode = specOp.statusCode.toString();
+    const tested = pmReq.testedStatusCodes || [];
+    if (!tested.includes(specStatusCode)) {
+      return {
+        check: "statusCode",
+        reason: `status ${specStatusCode} is not tested (tested: ${tested.length ? tested.join(", ") : "none"})`
+      };
+    }
+  }
+
+  // 4. Strict body
+  if (strictBody) {
+    const bodyOk = protocol === 'grpc' || protocol === 'graphql' ?
+      matchesRequestBody(pmReq, specOp) :
+      checkRequestBodyStrict(specOp, pmReq);
+    if (!bodyOk) {
+      return { check: "strictBody", reason: "request body does not match the spec content type (--strict-body)" };
+    }
+  }
+
+  // 5. Strict query
+  if (strictQuery && protocol === 'rest' && !checkQueryParamsStrict(specOp, pmReq)) {
+    return { check: "strictQuery", reason: "required query parameters missing or invalid (--strict-query)" };
+  }
+
+  return null;
+}
+
 module.exports = {
   matchOperationsDetailed,
+  findNearMisses,
+  explainMismatch,
   urlMatchesSwaggerPath,
+  extractPathParams,
   validateParamWithSchema,
   matchOperations: matchOperationsDetailed,
   groupOperationsByMethodAndPath,
@@ -0,0 +1,129 @@
+// middleware.js
+
+"use strict";
+
+const { createRecorder } = require("./recorder");
+const SwaggerCoverageJestReporter = require("./jest-reporter");
+
+/**
+ * Server-side recording for in-process integration tests: the application
+ * records every request it handles (method, URL with query, matched route,
+ * parsed body and response status) in the recorder.js records format.
+ *
+ *   app.use(expressCoverage());                    // Express (first middleware)
+ *   app.use(koaCoverage());                        // Koa (before the router)
+ *   fastify.register(fastifyCoverage());           // Fastify
+ *
+ * The records are turned into a report by the Jest reporter (jest-reporter.js),
+ * by the CLI (`swagger-coverage-cli openapi.yaml .swagger-coverage/records.jsonl`)
+ * or, for other runners and standalone servers, by reportCoverageOnExit().
+ *
+ * Options of the middleware factories:
+ *   records      - records file (default: SWAGGER_COVERAGE_RECORDS or .swagger-coverage/records.jsonl)
+ *   getTestInfo  - returns { test, testFile } for the current request (default: the running Jest/Vitest test)
+ */
+
+function expressCoverage(options = {}) {
+  const recorder = createRecorder({ file: options.records, getTestInfo: options.getTestInfo });
+  return function swaggerCoverageMiddleware(req, res, next) {
+    // Body parsers and routers run after this middleware, so read everything once the response is sent
+    res.on("finish", () => recorder.record({
+      method: req.method,
+      url: req.originalUrl || req.url,
+      route: req.route ? `${req.baseUrl || ""}${req.route.path}` : undefined,
+      body: hasBody(req.headers) ? req.body : undefined,
+      status: res.statusCode
+    }));
+    next();
+  };
+}
+
+function koaCoverage(options = {}) {
+  const recorder = createRecorder({ file: options.records, getTestInfo: options.getTestInfo });
+  return async function swaggerCoverageMiddleware(ctx, next) {
+    let status;
+    try {
+      await next();
+      status = ctx.status;
+    } catch (error) {
+      // Koa's error handler turns the error into the response status later on
+      status = error.status || error.statusCode || 500;
+      throw error;
+    } finally {
+      recorder.record({
+        method: ctx.method,
+        url: ctx.originalUrl || ctx.url,
+        route: ctx._matchedRoute, // set by @koa/router
+        body: hasBody(ctx.headers || {}) && ctx.request ? ctx.request.body : undefined,
+        status
+      });
+    }
+  };
+}
+
+function fastifyCoverage(options = {}) {
+  const recorder = createRecorder({ file: options.records, getTestInfo: options.getTestInfo });
+  function swaggerCoveragePlugin(fastify, pluginOptions, done) {
+    fastify.addHook("onResponse", (request, reply, hookDone) => {
+      recorder.record({
+        method: request.method,
+        url: request.url,
+        route: request.routeOptions ? request.routeOptions.url : request.routerPath,
+        body: hasBody(request.headers) ? request.body : undefined,
+        status: reply.statusCode
+      });
+      hookDone();
+    });
+    done();
+  }
+  // Same as wrapping with fastify-plugin: the hook applies to every route, not only this plugin's scope
+  swaggerCoveragePlugin[Symbol.for("skip-override")] = true;
+  return swaggerCoveragePlugin;
+}
+
+// Body parsers set an empty body on GET requests too; only record bodies that were sent
+function hasBody(headers) {
+  return Number(headers["content-length"]) > 0 || headers["transfer-encoding"] !== undefined;
+}
+
+/**
+ * Write the coverage report of the recorded requests when the process ends:
+ * when the event loop drains (`beforeExit`) or on SIGINT/SIGTERM. Same options
+ * as the Jest reporter (spec is required). The records file is cleared first,
+ * so call this before creating the middleware, or pass both the same `records`.
+ *
+ * `process.exit()` skips the report; call the returned function yourself first.
+ *
+ * @returns {Function} writes the report now; resolves with the analyzeCoverage result
+ */
+function reportCoverageOnExit(options = {}) {
+  const reporter = new SwaggerCoverageJestReporter(options);
+  reporter.onRunStart();
+
+  let written = null;
+  const writeReport = () => {
+    if (!written) {
+      written = reporter.writeCoverage().catch(error => {
+        console.error(`swagger-coverage: ${error.message}`);
+        process.exitCode = 1;
+      });
+    }
+    return written;
+  };
+
+  process.once("beforeExit", writeReport);
+  ["SIGINT", "SIGTERM"].forEach(signal => {
+    process.once(signal, () => {
+      // The listener is gone by now, so re-sending the signal ends the process as usual
+      writeReport().then(() => process.kill(process.pid, signal));
+    });
+  });
+  return writeReport;
+}
+
+module.exports = {
+  expressCoverage,
+  koaCoverage,
+  fastifyCoverage,
+  reportCoverageOnExit
+};
@@ -0,0 +1,108 @@
+// newman-reporter.js
+
+"use strict";
+
+const { loadSpecOperations } = require("./specs");
+const { extractRequestsFromNewman } = require("./newman");
+const { analyzeCoverage, writeReports } = require("./analyze");
+
+/**
+ * Newman reporter that writes the coverage report at the end of a run, without
+ * saving a Newman JSON report first:
+ *
+ *   newman run collection.json -r cli,swagger-coverage \
+ *     --reporter-swagger-coverage-spec openapi.yaml \
+ *     --reporter-swagger-coverage-export coverage.html
+ *
+ * Newman loads external reporters from packages named `newman-reporter-<name>`;
+ * packages/newman-reporter-swagger-coverage re-exports this module.
+ *
+ * Reporter options (--reporter-swagger-coverage-<option>):
+ *   spec          - API spec file(s), comma-separated (required)
+ *   export        - HTML report path (default: coverage-report.html)
+ *   json, junit   - additional JSON / JUnit XML report paths
+ *   strictQuery, strictBody, validateResponses, verbose - same as the CLI flags
+ *   basePath      - base path(s) in front of spec paths, comma-separated
+ *
+ * Specs are loaded as soon as the reporter is created. Newman's CLI may exit
+ * right after the run callback, so by the end of the run only in-memory work
+ * (matching and synchronous report writing) is left.
+ */
+function SwaggerCoverageReporter(emitter, reporterOptions = {}) {
+  const options = normalizeReporterOptions(reporterOptions);
+  const specsReady = Promise.all(options.specs.map(file =>
+    loadSpecOperations({ file, basePath: options.basePath }, options.verbose)
+  ));
+  // Avoid an unhandled rejection before the run ends; the error is reported in beforeDone
+  specsReady.catch(() => {});
+
+  // Resolves with the analyzeCoverage result once the report is written
+  this.done = null;
+
+  emitter.on("beforeDone", (err, { summary } = {}) => {
+    if (!summary) {
+      return;
+    }
+    // Same structure as the report written by Newman's JSON reporter
+    const newmanReport = JSON.parse(JSON.stringify({ collection: summary.collection, run: summary.run }));
+    const collectionName = newmanReport.collection?.info?.name || "Newman Run";
+
+    this.done = specsReady
+      .then(specs => analyzeCoverage({
+        specs,
+        inputs: [{
+          name: collectionName,
+          type: "newman",
+          requests: extractRequestsFromNewman(newmanReport, options.verbose)
+        }],
+        options: {
+          verbose: options.verbose,
+          strictQuery: options.strictQuery,
+          strictBody: options.strictBody,
+          validateResponses: options.validateResponses,
+          newman: true
+        }
+      }))
+      .then(result => {
+        const written = writeReports(result, { html: options.export, json: options.json, junit: options.junit });
+        console.log(`Swagger coverage: ${result.coverage.toFixed(2)}% (${result.summary.covered}/${result.summary.total} operations)`);
+        Object.values(written).forEach(file => console.log(`Coverage report saved to: ${file}`));
+        return result;
+      })
+      .catch(error => {
+        console.error(`swagger-coverage reporter: ${error.message}`);
+        process.exitCode = 1;
+      });
+  });
+}
+
+/**
+ * Reporter options come from the command line as strings (or `true` for flags).
+ */
+function normalizeReporterOptions(reporterOptions) {
+  const flag = value => value === true || value === "true";
+  const list = value => (Array.isArray(value) ? value : String(value || "").split(","))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  const specs = list(reporterOptions.spec);
+  if (specs.length === 0) {
+    throw new Error("swagger-coverage reporter: the \"spec\" option is required (--reporter-swagger-coverage-spec <file>).");
+  }
+  const basePath = list(reporterOptions.basePath);
+
+  return {
+    specs,
+    export: reporterOptions.export || "coverage-report.html",
+    json: reporterOptions.json,
+    junit: reporterOptions.junit,
+    strictQuery: flag(reporterOptions.strictQuery),
+    strictBody: flag(reporterOptions.strictBody),
+    validateResponses: flag(reporterOptions.validateResponses),
+    verbose: flag(reporterOptions.verbose),
+    basePath: basePath.length > 0 ? basePath : undefined
+  };
+}
+
+module.exports = SwaggerCoverageReporter;
+module.exports.normalizeReporterOptions = normalizeReporterOptions;
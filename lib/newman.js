@@ -46,6 +46,11 @@ function extractRequestsFromNewman(newmanReport, verbose = false) {
       queryParams = request.url.query.map(q => ({ key: q.key, value: q.value }));
     }
     
+    // Headers actually sent
+    const headers = (Array.isArray(request.header) ? request.header : [])
+      .filter(h => h && h.key && !h.disabled)
+      .map(h => ({ key: h.key, value: h.value }));
+
     // Extract body information
     let bodyInfo = null;
     if (request.body && request.body.mode) {
@@ -78,11 +83,13 @@ function extractRequestsFromNewman(newmanReport, verbose = false) {
     }
     
     requests.push({
+      id: item.id,
       name: item.name || 'Unnamed Request',
       folder: '', // Newman reports don't typically include folder structure
       method,
       rawUrl,
       queryParams,
+      headers,
       bodyInfo,
       testedStatusCodes,
       testScripts: testScripts.trim(),
@@ -91,6 +98,9 @@ function extractRequestsFromNewman(newmanReport, verbose = false) {
       responseCode: response.code,
       responseStatus: response.status,
       responseTime: response.responseTime,
+      responseHeaders: responseHeaderList(response),
+      responseContentType: responseHeader(response, 'content-type'),
+      responseBody: responseBodyText(response),
       assertions: assertionDetails
     });
   });
@@ -101,6 +111,40 @@ function extractRequestsFromNewman(newmanReport, verbose = false) {
   return requests;
 }
 
+/**
+ * Response headers as [{ key, value }]; Newman's JSON reporter writes `header`,
+ * older reports `headers`. undefined when the execution has no response.
+ */
+function responseHeaderList(response) {
+  const headers = Array.isArray(response.header) ? response.header :
+    (Array.isArray(response.headers) ? response.headers : null);
+  if (!headers) {
+    return undefined;
+  }
+  return headers
+    .filter(h => h && h.key)
+    .map(h => ({ key: h.key, value: h.value }));
+}
+
+function responseHeader(response, name) {
+  const found = (responseHeaderList(response) || []).find(h => String(h.key).toLowerCase() === name);
+  return found ? String(found.value) : undefined;
+}
+
+/**
+ * Response body as text: `stream` is a serialized Buffer ({ type: 'Buffer', data: [...] }).
+ */
+function responseBodyText(response) {
+  if (typeof response.body === 'string') {
+    return response.body;
+  }
+  const stream = response.stream;
+  if (stream && stream.type === 'Buffer' && Array.isArray(stream.data)) {
+    return Buffer.from(stream.data).toString('utf8');
+  }
+  return undefined;
+}
+
 module.exports = {
   loadNewmanReport,
   extractRequestsFromNewman
@@ -0,0 +1,236 @@
+// otel.js
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * OpenTelemetry trace loader (OTLP JSON, e.g. written by the collector's file exporter).
+ *
+ * Server spans become request records:
+ *   - HTTP spans: http.request.method / http.method, url.path / http.target /
+ *     url.full / http.url (falling back to http.route) and
+ *     http.response.status_code / http.status_code
+ *   - gRPC spans: rpc.service + rpc.method -> "/package.Service/Method" (the path
+ *     of operations from extractOperationsFromProto) and rpc.grpc.status_code,
+ *     translated to the HTTP status used by the gRPC operations (OK -> 200)
+ */
+
+const SPAN_KIND_SERVER = 2;
+
+// gRPC status code -> HTTP status (https://github.com/grpc/grpc/blob/master/doc/http-grpc-status-mapping.md)
+const GRPC_TO_HTTP_STATUS = {
+  0: '200',   // OK
+  1: '499',   // CANCELLED
+  2: '500',   // UNKNOWN
+  3: '400',   // INVALID_ARGUMENT
+  4: '504',   // DEADLINE_EXCEEDED
+  5: '404',   // NOT_FOUND
+  6: '409',   // ALREADY_EXISTS
+  7: '403',   // PERMISSION_DENIED
+  8: '429',   // RESOURCE_EXHAUSTED
+  9: '400',   // FAILED_PRECONDITION
+  10: '409',  // ABORTED
+  11: '400',  // OUT_OF_RANGE
+  12: '501',  // UNIMPLEMENTED
+  13: '500',  // INTERNAL
+  14: '503',  // UNAVAILABLE
+  15: '500',  // DATA_LOSS
+  16: '401'   // UNAUTHENTICATED
+};
+
+/**
+ * Parse OTLP JSON content: a single export request ({ resourceSpans }) or
+ * JSON lines with one export request per line.
+ * @returns {Array|null} export requests, or null if the content is not OTLP traces
+ */
+function parseOtlpJson(text) {
+  const isTraces = data => Boolean(data && Array.isArray(data.resourceSpans));
+  try {
+    const data = JSON.parse(text);
+    return isTraces(data) ? [data] : null;
+  } catch (e) {
+    // not a single JSON document: try JSON lines
+  }
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return null;
+  }
+  try {
+    const payloads = lines.map(line => JSON.parse(line));
+    return payloads.every(isTraces) ? payloads : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Load an OTLP JSON trace file.
+ */
+function loadOtlpTraces(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Trace file not found: ${filePath}`);
+  }
+  const payloads = parseOtlpJson(fs.readFileSync(filePath, 'utf8'));
+  if (!payloads) {
+    throw new Error('Invalid OTLP JSON trace file: missing resourceSpans.');
+  }
+  return payloads;
+}
+
+/**
+ * OTLP attribute list -> { key: value }.
+ */
+function attributesToMap(attributes) {
+  const map = {};
+  (attributes || []).forEach(({ key, value }) => {
+    if (!value) return;
+    if (value.stringValue !== undefined) map[key] = value.stringValue;
+    else if (value.intValue !== undefined) map[key] = String(value.intValue);
+    else if (value.doubleValue !== undefined) map[key] = String(value.doubleValue);
+    else if (value.boolValue !== undefined) map[key] = String(value.boolValue);
+  });
+  return map;
+}
+
+function isServerSpan(span) {
+  return span.kind === SPAN_KIND_SERVER || span.kind === 'SPAN_KIND_SERVER';
+}
+
+/**
+ * Extract requests from OTLP trace export requests.
+ * Spans with the same method, path and status are merged into one request
+ * with a `hits` counter.
+ *
+ * @param {Array|Object} payloads - result of loadOtlpTraces (or a single export request)
+ * @param {boolean} verbose
+ * @returns {Array} requests (same shape as extractRequestsFromNewman)
+ */
+function extractRequestsFromOtlp(payloads, verbose = false) {
+  const requests = new Map();
+  let skipped = 0;
+
+  [].concat(payloads).forEach(payload => {
+    (payload.resourceSpans || []).forEach(resourceSpan => {
+      const resource = attributesToMap(resourceSpan.resource && resourceSpan.resource.attributes);
+      const serviceName = resource['service.name'] || '';
+      const scopeSpans = resourceSpan.scopeSpans || resourceSpan.instrumentationLibrarySpans || [];
+
+      scopeSpans.forEach(scope => {
+        (scope.spans || []).filter(isServerSpan).forEach(span => {
+          const record = spanToRequest(span, serviceName);
+          if (!record) {
+            skipped++;
+            return;
+          }
+          const key = `${record.method} ${record.rawUrl.split('?')[0]} ${record.testedStatusCodes.join(',')}`;
+          const existing = requests.get(key);
+          if (existing) {
+            existing.hits++;
+            record.queryParams.forEach(param => {
+              if (!existing.queryParams.some(q => q.key === param.key)) {
+                existing.queryParams.push(param);
+              }
+            });
+          } else {
+            requests.set(key, record);
+          }
+        });
+      });
+    });
+  });
+
+  const result = Array.from(requests.values());
+  if (verbose) {
+    console.log(`Requests found in the trace file: ${result.length} distinct` +
+      (skipped > 0 ? ` (${skipped} server spans without HTTP/RPC attributes skipped)` : ''));
+  }
+  return result;
+}
+
+function spanToRequest(span, serviceName) {
+  const attrs = attributesToMap(span.attributes);
+  const base = {
+    id: span.spanId,
+    name: span.name || '',
+    folder: serviceName,
+    folderPath: serviceName,
+    queryParams: [],
+    bodyInfo: null,
+    testScripts: '',
+    executed: true,
+    hits: 1
+  };
+
+  // gRPC server span
+  if (attrs['rpc.service'] && attrs['rpc.method'] && (!attrs['rpc.system'] || attrs['rpc.system'] === 'grpc')) {
+    const grpcCode = attrs['rpc.grpc.status_code'];
+    const status = grpcCode !== undefined ? GRPC_TO_HTTP_STATUS[grpcCode] || '500' : null;
+    return {
+      ...base,
+      method: 'post',
+      rawUrl: `/${attrs['rpc.service']}/${attrs['rpc.method']}`,
+      bodyInfo: { mode: 'grpc', content: null, contentType: 'application/grpc' },
+      testedStatusCodes: status ? [status] : [],
+      responseCode: status ? Number(status) : undefined,
+      grpcStatusCode: grpcCode !== undefined ? Number(grpcCode) : undefined
+    };
+  }
+
+  // HTTP server span
+  const method = attrs['http.request.method'] || attrs['http.method'];
+  const target = httpTarget(attrs);
+  if (!method || !target) {
+    return null;
+  }
+  const status = attrs['http.response.status_code'] || attrs['http.status_code'];
+  const [, query = ''] = target.split('?');
+  return {
+    ...base,
+    method: method.toLowerCase(),
+    rawUrl: target,
+    queryParams: query.split('&').filter(Boolean).map(pair => {
+      const [key, value = ''] = pair.split('=');
+      return { key, value };
+    }),
+    testedStatusCodes: status ? [String(status)] : [],
+    responseCode: status ? Number(status) : undefined
+  };
+}
+
+/**
+ * Request path (+ query) of an HTTP span. The concrete path is preferred;
+ * a route template ("/users/:id", "/users/{id}") is used as fallback, with its
+ * parameters turned into {{variables}} that match any path segment.
+ */
+function httpTarget(attrs) {
+  if (attrs['url.path']) {
+    return attrs['url.path'] + (attrs['url.query'] ? `?${attrs['url.query']}` : '');
+  }
+  if (attrs['http.target']) {
+    return attrs['http.target'];
+  }
+  const fullUrl = attrs['url.full'] || attrs['http.url'];
+  if (fullUrl) {
+    try {
+      const parsed = new URL(fullUrl);
+      return parsed.pathname + parsed.search;
+    } catch (e) {
+      // malformed URL: try the route
+    }
+  }
+  if (attrs['http.route']) {
+    return attrs['http.route']
+      .split('/')
+      .map(segment => segment.replace(/^\{([^{}]+)\}$|^:([A-Za-z_]\w*)$/, (match, braced, colon) => `{{${braced || colon}}}`))
+      .join('/');
+  }
+  return null;
+}
+
+module.exports = {
+  GRPC_TO_HTTP_STATUS,
+  parseOtlpJson,
+  loadOtlpTraces,
+  extractRequestsFromOtlp
+};
@@ -0,0 +1,156 @@
+// parameters.js
+
+"use strict";
+
+const { roundPercent } = require("./summary");
+
+/**
+ * Parameter-level coverage: which declared path, query and header parameters
+ * of an operation were sent by the requests matched to it, and which enum
+ * values were exercised.
+ *
+ *   item.parameterCoverage = {
+ *     total: 3,
+ *     covered: 2,
+ *     coverage: 66.67,
+ *     parameters: [
+ *       { name: "id", in: "path", required: true, sent: true },
+ *       { name: "status", in: "query", required: false, sent: true,
+ *         enum: ["active", "disabled"], exercisedValues: ["active"] },
+ *       { name: "X-Request-Id", in: "header", required: false, sent: false }
+ *     ]
+ *   }
+ *
+ * The object is computed once per operation (method + path) from the requests
+ * matched to any of its status codes, and shared by those coverage items.
+ */
+
+const PARAMETER_LOCATIONS = ["path", "query", "header"];
+
+// OpenAPI ignores header parameters with these names (they are described elsewhere)
+const IGNORED_HEADERS = ["accept", "content-type", "authorization"];
+
+const UNRESOLVED_VARIABLE = /\{\{[^{}]+\}\}/;
+
+/**
+ * @param {Object} specOp - operation from extractOperationsFromSpec
+ * @param {Array} requestValues - one entry per matched request:
+ *   { path: { name: value }, query: [{ key, value }], header: [{ key, value }] }
+ * @returns {Object|null} null when the operation declares no such parameters
+ */
+function calculateParameterCoverage(specOp, requestValues) {
+  const declared = (specOp.parameters || []).filter(p =>
+    p && p.name &&
+    PARAMETER_LOCATIONS.includes(p.in) &&
+    !(p.in === "header" && IGNORED_HEADERS.includes(p.name.toLowerCase()))
+  );
+  if (declared.length === 0) {
+    return null;
+  }
+
+  const parameters = declared.map(param => {
+    const sentValues = requestValues
+      .map(values => sentParameterValues(values, param))
+      .filter(values => values !== undefined);
+    const entry = {
+      name: param.name,
+      in: param.in,
+      required: Boolean(param.required),
+      sent: sentValues.length > 0
+    };
+
+    const enumValues = schemaEnum(param.schema);
+    if (enumValues) {
+      const exercised = new Set(sentValues.flat());
+      entry.enum = enumValues;
+      entry.exercisedValues = enumValues.filter(value => exercised.has(value));
+    }
+    return entry;
+  });
+
+  const covered = parameters.filter(p => p.sent).length;
+  return {
+    total: parameters.length,
+    covered,
+    coverage: roundPercent((covered / parameters.length) * 100),
+    parameters
+  };
+}
+
+/**
+ * Values of one parameter in one request, or undefined when it was not sent.
+ * Unresolved variables ({{name}}) count as sent but are not enum values.
+ */
+function sentParameterValues(values, param) {
+  let raw;
+  if (param.in === "path") {
+    raw = values.path && values.path[param.name] !== undefined ? [values.path[param.name]] : [];
+  } else if (param.in === "query") {
+    raw = (values.query || []).filter(q => q.key === param.name).map(q => q.value);
+  } else {
+    const name = param.name.toLowerCase();
+    raw = (values.header || []).filter(h => String(h.key || "").toLowerCase() === name).map(h => h.value);
+  }
+  if (raw.length === 0) {
+    return undefined;
+  }
+
+  const isArray = param.schema && param.schema.type === "array";
+  return raw
+    .flatMap(value => (isArray ? String(value === undefined || value === null ? "" : value).split(",") : [value]))
+    .filter(value => value !== undefined && value !== null && !UNRESOLVED_VARIABLE.test(String(value)))
+    .map(value => decodeValue(String(value)));
+}
+
+function schemaEnum(schema) {
+  if (!schema) return null;
+  const values = Array.isArray(schema.enum) ? schema.enum :
+    (schema.items && Array.isArray(schema.items.enum) ? schema.items.enum : null);
+  return values ? values.map(String) : null;
+}
+
+function decodeValue(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Totals over all operations with declared parameters. Coverage items of the
+ * same operation share one parameterCoverage object, which is counted once.
+ *
+ * @returns {Object} { total, covered, uncovered, coverage, enumValues: { total, covered, coverage } }
+ */
+function summarizeParameterCoverage(coverageItems) {
+  const seen = new Set();
+  const summary = { total: 0, covered: 0, uncovered: 0, coverage: 0, enumValues: { total: 0, covered: 0, coverage: 0 } };
+
+  coverageItems.forEach(item => {
+    const parameterCoverage = item.parameterCoverage;
+    if (!parameterCoverage || seen.has(parameterCoverage)) {
+      return;
+    }
+    seen.add(parameterCoverage);
+    summary.total += parameterCoverage.total;
+    summary.covered += parameterCoverage.covered;
+    parameterCoverage.parameters.forEach(param => {
+      if (param.enum) {
+        summary.enumValues.total += param.enum.length;
+        summary.enumValues.covered += param.exercisedValues.length;
+      }
+    });
+  });
+
+  summary.uncovered = summary.total - summary.covered;
+  summary.coverage = summary.total ? (summary.covered / summary.total) * 100 : 0;
+  summary.enumValues.coverage = summary.enumValues.total ?
+    (summary.enumValues.covered / summary.enumValues.total) * 100 : 0;
+  return summary;
+}
+
+module.exports = {
+  calculateParameterCoverage,
+  summarizeParameterCoverage
+};
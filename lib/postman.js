@@ -25,35 +25,131 @@ function loadPostmanCollection(filePath) {
   return data;
 }
 
+/**
+ * Загрузка Postman-окружения (postman_environment.json).
+ * Возвращает карту переменных { key: value } (только включённые).
+ */
+function loadPostmanEnvironment(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Postman environment file not found: ${filePath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to parse Postman environment: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.values)) {
+    throw new Error('Invalid Postman environment format: missing values field.');
+  }
+  return variablesToMap(data.values);
+}
+
+/**
+ * Массив переменных Postman ([{ key, value, enabled/disabled }]) -> { key: value }.
+ */
+function variablesToMap(variables) {
+  const map = {};
+  (variables || []).forEach(v => {
+    if (!v || !v.key || v.enabled === false || v.disabled === true) return;
+    map[v.key] = v.value === undefined || v.value === null ? '' : String(v.value);
+  });
+  return map;
+}
+
+/**
+ * Подстановка {{переменных}} в строку. Значения могут ссылаться на другие
+ * переменные, поэтому подставляем в несколько проходов; неизвестные
+ * переменные остаются как есть (при сопоставлении они считаются шаблоном).
+ */
+function resolveVariables(value, variables) {
+  if (typeof value !== 'string' || !value.includes('{{')) {
+    return value;
+  }
+  let result = value;
+  for (let depth = 0; depth < 10; depth++) {
+    const next = result.replace(/\{\{([^{}]+)\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name.trim()) ? variables[name.trim()] : match
+    );
+    if (next === result) break;
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Подстановка переменных в тело запроса (raw / formdata / urlencoded / graphql).
+ */
+function resolveBodyVariables(content, variables) {
+  if (typeof content === 'string') {
+    return resolveVariables(content, variables);
+  }
+  if (Array.isArray(content)) {
+    return content.map(entry => (entry && typeof entry === 'object' ?
+      { ...entry, key: resolveVariables(entry.key, variables), value: resolveVariables(entry.value, variables) } :
+      entry));
+  }
+  if (content && typeof content === 'object') {
+    const resolved = {};
+    Object.keys(content).forEach(key => {
+      resolved[key] = resolveVariables(content[key], variables);
+    });
+    return resolved;
+  }
+  return content;
+}
+
 /**
  * Рекурсивно собираем запросы и тесты (status-коды).
+ *
+ * Переменные коллекции (collection.variable) и окружения (options.environment,
+ * карта { key: value }, имеет приоритет) подставляются в URL, query и body.
  */
-function extractRequestsFromPostman(collection, verbose = false) {
+function extractRequestsFromPostman(collection, verbose = false, options = {}) {
   const requests = [];
+  const variables = {
+    ...variablesToMap(collection.variable),
+    ...(options.environment || {})
+  };
 
-  function traverseItems(items, currentFolder = '') {
+  function traverseItems(items, currentFolder = '', folderPath = '') {
     items.forEach(item => {
       if (item.item) {
         // Это папка
-        traverseItems(item.item, item.name);
+        traverseItems(item.item, item.name, folderPath ? `${folderPath}/${item.name}` : item.name);
       } else {
         // Это запрос
         const req = item.request || {};
         const method = (req.method || 'GET').toLowerCase();
-        const rawUrl = typeof req.url === 'object' ? req.url.raw : req.url || '';
+        const rawUrl = resolveVariables(
+          typeof req.url === 'object' ? req.url.raw : req.url || '',
+          variables
+        );
 
         // Собираем query-параметры
         let queryParams = [];
         if (req.url && req.url.query) {
-          queryParams = req.url.query.map(q => ({ key: q.key, value: q.value }));
+          queryParams = req.url.query.map(q => ({
+            key: resolveVariables(q.key, variables),
+            value: resolveVariables(q.value, variables)
+          }));
         }
 
+        // Заголовки (отключённые пропускаем)
+        const headers = (Array.isArray(req.header) ? req.header : [])
+          .filter(h => h && h.key && !h.disabled)
+          .map(h => ({
+            key: resolveVariables(h.key, variables),
+            value: resolveVariables(h.value, variables)
+          }));
+
         // Body
         let bodyInfo = null;
         if (req.body && req.body.mode) {
           bodyInfo = {
             mode: req.body.mode,
-            content: req.body[req.body.mode] // formdata, raw, urlencoded и т.д.
+            // formdata, raw, urlencoded и т.д.
+            content: resolveBodyVariables(req.body[req.body.mode], variables)
           };
         }
 
@@ -94,11 +190,14 @@ function extractRequestsFromPostman(collection, verbose = false) {
         }
 
         requests.push({
+          id: item.id,
           name: item.name,
           folder: currentFolder,
+          folderPath,
           method,
           rawUrl,
           queryParams,
+          headers,
           bodyInfo,
           testedStatusCodes: Array.from(testedStatusCodes),
           testScripts: testScripts.trim() // Include aggregated test scripts
@@ -117,5 +216,7 @@ function extractRequestsFromPostman(collection, verbose = false) {
 
 module.exports = {
   loadPostmanCollection,
+  loadPostmanEnvironment,
+  resolveVariables,
   extractRequestsFromPostman
 };
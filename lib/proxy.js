@@ -0,0 +1,192 @@
+// proxy.js
+
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { createRecorder } = require("./recorder");
+
+/**
+ * Recording HTTP proxy used by the `record` command. Any client can contribute
+ * coverage by sending its requests through it:
+ *
+ *   - forward proxy: the client sets HTTP_PROXY=http://localhost:8080 and sends
+ *     absolute URLs, which are forwarded as they are;
+ *   - reverse proxy (`target`): the client talks to http://localhost:8080/users
+ *     and the request is forwarded to <target>/users.
+ *
+ * Every request/response pair is appended to the records file in the
+ * recorder.js format, so the file can also be passed to the CLI later.
+ * HTTPS requests through a forward proxy arrive as CONNECT tunnels; they are
+ * passed through but cannot be recorded (use reverse-proxy mode for HTTPS APIs).
+ */
+
+// Request bodies above this size are forwarded but not recorded
+const MAX_RECORDED_BODY = 1024 * 1024;
+
+// Hop-by-hop headers are not forwarded
+const HOP_BY_HOP_HEADERS = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "proxy-connection",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade"
+];
+
+/**
+ * @param {Object} options
+ * @param {string} [options.target] - upstream base URL; enables reverse-proxy mode
+ * @param {string} [options.records] - records file (default: see recorder.getRecordsFile)
+ * @param {boolean} [options.verbose]
+ * @returns {{ server, stats, recordsFile, listen: Function, close: Function }}
+ *   `stats` counts recorded requests, CONNECT tunnels and upstream errors
+ */
+function createRecordingProxy({ target, records, verbose } = {}) {
+  const targetUrl = target ? parseTarget(target) : null;
+  const recorder = createRecorder({ file: records, getTestInfo: () => ({ test: "", testFile: "" }) });
+  const stats = { recorded: 0, tunnels: 0, errors: 0 };
+
+  const server = http.createServer((req, res) => {
+    let upstreamUrl;
+    try {
+      upstreamUrl = resolveUpstreamUrl(req.url, targetUrl);
+    } catch (e) {
+      res.writeHead(400, { "content-type": "text/plain" });
+      res.end(`swagger-coverage proxy: ${e.message}\n`);
+      return;
+    }
+
+    const chunks = [];
+    let bodySize = 0;
+    req.on("data", chunk => {
+      bodySize += chunk.length;
+      if (bodySize <= MAX_RECORDED_BODY) chunks.push(chunk);
+    });
+
+    const record = status => {
+      const body = bodySize > 0 && bodySize <= MAX_RECORDED_BODY ? Buffer.concat(chunks).toString("utf8") : null;
+      recorder.record({ method: req.method, url: upstreamUrl.href, body, status });
+      stats.recorded++;
+      if (verbose) {
+        console.log(`[record] ${req.method} ${upstreamUrl.href} -> ${status === null ? "no response" : status}`);
+      }
+    };
+
+    const transport = upstreamUrl.protocol === "https:" ? https : http;
+    const upstream = transport.request(upstreamUrl, {
+      method: req.method,
+      headers: forwardHeaders(req.headers, targetUrl ? upstreamUrl.host : null)
+    }, upstreamRes => {
+      record(upstreamRes.statusCode);
+      res.writeHead(upstreamRes.statusCode, forwardHeaders(upstreamRes.headers));
+      upstreamRes.pipe(res);
+    });
+
+    upstream.on("error", error => {
+      stats.errors++;
+      record(null);
+      if (!res.headersSent) {
+        res.writeHead(502, { "content-type": "text/plain" });
+      }
+      res.end(`swagger-coverage proxy: ${error.message}\n`);
+    });
+    req.pipe(upstream);
+  });
+
+  // HTTPS through a forward proxy: tunnel the encrypted stream without recording it
+  server.on("connect", (req, clientSocket, head) => {
+    stats.tunnels++;
+    const [host, port] = req.url.split(":");
+    if (verbose) {
+      console.log(`[record] CONNECT ${req.url} (tunnelled, not recorded)`);
+    }
+    const upstreamSocket = net.connect(Number(port) || 443, host, () => {
+      clientSocket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstreamSocket.write(head);
+      upstreamSocket.pipe(clientSocket);
+      clientSocket.pipe(upstreamSocket);
+    });
+    upstreamSocket.on("error", () => clientSocket.destroy());
+    clientSocket.on("error", () => upstreamSocket.destroy());
+  });
+
+  // Open keep-alive and tunnel connections would keep close() waiting
+  const sockets = new Set();
+  server.on("connection", socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  function listen(port, host) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.removeListener("error", reject);
+        resolve(server.address());
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  return { server, stats, recordsFile: recorder.file, listen, close };
+}
+
+function parseTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch (e) {
+    throw new Error(`Invalid proxy target "${target}": expected an absolute http(s) URL.`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Invalid proxy target "${target}": expected an absolute http(s) URL.`);
+  }
+  return url;
+}
+
+/**
+ * Forward proxy requests carry an absolute URL; in reverse-proxy mode the
+ * request path is appended to the target URL (keeping the target's path prefix).
+ */
+function resolveUpstreamUrl(requestUrl, targetUrl) {
+  if (!targetUrl) {
+    if (!/^https?:\/\//i.test(requestUrl)) {
+      throw new Error("not a proxy request; configure the client with HTTP_PROXY or start the proxy with --target <url>");
+    }
+    return new URL(requestUrl);
+  }
+  const url = new URL(targetUrl.href);
+  const [pathname, query] = requestUrl.split(/\?(.*)/s);
+  url.pathname = targetUrl.pathname.replace(/\/+$/, "") + pathname;
+  url.search = query ? `?${query}` : "";
+  return url;
+}
+
+function forwardHeaders(headers, host) {
+  const result = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+      result[name] = value;
+    }
+  });
+  if (host) {
+    result.host = host;
+  }
+  return result;
+}
+
+module.exports = {
+  createRecordingProxy,
+  resolveUpstreamUrl
+};
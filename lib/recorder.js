@@ -0,0 +1,271 @@
+// recorder.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Request recorder for code-based API tests (Jest/Vitest with axios, supertest
+ * or fetch). Every response is appended as one JSON line to the records file:
+ *
+ *   {"source":"swagger-coverage-recorder","test":"Users returns a user","testFile":"test/users.test.js",
+ *    "method":"GET","url":"http://localhost:3000/users/1","body":null,"status":200}
+ *
+ *   const { createRecorder } = require("swagger-coverage-cli/lib/recorder");
+ *   const recorder = createRecorder();
+ *   recorder.attachAxios(axiosInstance);             // axios interceptor
+ *   const request = recorder.wrapSupertest(require("supertest"));
+ *   recorder.installFetch();                         // wraps global fetch
+ *
+ * Servers can record the requests they receive with middleware.js instead.
+ *
+ * The records file is SWAGGER_COVERAGE_RECORDS, or .swagger-coverage/records.jsonl
+ * in the working directory; the Jest reporter (jest-reporter.js) clears it when a
+ * run starts and turns it into a coverage report when the run ends.
+ */
+
+const RECORD_SOURCE = "swagger-coverage-recorder";
+const DEFAULT_RECORDS_FILE = path.join(".swagger-coverage", "records.jsonl");
+const SUPERTEST_METHODS = ["get", "post", "put", "patch", "delete", "del", "head", "options"];
+
+function getRecordsFile(file) {
+  return path.resolve(file || process.env.SWAGGER_COVERAGE_RECORDS || DEFAULT_RECORDS_FILE);
+}
+
+/**
+ * Name of the running test, taken from Jest's / Vitest's `expect.getState()`.
+ */
+function currentTestInfo() {
+  try {
+    const state = typeof expect !== "undefined" && typeof expect.getState === "function" ? expect.getState() : {};
+    return {
+      test: state.currentTestName || "",
+      testFile: state.testPath ? path.relative(process.cwd(), state.testPath).split(path.sep).join("/") : ""
+    };
+  } catch (e) {
+    return { test: "", testFile: "" };
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file] - records file (default: see getRecordsFile)
+ * @param {Function} [options.getTestInfo] - returns { test, testFile } for the current test
+ */
+function createRecorder({ file, getTestInfo = currentTestInfo } = {}) {
+  const recordsFile = getRecordsFile(file);
+
+  function record({ method, url, route, body, status }) {
+    const entry = {
+      source: RECORD_SOURCE,
+      ...getTestInfo(),
+      method: String(method || "GET").toUpperCase(),
+      url: String(url),
+      // Server-side recording (middleware.js) also knows the route template, e.g. /users/:id
+      route: route || undefined,
+      body: serializeBody(body),
+      status: status !== undefined && status !== null ? Number(status) : null
+    };
+    fs.mkdirSync(path.dirname(recordsFile), { recursive: true });
+    // One write per line, so records from parallel test workers don't interleave
+    fs.appendFileSync(recordsFile, JSON.stringify(entry) + "\n");
+  }
+
+  /**
+   * Add response interceptors to an axios instance (or the axios default export).
+   */
+  function attachAxios(axiosInstance) {
+    const fromConfig = (config, status) => record({
+      method: config.method,
+      url: axiosUrl(config),
+      body: config.data,
+      status
+    });
+    axiosInstance.interceptors.response.use(
+      response => {
+        fromConfig(response.config || {}, response.status);
+        return response;
+      },
+      error => {
+        if (error && error.config) {
+          fromConfig(error.config, error.response ? error.response.status : null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return axiosInstance;
+  }
+
+  /**
+   * Wrap a fetch implementation; the result has the same signature.
+   */
+  function wrapFetch(fetchImpl = globalThis.fetch) {
+    return async function recordedFetch(input, init = {}) {
+      const url = typeof input === "string" || input instanceof URL ? String(input) : input.url;
+      const method = init.method || (input && typeof input === "object" && input.method) || "GET";
+      try {
+        const response = await fetchImpl(input, init);
+        record({ method, url, body: init.body, status: response.status });
+        return response;
+      } catch (error) {
+        record({ method, url, body: init.body, status: null });
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Replace global fetch with a recording one. Returns a function restoring the original.
+   */
+  function installFetch() {
+    const original = globalThis.fetch;
+    globalThis.fetch = wrapFetch(original);
+    return () => {
+      globalThis.fetch = original;
+    };
+  }
+
+  /**
+   * Wrap the supertest module: `wrapSupertest(require("supertest"))(app).get("/users")`.
+   */
+  function wrapSupertest(supertest) {
+    const hook = agent => {
+      SUPERTEST_METHODS.forEach(method => {
+        if (typeof agent[method] !== "function") return;
+        const original = agent[method].bind(agent);
+        agent[method] = (...args) => {
+          const test = original(...args);
+          test.on("response", res => record({
+            method: test.method,
+            url: supertestUrl(test),
+            body: test._data,
+            status: res.status
+          }));
+          return test;
+        };
+      });
+      return agent;
+    };
+    const wrapped = (...args) => hook(supertest(...args));
+    if (typeof supertest.agent === "function") {
+      wrapped.agent = (...args) => hook(supertest.agent(...args));
+    }
+    return wrapped;
+  }
+
+  return { file: recordsFile, record, attachAxios, wrapFetch, installFetch, wrapSupertest };
+}
+
+function axiosUrl(config) {
+  let url = config.url || "";
+  if (config.baseURL && !/^[a-z][a-z\d+\-.]*:\/\//i.test(url)) {
+    url = config.baseURL.replace(/\/+$/, "") + "/" + url.replace(/^\/+/, "");
+  }
+  const params = config.params ? new URLSearchParams(config.params).toString() : "";
+  return params ? `${url}${url.includes("?") ? "&" : "?"}${params}` : url;
+}
+
+function supertestUrl(test) {
+  const query = []
+    .concat(test.qs ? new URLSearchParams(test.qs).toString() : [])
+    .concat(test._query || [])
+    .filter(Boolean)
+    .join("&");
+  return query ? `${test.url}${test.url.includes("?") ? "&" : "?"}${query}` : test.url;
+}
+
+function serializeBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === "string") return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  try {
+    return JSON.stringify(body);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Is the text a records file? (JSON lines written by the recorder)
+ */
+function isRecordsContent(text) {
+  const firstLine = text.split("\n").find(line => line.trim());
+  if (!firstLine) return false;
+  try {
+    return JSON.parse(firstLine).source === RECORD_SOURCE;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Read a records file. Missing file -> no records.
+ */
+function loadRecords(file) {
+  const recordsFile = getRecordsFile(file);
+  if (!fs.existsSync(recordsFile)) {
+    return [];
+  }
+  return parseRecords(fs.readFileSync(recordsFile, "utf8"));
+}
+
+function parseRecords(text) {
+  return text.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.source === RECORD_SOURCE);
+}
+
+/**
+ * Records -> request objects (same shape as extractRequestsFromNewman).
+ * The test name becomes the request name, the test file its folder. The route
+ * template of server-side records becomes `route` in spec syntax (/users/{id}),
+ * matched when the URL itself does not match an operation.
+ */
+function recordsToRequests(records) {
+  return records.map(entry => {
+    let queryParams = [];
+    try {
+      const parsed = new URL(entry.url, "http://localhost");
+      queryParams = Array.from(parsed.searchParams.entries()).map(([key, value]) => ({ key, value }));
+    } catch (e) {
+      // keep no query parameters
+    }
+    return {
+      name: entry.test || `${entry.method} ${entry.url}`,
+      folder: entry.testFile || "",
+      folderPath: entry.testFile || "",
+      method: String(entry.method || "GET").toLowerCase(),
+      rawUrl: entry.url,
+      route: entry.route ? routeToPathTemplate(entry.route) : undefined,
+      queryParams,
+      bodyInfo: entry.body !== null && entry.body !== undefined ? { mode: "raw", content: entry.body } : null,
+      testedStatusCodes: entry.status ? [String(entry.status)] : [],
+      testScripts: "",
+      executed: true,
+      responseCode: entry.status
+    };
+  });
+}
+
+// Express, Koa and Fastify route syntax -> spec path: /files/:name(*) -> /files/{name}
+function routeToPathTemplate(route) {
+  return String(route).replace(/:(\w+)(\([^)]*\))?\??/g, "{$1}");
+}
+
+module.exports = {
+  RECORD_SOURCE,
+  getRecordsFile,
+  createRecorder,
+  isRecordsContent,
+  loadRecords,
+  parseRecords,
+  recordsToRequests
+};
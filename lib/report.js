@@ -2,13 +2,31 @@
 
 "use strict";
 
+const { summarizeParameterCoverage } = require("./parameters");
+const { summarizeBodyCoverage } = require("./body-coverage");
+const { summarizeResponseValidation } = require("./response-validation");
+const { summarizeResponseCoverage } = require("./response-coverage");
+
 /**
  * generateHtmlReport - enhanced version adding:
  *   - Coverage by Tags/Groups (an extra bar/donut chart)
  *   - PDF export button
  *   - Detailed Status Code checks in the sub-table
  *   - History/Trend Over Time displayed as a line chart next to the coverage pie
+ *     (runs from meta.coverageHistory, or browser localStorage when not given)
  *   - Nested expandable tables for JS test scripts with syntax highlighting
+ *   - "Changes since baseline" section when meta.baselineComparison is given
+ *   - "Excluded operations" section listing meta.excludedOperations (filters)
+ *   - "Near misses" sub-rows for uncovered operations (item.nearMisses, --explain)
+ *   - Parameter coverage in the header and a per-parameter table in the sub-rows
+ *     (item.parameterCoverage, see parameters.js)
+ *   - Request body coverage in the header and a per-property table in the sub-rows
+ *     (item.bodyCoverage, see body-coverage.js)
+ *   - Contract violation badges and a "Contract violations" table in the sub-rows
+ *     (item.responseValidation, see response-validation.js)
+ *   - Response header and media type coverage in the header and the sub-rows
+ *     (item.responseCoverage, see response-coverage.js)
+ *   - "Traffic Coverage Report" heading when meta.coverageType is "traffic" (access logs)
  *
  * coverageItems: [
  *   {
@@ -34,12 +52,19 @@
  * ]
  */
 function generateHtmlReport({ coverage, coverageItems, meta }) {
-  const { timestamp, specName, postmanCollectionName, apiCount = 1, apiNames = [] } = meta;
+  const { timestamp, specName, postmanCollectionName, apiCount = 1, apiNames = [], baselineComparison = null, coverageHistory = null, excludedOperations = [], coverageType = 'test' } = meta;
+  const traffic = coverageType === 'traffic';
   const covered = coverage;
   const notCovered = 100 - coverage;
+  const parameterSummary = summarizeParameterCoverage(coverageItems);
+  const bodySummary = summarizeBodyCoverage(coverageItems);
+  const responseSummary = summarizeResponseValidation(coverageItems);
+  const responseCoverageSummary = summarizeResponseCoverage(coverageItems);
 
-  // Convert coverageItems to JSON for client side
-  const coverageDataJson = JSON.stringify(coverageItems);
+  // Convert coverageItems to JSON for client side; "<" is escaped so logged URLs cannot close the <script>
+  const coverageDataJson = JSON.stringify(coverageItems).replace(/</g, "\\u003c");
+  // History runs from --history; null means "fall back to browser localStorage"
+  const coverageHistoryJson = JSON.stringify(coverageHistory).replace(/</g, "\\u003c");
 
   const html = `
 <!DOCTYPE html>
@@ -47,7 +72,7 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Enhanced Swagger Coverage Report</title>
+  <title>Enhanced ${traffic ? 'Traffic' : 'Swagger'} Coverage Report</title>
 
   <!-- Basic Material-like style + dark theme classes -->
   <style>
@@ -229,9 +254,38 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
     tr.unmatched-spec > td.spec-cell {
       background-color: rgba(255,229,229, 0.7); /* light red */
     }
-    tr.spec-row.matched {
+    tr.spec-row.matched,
+    tr.spec-row.has-near-misses {
       cursor: pointer;
     }
+    .near-misses-title {
+      font-weight: bold;
+      margin: 4px 0;
+    }
+    .near-miss-check {
+      font-family: monospace;
+      color: #c62828;
+    }
+    .parameters-title {
+      font-weight: bold;
+      margin: 8px 0 4px;
+    }
+    .param-not-sent {
+      color: #c62828;
+    }
+    .enum-value {
+      display: inline-block;
+      padding: 1px 6px;
+      margin: 1px 2px;
+      border-radius: 10px;
+      font-size: 11px;
+      background-color: #e0e0e0;
+      color: #424242;
+    }
+    .enum-value.exercised {
+      background-color: #4caf50;
+      color: white;
+    }
     .matched-requests-row {
       display: none;
     }
@@ -264,6 +318,24 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
       margin-left: 5px;
       font-weight: bold;
     }
+    .contract-violation-badge {
+      background-color: #c62828;
+      color: white;
+      padding: 2px 6px;
+      border-radius: 10px;
+      font-size: 10px;
+      margin-left: 5px;
+      font-weight: bold;
+    }
+    .manual-match-badge {
+      background-color: #9c27b0;
+      color: white;
+      padding: 2px 6px;
+      border-radius: 10px;
+      font-size: 10px;
+      margin-left: 5px;
+      font-weight: bold;
+    }
 
     /* Nested JS Code Table */
     .js-code-row {
@@ -417,12 +489,35 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
     .code-toggle:hover {
       opacity: 0.8;
     }
+
+    /* Baseline changes section */
+    .changes-section {
+      padding: 0 16px 16px 16px;
+    }
+    .changes-section h2 {
+      font-size: 1.2rem;
+      margin: 8px 0;
+    }
+    .changes-section details {
+      margin: 4px 0;
+    }
+    .changes-section summary {
+      cursor: pointer;
+      font-weight: 500;
+    }
+    .changes-section ul {
+      margin: 4px 0;
+      font-family: monospace;
+    }
+    .exclude-reason { opacity: 0.7; }
+    .change-regression { color: #c62828; }
+    .change-improvement { color: #2e7d32; }
   </style>
 </head>
 <body>
 
 <header>
-  <h1>Swagger Coverage Report</h1>
+  <h1>${traffic ? 'Traffic Coverage Report' : 'Swagger Coverage Report'}</h1>
   <button class="theme-toggle" id="themeToggleBtn" onclick="toggleTheme()">
     &#128262; <!-- flashlight icon -->
   </button>
@@ -430,10 +525,14 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
     <p><strong>Timestamp:</strong> ${timestamp}</p>
     <p><strong>API Spec${apiCount > 1 ? 's' : ''}:</strong> ${specName}</p>
     ${apiCount > 1 ? `<p><strong>Individual APIs:</strong> ${apiNames.join(', ')}</p>` : ''}
-    <p><strong>Postman Collection:</strong> ${postmanCollectionName}</p>
+    <p><strong>${traffic ? 'Traffic Source' : 'Postman Collection'}:</strong> ${postmanCollectionName}</p>
     <p><strong>Coverage:</strong> ${coverage.toFixed(2)}%</p>
     <p>Covered: ${covered.toFixed(2)}%<br/>
     Not Covered: ${notCovered.toFixed(2)}%</p>
+    ${renderParameterSummary(parameterSummary)}
+    ${renderBodySummary(bodySummary)}
+    ${renderResponseCoverageSummary(responseCoverageSummary)}
+    ${renderResponseSummary(responseSummary)}
   </div>
 </header>
 
@@ -462,6 +561,10 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
   </div>
 </section>
 
+${renderChangesSection(baselineComparison, apiCount)}
+
+${renderExcludedSection(excludedOperations, apiCount)}
+
 <div class="filter-container">
   <button class="filter-button" id="filterBtn" onclick="cycleFilterMode()">
     Show: All
@@ -507,6 +610,10 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
   // coverageData from server
   let coverageData = ${coverageDataJson};
   let apiCount = ${apiCount};
+  // Coverage history embedded by the CLI (--history)
+  const embeddedHistory = ${coverageHistoryJson};
+
+  ${mergeStatusCodeDetails.toString()}
 
   // Merge duplicates for display only
   function unifyByMethodAndPath(items) {
@@ -517,8 +624,10 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
         (item.method + item.path + (item.apiName || '')).toLowerCase() :
         (item.method + item.path).toLowerCase();
       if (!result[key]) {
-        result[key] = { ...item, matchedRequests: [...item.matchedRequests] };
+        result[key] = { ...item, matchedRequests: [...item.matchedRequests], responseValidation: undefined, responseCoverage: undefined };
+        mergeStatusCodeDetails(result[key], item);
       } else {
+        mergeStatusCodeDetails(result[key], item);
         // Merge matchedRequests
         result[key].matchedRequests.push(...item.matchedRequests);
         // Merge tags if needed
@@ -547,8 +656,10 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
   // On load
   window.onload = function() {
     coverageData = unifyByMethodAndPath(coverageData);
-    // Save coverage in localStorage to build a trend
-    updateCoverageHistory(${coverage.toFixed(2)});
+    // Without an embedded history, save coverage in localStorage to build a trend
+    if (!embeddedHistory) {
+      updateCoverageHistory(${coverage.toFixed(2)});
+    }
 
     renderCoverageChart(${coverage.toFixed(2)});
     renderTrendChart();
@@ -556,11 +667,19 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
     renderTable();
   };
 
-  // Render Trend Chart from localStorage coverageHistory
+  // Render Trend Chart from the embedded history or localStorage coverageHistory
   function renderTrendChart() {
-    let hist = localStorage.getItem('coverageHistory');
-    let arr = hist ? JSON.parse(hist) : [];
-    const labels = arr.map(e => new Date(e.timestamp).toLocaleDateString() + " " + new Date(e.timestamp).toLocaleTimeString());
+    let arr;
+    if (embeddedHistory) {
+      arr = embeddedHistory;
+    } else {
+      let hist = localStorage.getItem('coverageHistory');
+      arr = hist ? JSON.parse(hist) : [];
+    }
+    const labels = arr.map(e => {
+      const label = new Date(e.timestamp).toLocaleDateString() + " " + new Date(e.timestamp).toLocaleTimeString();
+      return e.commit ? label + " (" + String(e.commit).substring(0, 7) + ")" : label;
+    });
     const dataPoints = arr.map(e => e.coverage);
 
     const ctx = document.getElementById('trendChart').getContext('2d');
@@ -770,10 +889,16 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
       tr.className = "spec-row " + rowClass;
 
       // Only matched items get the onclick
+      const hasNearMisses = !hasMatches && item.nearMisses && item.nearMisses.length > 0;
       if (hasMatches) {
         tr.classList.add("matched");
         const rowId = "match-row-" + idx;
         tr.onclick = () => toggleMatchedRow(rowId);
+      } else if (hasNearMisses) {
+        // Uncovered items with --explain data expand to the near misses
+        tr.classList.add("has-near-misses");
+        const rowId = "near-row-" + idx;
+        tr.onclick = () => toggleMatchedRow(rowId);
       }
 
       // Columns
@@ -822,6 +947,13 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
         const confidence = Math.round(item.matchConfidence * 100);
         nameContent += ' <span class="confidence-badge" title="Match Confidence: ' + confidence + '%">' + confidence + '%</span>';
       }
+      if (item.matchedRequests.some(req => req.manual)) {
+        nameContent += ' <span class="manual-match-badge" title="Mapped manually (mapping file)">manual</span>';
+      }
+      if (item.responseValidation && item.responseValidation.failed > 0) {
+        nameContent += ' <span class="contract-violation-badge" title="Responses not matching the response schema">' +
+          item.responseValidation.failed + ' violation' + (item.responseValidation.failed > 1 ? 's' : '') + '</span>';
+      }
       
       tdName.innerHTML = nameContent;
 
@@ -861,6 +993,13 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
 
           const pmName = document.createElement('td');
           pmName.textContent = pmReq.name || "";
+          if (pmReq.manual) {
+            const manualBadge = document.createElement('span');
+            manualBadge.className = 'manual-match-badge';
+            manualBadge.title = 'Mapped manually (mapping file)';
+            manualBadge.textContent = 'manual';
+            pmName.appendChild(manualBadge);
+          }
           pmRow.appendChild(pmName);
 
           const pmMethod = document.createElement('td');
@@ -949,8 +1088,22 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
         pmTable.appendChild(pmTbody);
 
         subTd.appendChild(pmTable);
+        if (item.parameterCoverage) {
+          subTd.appendChild(buildParametersTable(item.parameterCoverage));
+        }
+        if (item.bodyCoverage) {
+          subTd.appendChild(buildBodyTable(item.bodyCoverage));
+        }
+        if (item.responseCoverage) {
+          subTd.appendChild(buildResponseCoverageTable(item.responseCoverage));
+        }
+        if (item.responseValidation && item.responseValidation.failed > 0) {
+          subTd.appendChild(buildViolationsTable(item.responseValidation));
+        }
         subTr.appendChild(subTd);
         tbody.appendChild(subTr);
+      } else if (hasNearMisses) {
+        tbody.appendChild(buildNearMissesRow(item, idx));
       }
     });
 
@@ -959,6 +1112,235 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
     filterTable();
   }
 
+  // Hidden sub-row with the closest requests of an uncovered operation
+  function buildNearMissesRow(item, idx) {
+    const subTr = document.createElement('tr');
+    subTr.id = "near-row-" + idx;
+    subTr.className = "matched-requests-row near-misses-row";
+
+    const subTd = document.createElement('td');
+    subTd.colSpan = apiCount > 1 ? 6 : 5;
+
+    const title = document.createElement('div');
+    title.className = 'near-misses-title';
+    title.textContent = 'Near misses';
+    subTd.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = "postman-table";
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Request Name</th><th>Method</th><th>URL</th><th>Similarity</th><th>Rejected By</th></tr>';
+    table.appendChild(thead);
+
+    const body = document.createElement('tbody');
+    item.nearMisses.forEach(miss => {
+      const row = document.createElement('tr');
+      [miss.name, miss.method, miss.rawUrl, Math.round(miss.similarity * 100) + '%'].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value || "";
+        row.appendChild(td);
+      });
+      const reason = document.createElement('td');
+      const check = document.createElement('span');
+      check.className = 'near-miss-check';
+      check.textContent = miss.failedCheck;
+      reason.appendChild(check);
+      reason.appendChild(document.createTextNode(' ' + (miss.reason || '')));
+      row.appendChild(reason);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    subTd.appendChild(table);
+    if (item.parameterCoverage) {
+      subTd.appendChild(buildParametersTable(item.parameterCoverage));
+    }
+    if (item.bodyCoverage) {
+      subTd.appendChild(buildBodyTable(item.bodyCoverage));
+    }
+    subTr.appendChild(subTd);
+    return subTr;
+  }
+
+  // Which declared parameters were sent, and which enum values were exercised
+  function buildParametersTable(parameterCoverage) {
+    const container = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'parameters-title';
+    title.textContent = 'Parameters: ' + parameterCoverage.covered + '/' + parameterCoverage.total +
+      ' sent (' + parameterCoverage.coverage.toFixed(2) + '%)';
+    container.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = "postman-table parameters-table";
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Parameter</th><th>In</th><th>Required</th><th>Sent</th><th>Enum Values</th></tr>';
+    table.appendChild(thead);
+
+    const body = document.createElement('tbody');
+    parameterCoverage.parameters.forEach(param => {
+      const row = document.createElement('tr');
+      [param.name, param.in, param.required ? 'yes' : 'no'].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+
+      const sent = document.createElement('td');
+      sent.textContent = param.sent ? 'yes' : 'no';
+      if (!param.sent) sent.className = 'param-not-sent';
+      row.appendChild(sent);
+
+      const enumCell = document.createElement('td');
+      (param.enum || []).forEach(value => {
+        const badge = document.createElement('span');
+        const exercised = param.exercisedValues.includes(value);
+        badge.className = 'enum-value' + (exercised ? ' exercised' : '');
+        badge.title = exercised ? 'Sent by a matched request' : 'Never sent';
+        badge.textContent = value;
+        enumCell.appendChild(badge);
+      });
+      row.appendChild(enumCell);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+    return container;
+  }
+
+  // Which request body properties and oneOf/anyOf branches were sent
+  function buildBodyTable(bodyCoverage) {
+    const container = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'parameters-title';
+    title.textContent = 'Request body: ' + bodyCoverage.covered + '/' + bodyCoverage.total +
+      ' properties and branches sent (' + bodyCoverage.coverage.toFixed(2) + '%)';
+    container.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = "postman-table body-table";
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Property</th><th>Required</th><th>Sent</th><th>Enum Values</th></tr>';
+    table.appendChild(thead);
+
+    const body = document.createElement('tbody');
+    const rows = bodyCoverage.properties.map(property => ({
+      label: property.path,
+      required: property.required ? 'yes' : 'no',
+      sent: property.sent,
+      enumValues: property.enum || [],
+      exercisedValues: property.exercisedValues || []
+    })).concat(bodyCoverage.branches.map(branch => ({
+      label: (branch.path || '(body)') + ' ' + branch.keyword + ' #' + (branch.index + 1) + ': ' + branch.title,
+      required: '',
+      sent: branch.sent,
+      enumValues: [],
+      exercisedValues: []
+    })));
+    rows.forEach(entry => {
+      const row = document.createElement('tr');
+      [entry.label, entry.required].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+
+      const sent = document.createElement('td');
+      sent.textContent = entry.sent ? 'yes' : 'no';
+      if (!entry.sent) sent.className = 'param-not-sent';
+      row.appendChild(sent);
+
+      const enumCell = document.createElement('td');
+      entry.enumValues.forEach(value => {
+        const badge = document.createElement('span');
+        const exercised = entry.exercisedValues.includes(value);
+        badge.className = 'enum-value' + (exercised ? ' exercised' : '');
+        badge.title = exercised ? 'Sent by a matched request' : 'Never sent';
+        badge.textContent = value;
+        enumCell.appendChild(badge);
+      });
+      row.appendChild(enumCell);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+    return container;
+  }
+
+  // Which declared response headers and media types appeared in the executed responses
+  function buildResponseCoverageTable(responseCoverage) {
+    const container = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'parameters-title';
+    title.textContent = 'Response headers and media types (' + responseCoverage.responses + ' response' +
+      (responseCoverage.responses > 1 ? 's' : '') + ')';
+    container.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = "postman-table response-coverage-table";
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Status</th><th>Header / Media Type</th><th>Kind</th><th>Required</th><th>Seen</th></tr>';
+    table.appendChild(thead);
+
+    const body = document.createElement('tbody');
+    const rows = responseCoverage.headers
+      .map(header => [header.statusCode, header.name, 'header', header.required ? 'yes' : 'no', header.seen])
+      .concat(responseCoverage.contentTypes.map(type => [type.statusCode, type.type, 'media type', '', type.seen]));
+    rows.forEach(([statusCode, name, kind, required, seen]) => {
+      const row = document.createElement('tr');
+      [statusCode, name, kind, required].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+      const seenCell = document.createElement('td');
+      seenCell.textContent = seen ? 'yes' : 'no';
+      if (!seen) seenCell.className = 'param-not-sent';
+      row.appendChild(seenCell);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+    return container;
+  }
+
+  // Responses that do not match the response schema of the spec
+  function buildViolationsTable(responseValidation) {
+    const container = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'parameters-title';
+    title.textContent = 'Contract violations: ' + responseValidation.failed + '/' + responseValidation.validated +
+      ' responses do not match the response schema';
+    container.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = "postman-table violations-table";
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Request Name</th><th>Status</th><th>Content Type</th><th>Errors</th></tr>';
+    table.appendChild(thead);
+
+    const body = document.createElement('tbody');
+    responseValidation.violations.forEach(violation => {
+      const row = document.createElement('tr');
+      [violation.request, violation.statusCode, violation.contentType].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value || '';
+        row.appendChild(td);
+      });
+      const errors = document.createElement('td');
+      errors.className = 'param-not-sent';
+      violation.errors.forEach((error, i) => {
+        if (i > 0) errors.appendChild(document.createElement('br'));
+        errors.appendChild(document.createTextNode(error));
+      });
+      row.appendChild(errors);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+    return container;
+  }
+
   // Toggle the matched requests sub-row
   function toggleMatchedRow(rowId) {
     const row = document.getElementById(rowId);
@@ -1069,5 +1451,153 @@ function generateHtmlReport({ coverage, coverageItems, meta }) {
   return html;
 }
 
+/**
+ * renderChangesSection - "Changes" block comparing the run with a baseline
+ * (see compareWithBaseline in baseline.js). Returns an empty string when no
+ * baseline was given.
+ */
+function renderChangesSection(comparison, apiCount) {
+  if (!comparison) {
+    return "";
+  }
+
+  const formatEntry = entry => {
+    const prefix = apiCount > 1 && entry.apiName ? `[${entry.apiName}] ` : "";
+    const status = entry.statusCode ? ` (${entry.statusCode})` : "";
+    return `<li>${escapeHtml(`${prefix}[${entry.method}] ${entry.path}${status}`)}</li>`;
+  };
+
+  const renderGroup = (title, entries, cssClass, open) => `
+    <details${open && entries.length > 0 ? " open" : ""}>
+      <summary class="${cssClass}">${title} (${entries.length})</summary>
+      ${entries.length > 0 ? `<ul>${entries.map(formatEntry).join("")}</ul>` : "<p>None</p>"}
+    </details>`;
+
+  let coverageLine = "";
+  if (typeof comparison.previousCoverage === "number" && typeof comparison.currentCoverage === "number") {
+    const delta = comparison.currentCoverage - comparison.previousCoverage;
+    const sign = delta > 0 ? "+" : "";
+    const deltaClass = delta < 0 ? "change-regression" : "change-improvement";
+    coverageLine = `<p><strong>Coverage:</strong> ${comparison.previousCoverage.toFixed(2)}% &rarr; ${comparison.currentCoverage.toFixed(2)}% <span class="${deltaClass}">(${sign}${delta.toFixed(2)})</span></p>`;
+  }
+
+  return `
+<section class="changes-section" id="changesSection">
+  <h2>Changes since baseline</h2>
+  ${coverageLine}
+  ${renderGroup("Newly uncovered", comparison.newlyUncovered, "change-regression", true)}
+  ${renderGroup("Newly covered", comparison.newlyCovered, "change-improvement", false)}
+  ${renderGroup("Added to spec", comparison.added, "", false)}
+  ${renderGroup("Removed from spec", comparison.removed, "", false)}
+</section>`;
+}
+
+/**
+ * renderExcludedSection - operations removed by include/exclude filters,
+ * with the reason, so they stay visible without counting towards coverage.
+ * Returns an empty string when nothing was excluded.
+ */
+function renderExcludedSection(excludedOperations, apiCount) {
+  if (!excludedOperations || excludedOperations.length === 0) {
+    return "";
+  }
+
+  const items = excludedOperations.map(op => {
+    const prefix = apiCount > 1 && op.apiName ? `[${op.apiName}] ` : "";
+    const status = op.statusCode ? ` (${op.statusCode})` : "";
+    const label = `${prefix}[${(op.method || "").toUpperCase()}] ${op.path}${status}`;
+    return `<li>${escapeHtml(label)} <span class="exclude-reason">&mdash; ${escapeHtml(op.excludeReason || "")}</span></li>`;
+  });
+
+  return `
+<section class="changes-section" id="excludedSection">
+  <details>
+    <summary>Excluded operations (${excludedOperations.length}) &mdash; not counted in coverage</summary>
+    <ul>${items.join("")}</ul>
+  </details>
+</section>`;
+}
+
+function renderParameterSummary(parameterSummary) {
+  if (parameterSummary.total === 0) {
+    return '';
+  }
+  const { enumValues } = parameterSummary;
+  const enumText = enumValues.total > 0 ?
+    `<br/>Enum Values: ${enumValues.covered}/${enumValues.total} (${enumValues.coverage.toFixed(2)}%)` : '';
+  return `<p><strong>Parameter Coverage:</strong> ${parameterSummary.coverage.toFixed(2)}% (${parameterSummary.covered}/${parameterSummary.total} parameters)${enumText}</p>`;
+}
+
+function renderBodySummary(bodySummary) {
+  if (bodySummary.total === 0) {
+    return '';
+  }
+  const { enumValues } = bodySummary;
+  const enumText = enumValues.total > 0 ?
+    `<br/>Body Enum Values: ${enumValues.covered}/${enumValues.total} (${enumValues.coverage.toFixed(2)}%)` : '';
+  return `<p><strong>Request Body Coverage:</strong> ${bodySummary.coverage.toFixed(2)}% (${bodySummary.covered}/${bodySummary.total} properties and branches)${enumText}</p>`;
+}
+
+/**
+ * Rows of the HTML table merge the status codes of an operation; the response
+ * checks of each status code are kept and labelled with it. Also embedded in
+ * the report script, so it must not use anything outside the function.
+ */
+function mergeStatusCodeDetails(merged, item) {
+  if (item.responseValidation) {
+    const validation = merged.responseValidation || { validated: 0, failed: 0, violations: [] };
+    merged.responseValidation = {
+      validated: validation.validated + item.responseValidation.validated,
+      failed: validation.failed + item.responseValidation.failed,
+      violations: validation.violations.concat(
+        item.responseValidation.violations.map(violation => ({ statusCode: item.statusCode, ...violation }))
+      )
+    };
+  }
+  if (item.responseCoverage) {
+    const coverage = merged.responseCoverage || { responses: 0, headers: [], contentTypes: [] };
+    merged.responseCoverage = {
+      responses: coverage.responses + item.responseCoverage.responses,
+      headers: coverage.headers.concat(
+        item.responseCoverage.headers.map(header => ({ statusCode: item.statusCode, ...header }))
+      ),
+      contentTypes: coverage.contentTypes.concat(
+        item.responseCoverage.contentTypes.map(type => ({ statusCode: item.statusCode, ...type }))
+      )
+    };
+  }
+  return merged;
+}
+
+function renderResponseCoverageSummary({ headers, contentTypes }) {
+  const lines = [];
+  if (headers.total > 0) {
+    lines.push(`Headers: ${headers.coverage.toFixed(2)}% (${headers.covered}/${headers.total})`);
+  }
+  if (contentTypes.total > 0) {
+    lines.push(`Media Types: ${contentTypes.coverage.toFixed(2)}% (${contentTypes.covered}/${contentTypes.total})`);
+  }
+  if (lines.length === 0) {
+    return '';
+  }
+  return `<p><strong>Response Coverage:</strong> ${lines.join('<br/>')}</p>`;
+}
+
+function renderResponseSummary(responseSummary) {
+  if (responseSummary.validated === 0) {
+    return '';
+  }
+  return `<p><strong>Response Validation:</strong> ${responseSummary.validated} response(s) validated, ${responseSummary.failed} contract violation(s) in ${responseSummary.operations} operation(s)</p>`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // Export the function
-module.exports = { generateHtmlReport };
+module.exports = { generateHtmlReport, mergeStatusCodeDetails };
@@ -0,0 +1,103 @@
+// response-coverage.js
+
+"use strict";
+
+const { findContentType } = require("./response-validation");
+
+/**
+ * Response header and media type coverage: which response headers and content
+ * types the spec declares for a status code actually appeared in the executed
+ * responses (Newman reports) matched to it.
+ *
+ *   item.responseCoverage = {
+ *     responses: 2,
+ *     headers: [
+ *       { name: "ETag", required: false, seen: true },
+ *       { name: "X-RateLimit-Limit", required: true, seen: false }
+ *     ],
+ *     contentTypes: [
+ *       { type: "application/json", seen: true },
+ *       { type: "application/xml", seen: false }
+ *     ]
+ *   }
+ *
+ * Computed per status code when the spec declares headers or content types
+ * for that response and the inputs carry response data (see attachResponseCoverage
+ * in match.js). Status codes no executed response had get responses: 0, with
+ * every declared header and content type not seen.
+ */
+
+/**
+ * @param {Object} specOp - operation from extractOperationsFromSpec (responseHeaders, responseContentTypes)
+ * @param {Array} requests - requests matched to the coverage item
+ * @returns {Object|null}
+ */
+function calculateResponseCoverage(specOp, requests) {
+  const declaredHeaders = specOp.responseHeaders || [];
+  const declaredTypes = specOp.responseContentTypes || [];
+  if (declaredHeaders.length === 0 && declaredTypes.length === 0) {
+    return null;
+  }
+  const executed = requests.filter(pmReq =>
+    Array.isArray(pmReq.responseHeaders) && String(pmReq.responseCode) === String(specOp.statusCode)
+  );
+
+  const seenHeaders = new Set();
+  const seenTypes = new Set();
+  executed.forEach(pmReq => {
+    pmReq.responseHeaders.forEach(header => {
+      const name = String(header.key).toLowerCase();
+      seenHeaders.add(name);
+      if (name === "content-type") {
+        const contentType = String(header.value || "").split(";")[0].trim().toLowerCase();
+        const declared = findContentType(declaredTypes, contentType);
+        if (declared) seenTypes.add(declared);
+      }
+    });
+  });
+
+  return {
+    responses: executed.length,
+    headers: declaredHeaders.map(header => ({
+      name: header.name,
+      required: header.required,
+      seen: seenHeaders.has(header.name.toLowerCase())
+    })),
+    contentTypes: declaredTypes.map(type => ({ type, seen: seenTypes.has(type) }))
+  };
+}
+
+/**
+ * Totals over all coverage items with response coverage.
+ *
+ * @returns {Object} { headers: { total, covered, uncovered, coverage }, contentTypes: { ... } }
+ */
+function summarizeResponseCoverage(coverageItems) {
+  const headers = { total: 0, covered: 0, uncovered: 0, coverage: 0 };
+  const contentTypes = { total: 0, covered: 0, uncovered: 0, coverage: 0 };
+
+  coverageItems.forEach(item => {
+    if (!item.responseCoverage) {
+      return;
+    }
+    item.responseCoverage.headers.forEach(header => {
+      headers.total++;
+      if (header.seen) headers.covered++;
+    });
+    item.responseCoverage.contentTypes.forEach(type => {
+      contentTypes.total++;
+      if (type.seen) contentTypes.covered++;
+    });
+  });
+
+  [headers, contentTypes].forEach(bucket => {
+    bucket.uncovered = bucket.total - bucket.covered;
+    bucket.coverage = bucket.total ? (bucket.covered / bucket.total) * 100 : 0;
+  });
+  return { headers, contentTypes };
+}
+
+module.exports = {
+  calculateResponseCoverage,
+  summarizeResponseCoverage
+};
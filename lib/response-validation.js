@@ -0,0 +1,162 @@
+// response-validation.js
+
+"use strict";
+
+const Ajv = require("ajv");
+
+// Same settings as body-coverage.js: OpenAPI schemas carry keywords and formats Ajv does not know
+const ajv = new Ajv({ strict: false, validateFormats: false, logger: false, allErrors: true });
+
+// Schema errors listed per response
+const MAX_ERRORS = 5;
+
+/**
+ * Response schema validation (--validate-responses): the executed responses of
+ * a Newman report are checked against the response schema the spec declares
+ * for their status code and content type.
+ *
+ *   item.responseValidation = {
+ *     validated: 3,
+ *     failed: 1,
+ *     violations: [
+ *       { request: "Get user", contentType: "application/json", errors: ["/id must be integer"] }
+ *     ]
+ *   }
+ *
+ * Only coverage items with a response schema and at least one response body
+ * get the field. Responses without a body are skipped; a content type the spec
+ * does not declare for the status code is a violation.
+ */
+
+/**
+ * @param {Object} specOp - operation from extractOperationsFromSpec (responseSchemas)
+ * @param {Array} requests - requests matched to the coverage item
+ * @returns {Object|null}
+ */
+function validateOperationResponses(specOp, requests) {
+  if (!specOp.responseSchemas) {
+    return null;
+  }
+  const results = requests
+    .filter(pmReq => String(pmReq.responseCode) === String(specOp.statusCode))
+    .map(pmReq => ({ pmReq, result: validateResponse(specOp.responseSchemas, pmReq) }))
+    .filter(({ result }) => result !== null);
+  if (results.length === 0) {
+    return null;
+  }
+
+  const violations = results
+    .filter(({ result }) => result.errors.length > 0)
+    .map(({ pmReq, result }) => ({ request: pmReq.name, contentType: result.contentType, errors: result.errors }));
+  return {
+    validated: results.length,
+    failed: violations.length,
+    violations
+  };
+}
+
+/**
+ * Validate one response. null when there is nothing to validate
+ * (no body, or a schema Ajv cannot compile).
+ */
+function validateResponse(responseSchemas, { responseBody, responseContentType }) {
+  if (responseBody === undefined || responseBody === null || responseBody === "") {
+    return null;
+  }
+  const contentType = String(responseContentType || "").split(";")[0].trim().toLowerCase();
+  const declared = Object.keys(responseSchemas);
+  const schemaType = findContentType(declared, contentType);
+  if (!schemaType) {
+    return {
+      contentType,
+      errors: [`content type "${contentType || "(none)"}" is not declared for this response (expected ${declared.join(", ")})`]
+    };
+  }
+
+  // Only JSON bodies are checked against the schema; other types only need a declared content type
+  if (!schemaType.includes("json") && !contentType.includes("json")) {
+    return { contentType, errors: [] };
+  }
+  let body;
+  try {
+    body = JSON.parse(responseBody);
+  } catch (e) {
+    return { contentType, errors: ["response body is not valid JSON"] };
+  }
+
+  const validate = compile(responseSchemas[schemaType]);
+  if (!validate) {
+    return null;
+  }
+  if (validate(body)) {
+    return { contentType, errors: [] };
+  }
+  return { contentType, errors: validate.errors.slice(0, MAX_ERRORS).map(formatError) };
+}
+
+/**
+ * Declared content type for a response content type: exact match, then
+ * wildcards (application/*, *\/*). Without a response content type the only
+ * declared one is used.
+ */
+function findContentType(declared, contentType) {
+  if (!contentType) {
+    return declared.length === 1 ? declared[0] : null;
+  }
+  const normalized = declared.map(type => type.split(";")[0].trim().toLowerCase());
+  const candidates = [contentType, `${contentType.split("/")[0]}/*`, "*/*"];
+  for (const candidate of candidates) {
+    const index = normalized.indexOf(candidate);
+    if (index !== -1) {
+      return declared[index];
+    }
+  }
+  return null;
+}
+
+// Compiled validators; null when a schema cannot be compiled (e.g. circular)
+const validators = new WeakMap();
+
+function compile(schema) {
+  if (!validators.has(schema)) {
+    let validate = null;
+    try {
+      validate = ajv.compile(schema);
+    } catch (e) {
+      // the response is not validated
+    }
+    validators.set(schema, validate);
+  }
+  return validators.get(schema);
+}
+
+function formatError(error) {
+  const extra = error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : "";
+  return `${error.instancePath || "(root)"} ${error.message}${extra}`;
+}
+
+/**
+ * Totals over all coverage items.
+ *
+ * @returns {Object} { validated, failed, operations } - operations: coverage items with violations
+ */
+function summarizeResponseValidation(coverageItems) {
+  const summary = { validated: 0, failed: 0, operations: 0 };
+  coverageItems.forEach(item => {
+    if (!item.responseValidation) {
+      return;
+    }
+    summary.validated += item.responseValidation.validated;
+    summary.failed += item.responseValidation.failed;
+    if (item.responseValidation.failed > 0) {
+      summary.operations++;
+    }
+  });
+  return summary;
+}
+
+module.exports = {
+  validateOperationResponses,
+  summarizeResponseValidation,
+  findContentType
+};
@@ -0,0 +1,98 @@
+// specs.js
+
+"use strict";
+
+const path = require("path");
+const { loadAndParseSpec, extractOperationsFromSpec, normalizeBasePaths } = require("./swagger");
+const { loadExcelSpec } = require("./excel");
+const { loadAndParseProto, extractOperationsFromProto, isProtoFile } = require("./grpc");
+const { loadAndParseGraphQL, extractOperationsFromGraphQL, isGraphQLFile } = require("./graphql");
+
+const EXCEL_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+/**
+ * loadSpecOperations - loads one API specification of any supported kind
+ * (OpenAPI/Swagger, gRPC .proto, GraphQL schema, Excel/CSV) and returns its
+ * operations, each tagged with apiName, sourceFile and protocol.
+ *
+ * @param {string|Object} specEntry - file path or { file, name, basePath }
+ *   (`name` overrides the API name taken from the spec, `basePath` - a path or
+ *   list of paths - replaces the base paths taken from servers/basePath)
+ * @param {boolean} verbose
+ * @returns {Promise<{ specName: string, protocol: string, operations: Array }>}
+ */
+async function loadSpecOperations(specEntry, verbose = false) {
+  const { file: apiFile, name: configuredName, basePath } =
+    typeof specEntry === "string" ? { file: specEntry } : specEntry;
+  const ext = path.extname(apiFile).toLowerCase();
+  let specOperations;
+  let specName;
+  let protocol;
+
+  if (EXCEL_EXTENSIONS.includes(ext)) {
+    // Parse Excel/CSV
+    specOperations = loadExcelSpec(apiFile);
+    specName = path.basename(apiFile);
+    protocol = 'rest';
+  } else if (isProtoFile(apiFile)) {
+    // Parse gRPC Protocol Buffer
+    const protoRoot = await loadAndParseProto(apiFile);
+    specName = path.basename(apiFile, '.proto');
+    specOperations = extractOperationsFromProto(protoRoot, verbose);
+    protocol = 'grpc';
+    if (verbose) {
+      console.log(
+        "gRPC specification loaded successfully:",
+        specName
+      );
+    }
+  } else if (isGraphQLFile(apiFile)) {
+    // Parse GraphQL schema
+    const graphqlData = loadAndParseGraphQL(apiFile);
+    specName = path.basename(apiFile);
+    specOperations = extractOperationsFromGraphQL(graphqlData, verbose);
+    protocol = 'graphql';
+    if (verbose) {
+      console.log(
+        "GraphQL specification loaded successfully:",
+        specName
+      );
+    }
+  } else {
+    // Original OpenAPI/Swagger flow
+    const spec = await loadAndParseSpec(apiFile);
+    specName = spec.info.title;
+    protocol = 'rest';
+    if (verbose) {
+      console.log(
+        "OpenAPI specification loaded successfully:",
+        specName,
+        spec.info.version
+      );
+    }
+    specOperations = extractOperationsFromSpec(spec, verbose);
+  }
+
+  // A configured name takes precedence over the spec title
+  if (configuredName) {
+    specName = configuredName;
+  }
+
+  // Add API name and protocol to each operation for identification
+  let operations = specOperations.map(op => ({
+    ...op,
+    apiName: specName,
+    sourceFile: path.basename(apiFile),
+    protocol: protocol
+  }));
+
+  // A configured base path replaces the one derived from the spec (REST only)
+  if (basePath !== undefined && protocol === 'rest') {
+    const basePaths = normalizeBasePaths([].concat(basePath));
+    operations = operations.map(op => ({ ...op, basePaths }));
+  }
+
+  return { specName, protocol, operations };
+}
+
+module.exports = { loadSpecOperations };
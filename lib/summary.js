@@ -0,0 +1,85 @@
+// summary.js
+
+"use strict";
+
+/**
+ * calculateCoverageSummary - aggregates coverage items into totals.
+ *
+ * Returns overall numbers plus the same breakdown per API, per tag and per
+ * protocol, so console output, machine-readable reports and gates all work
+ * from a single source of truth:
+ *
+ *   {
+ *     total: 12,
+ *     covered: 9,
+ *     uncovered: 3,
+ *     coverage: 75,
+ *     byApi: { "Users API": { total: 8, covered: 6, uncovered: 2, coverage: 75 } },
+ *     byTag: { "Users": { ... } },
+ *     byProtocol: { "rest": { ... } }
+ *   }
+ *
+ * @param {Array} coverageItems - result of matchOperationsDetailed
+ * @returns {Object} summary
+ */
+function calculateCoverageSummary(coverageItems) {
+  const overall = createBucket();
+  const byApi = {};
+  const byTag = {};
+  const byProtocol = {};
+
+  coverageItems.forEach(item => {
+    const covered = !item.unmatched;
+
+    addToBucket(overall, covered);
+
+    const apiName = item.apiName || "";
+    byApi[apiName] = byApi[apiName] || createBucket();
+    addToBucket(byApi[apiName], covered);
+
+    (item.tags || []).forEach(tag => {
+      byTag[tag] = byTag[tag] || createBucket();
+      addToBucket(byTag[tag], covered);
+    });
+
+    const protocol = item.protocol || "rest";
+    byProtocol[protocol] = byProtocol[protocol] || createBucket();
+    addToBucket(byProtocol[protocol], covered);
+  });
+
+  [overall, ...Object.values(byApi), ...Object.values(byTag), ...Object.values(byProtocol)]
+    .forEach(finalizeBucket);
+
+  return {
+    ...overall,
+    byApi,
+    byTag,
+    byProtocol
+  };
+}
+
+function createBucket() {
+  return { total: 0, covered: 0, uncovered: 0, coverage: 0 };
+}
+
+function addToBucket(bucket, covered) {
+  bucket.total += 1;
+  if (covered) {
+    bucket.covered += 1;
+  } else {
+    bucket.uncovered += 1;
+  }
+}
+
+function finalizeBucket(bucket) {
+  bucket.coverage = bucket.total ? (bucket.covered / bucket.total) * 100 : 0;
+}
+
+/**
+ * roundPercent - rounds a percentage to two decimals for persisted output.
+ */
+function roundPercent(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { calculateCoverageSummary, roundPercent };
@@ -36,6 +36,11 @@ function extractOperationsFromSpec(spec, verbose = false) {
   const paths = spec.paths || {};
   const operations = [];
 
+  // Базовые пути: v3 servers (глобальные) или v2 basePath
+  const rootBasePaths = spec.swagger ?
+    normalizeBasePaths([spec.basePath]) :
+    extractServerBasePaths(spec.servers);
+
   Object.keys(paths).forEach(pathKey => {
     const pathItem = paths[pathKey];
     // Методы
@@ -50,13 +55,15 @@ function extractOperationsFromSpec(spec, verbose = false) {
       const responses = opObj.responses || {};
       const statusCodes = Object.keys(responses);
 
-      // Собираем параметры
+      // Собираем параметры; параметр операции переопределяет параметр пути с тем же name + in
       let parameters = [];
       if (opObj.parameters) {
         parameters = parameters.concat(opObj.parameters);
       }
       if (pathItem.parameters) {
-        parameters = parameters.concat(pathItem.parameters);
+        parameters = parameters.concat(pathItem.parameters.filter(pathParam =>
+          !parameters.some(opParam => opParam.name === pathParam.name && opParam.in === pathParam.in)
+        ));
       }
 
       // Преобразуем параметры в упрощённый вид
@@ -64,7 +71,7 @@ function extractOperationsFromSpec(spec, verbose = false) {
         name: p.name,
         in: p.in,
         required: !!p.required,
-        schema: p.schema || {}
+        schema: p.schema || parameterSchema(p)
       }));
 
       // Для v3 requestBody
@@ -72,10 +79,24 @@ function extractOperationsFromSpec(spec, verbose = false) {
       if (opObj.requestBody && opObj.requestBody.content) {
         requestBodyContent = Object.keys(opObj.requestBody.content);
       }
+      // Схема тела запроса (уже с раскрытыми $ref) для покрытия свойств
+      const requestBodySchema = pickRequestBodySchema(opObj.requestBody, parameters);
 
       // Собираем теги
       const tags = opObj.tags || [];
 
+      // Vendor extensions (x-internal, x-coverage-ignore, ...): уровень операции важнее уровня пути
+      const extensions = { ...pickExtensions(pathItem), ...pickExtensions(opObj) };
+      const deprecated = opObj.deprecated === true;
+
+      // servers на уровне операции/пути переопределяют глобальные (v3)
+      let basePaths = rootBasePaths;
+      if (!spec.swagger && Array.isArray(opObj.servers) && opObj.servers.length > 0) {
+        basePaths = extractServerBasePaths(opObj.servers);
+      } else if (!spec.swagger && Array.isArray(pathItem.servers) && pathItem.servers.length > 0) {
+        basePaths = extractServerBasePaths(pathItem.servers);
+      }
+
       // Собираем ожидаемые статус-коды (исключая 'default')
       const expectedStatusCodes = statusCodes.filter(sc => /^\d{3}$/.test(sc));
 
@@ -91,7 +112,16 @@ function extractOperationsFromSpec(spec, verbose = false) {
             tags: tags,
             expectedStatusCodes: expectedStatusCodes,
             parameters: mappedParams, 
-            requestBodyContent
+            requestBodyContent,
+            requestBodySchema,
+            // Схемы ответа по content type для проверки ответов (--validate-responses)
+            responseSchemas: pickResponseSchemas(responses[sc], opObj.produces || spec.produces),
+            // Объявленные заголовки и media types ответа (покрытие по ответам Newman)
+            responseHeaders: pickResponseHeaders(responses[sc]),
+            responseContentTypes: pickResponseContentTypes(responses[sc], opObj.produces || spec.produces),
+            basePaths,
+            deprecated,
+            extensions
           });
         });
       } else {
@@ -105,7 +135,14 @@ function extractOperationsFromSpec(spec, verbose = false) {
           tags: tags,
           expectedStatusCodes: [],
           parameters: mappedParams,
-          requestBodyContent
+          requestBodyContent,
+          requestBodySchema,
+          responseSchemas: null,
+          responseHeaders: [],
+          responseContentTypes: [],
+          basePaths,
+          deprecated,
+          extensions
         });
       }
     });
@@ -117,7 +154,166 @@ function extractOperationsFromSpec(spec, verbose = false) {
   return operations;
 }
 
+/**
+ * Поля x-* объекта (vendor extensions).
+ */
+function pickExtensions(obj) {
+  const result = {};
+  Object.keys(obj || {}).forEach(key => {
+    if (key.startsWith('x-')) {
+      result[key] = obj[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Извлечение базовых путей из v3 servers.
+ * Переменные сервера подставляются значениями из enum (все варианты) или default;
+ * переменные без значений остаются как {name} и при сопоставлении считаются шаблоном.
+ *
+ *   servers: [{ url: 'https://api.x.com/{version}', variables: { version: { default: 'v2', enum: ['v1','v2'] } } }]
+ *   -> ['/v1', '/v2']
+ */
+function extractServerBasePaths(servers) {
+  if (!Array.isArray(servers)) {
+    return [];
+  }
+  const urls = [];
+  servers.forEach(server => {
+    if (!server || typeof server.url !== 'string') return;
+    expandServerVariables(server.url, server.variables || {}).forEach(u => urls.push(u));
+  });
+  return normalizeBasePaths(urls.map(serverUrlToPath));
+}
+
+/**
+ * Подстановка переменных сервера (декартово произведение значений).
+ */
+function expandServerVariables(url, variables) {
+  let results = [url];
+  Object.keys(variables).forEach(name => {
+    const variable = variables[name] || {};
+    let values = Array.isArray(variable.enum) && variable.enum.length > 0 ?
+      variable.enum :
+      (variable.default !== undefined ? [variable.default] : []);
+    if (values.length === 0) return;
+    const placeholder = `{${name}}`;
+    const expanded = [];
+    results.forEach(r => {
+      values.forEach(v => expanded.push(r.split(placeholder).join(String(v))));
+    });
+    results = expanded;
+  });
+  return results;
+}
+
+/**
+ * Оставляем только путь из URL сервера: 'https://api.x.com/v2/' -> '/v2'
+ */
+function serverUrlToPath(url) {
+  let p = url.trim()
+    .replace(/^[^:/?#]+:\/\/[^/]*/, '') // схема + хост (в т.ч. {scheme}://{host})
+    .replace(/^\/\/[^/]*/, '')         // протокол-независимый //host
+    .split(/[?#]/)[0];
+  if (p && !p.startsWith('/')) {
+    // Относительный URL без ведущего слэша, например 'v2'
+    p = '/' + p;
+  }
+  return p;
+}
+
+/**
+ * Нормализация базовых путей: ведущий слэш, без завершающего, без корня и дублей.
+ */
+function normalizeBasePaths(basePaths) {
+  const result = [];
+  (basePaths || []).forEach(bp => {
+    if (typeof bp !== 'string') return;
+    let p = bp.trim();
+    if (!p) return;
+    if (!p.startsWith('/')) p = '/' + p;
+    p = p.replace(/\/+$/, '');
+    if (p && !result.includes(p)) {
+      result.push(p);
+    }
+  });
+  return result;
+}
+
+/**
+ * В Swagger 2 у параметров не в body нет schema: type, enum, items и т.п. лежат
+ * на самом параметре. Собираем из них схему (для v3 без schema — пустой объект).
+ */
+function parameterSchema(param) {
+  const schema = {};
+  ['type', 'format', 'enum', 'items', 'pattern'].forEach(key => {
+    if (param[key] !== undefined) {
+      schema[key] = param[key];
+    }
+  });
+  return schema;
+}
+
+/**
+ * Схема тела запроса: в v3 — JSON-вариант requestBody.content (иначе форма),
+ * в v2 — schema параметра in: body. null, если тела нет.
+ */
+function pickRequestBodySchema(requestBody, parameters) {
+  if (requestBody && requestBody.content) {
+    const types = Object.keys(requestBody.content);
+    const type = types.find(t => t.includes('application/json')) ||
+      types.find(t => t.includes('json')) ||
+      types.find(t => t.includes('x-www-form-urlencoded') || t.includes('multipart/form-data'));
+    return type && requestBody.content[type].schema ? requestBody.content[type].schema : null;
+  }
+  const bodyParam = parameters.find(p => p.in === 'body');
+  return bodyParam && bodyParam.schema ? bodyParam.schema : null;
+}
+
+/**
+ * Схемы ответа: { contentType: schema }. В v3 — из response.content,
+ * в v2 — response.schema для каждого produces. null, если схем нет.
+ */
+function pickResponseSchemas(response, produces) {
+  if (!response) return null;
+  const schemas = {};
+  if (response.content) {
+    Object.keys(response.content).forEach(type => {
+      if (response.content[type] && response.content[type].schema) {
+        schemas[type] = response.content[type].schema;
+      }
+    });
+  } else if (response.schema) {
+    (Array.isArray(produces) && produces.length > 0 ? produces : ['application/json']).forEach(type => {
+      schemas[type] = response.schema;
+    });
+  }
+  return Object.keys(schemas).length > 0 ? schemas : null;
+}
+
+/**
+ * Заголовки ответа: [{ name, required }]. Content-Type не учитывается (как в OpenAPI).
+ */
+function pickResponseHeaders(response) {
+  if (!response || !response.headers) return [];
+  return Object.keys(response.headers)
+    .filter(name => name.toLowerCase() !== 'content-type')
+    .map(name => ({ name, required: !!(response.headers[name] && response.headers[name].required) }));
+}
+
+/**
+ * Media types ответа: ключи response.content (v3) или produces (v2, если у ответа есть schema).
+ */
+function pickResponseContentTypes(response, produces) {
+  if (!response) return [];
+  if (response.content) return Object.keys(response.content);
+  return response.schema && Array.isArray(produces) ? produces.slice() : [];
+}
+
 module.exports = {
   loadAndParseSpec,
-  extractOperationsFromSpec
+  extractOperationsFromSpec,
+  extractServerBasePaths,
+  normalizeBasePaths
 };
@@ -0,0 +1,91 @@
+// thresholds.js
+
+"use strict";
+
+/**
+ * Exit code used when the run succeeded but coverage thresholds were not met.
+ * Kept distinct from 1 (unexpected error) so pipelines can tell them apart.
+ */
+const THRESHOLD_EXIT_CODE = 2;
+
+/**
+ * parsePercentage - validates a percentage value given on the command line.
+ */
+function parsePercentage(value, label = "coverage threshold") {
+  const pct = Number(String(value).trim().replace(/%$/, ""));
+  if (String(value).trim() === "" || isNaN(pct) || pct < 0 || pct > 100) {
+    throw new Error(`Invalid ${label}: "${value}". Expected a number between 0 and 100.`);
+  }
+  return pct;
+}
+
+/**
+ * parseThresholdPair - parses "name=pct" into { name, min }.
+ * The last "=" is used as separator so names may contain "=".
+ */
+function parseThresholdPair(value) {
+  const idx = String(value).lastIndexOf("=");
+  if (idx <= 0) {
+    throw new Error(`Invalid threshold "${value}". Expected format: name=percentage`);
+  }
+  const name = value.slice(0, idx).trim();
+  const min = parsePercentage(value.slice(idx + 1), `threshold for "${name}"`);
+  return { name, min };
+}
+
+/**
+ * evaluateThresholds - checks a coverage summary (see calculateCoverageSummary)
+ * against the configured minimums.
+ *
+ * @param {Object} summary
+ * @param {Object} thresholds
+ * @param {number} [thresholds.overall]      - minimum overall coverage
+ * @param {Array}  [thresholds.apis]         - [{ name, min }] per API name
+ * @param {Array}  [thresholds.tags]         - [{ name, min }] per tag
+ * @returns {Array} failures, e.g. [{ scope: "api", name: "Users API", actual: 40, min: 80 }]
+ *   `actual` is null when no operations were found for the given API/tag.
+ */
+function evaluateThresholds(summary, { overall, apis = [], tags = [] } = {}) {
+  const failures = [];
+
+  if (overall !== undefined && overall !== null && summary.coverage < overall) {
+    failures.push({ scope: "overall", name: "overall", actual: summary.coverage, min: overall });
+  }
+
+  const checkGroup = (scope, groups, entries) => {
+    entries.forEach(({ name, min }) => {
+      const bucket = groups[name];
+      if (!bucket) {
+        failures.push({ scope, name, actual: null, min });
+      } else if (bucket.coverage < min) {
+        failures.push({ scope, name, actual: bucket.coverage, min });
+      }
+    });
+  };
+
+  checkGroup("api", summary.byApi, apis);
+  checkGroup("tag", summary.byTag, tags);
+
+  return failures;
+}
+
+/**
+ * formatThresholdFailure - human readable line for console output.
+ */
+function formatThresholdFailure(failure) {
+  const label = failure.scope === "overall"
+    ? "Overall coverage"
+    : `${failure.scope === "api" ? "API" : "Tag"} "${failure.name}"`;
+  if (failure.actual === null) {
+    return `${label}: no operations found (required ${failure.min.toFixed(2)}%)`;
+  }
+  return `${label}: ${failure.actual.toFixed(2)}% < required ${failure.min.toFixed(2)}%`;
+}
+
+module.exports = {
+  THRESHOLD_EXIT_CODE,
+  parsePercentage,
+  parseThresholdPair,
+  evaluateThresholds,
+  formatThresholdFailure
+};
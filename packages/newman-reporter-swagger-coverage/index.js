@@ -0,0 +1,6 @@
+// index.js
+
+"use strict";
+
+// Newman resolves `-r swagger-coverage` to this package; the reporter lives in swagger-coverage-cli.
+module.exports = require("swagger-coverage-cli/lib/newman-reporter");
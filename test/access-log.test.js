@@ -0,0 +1,99 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { compileLogPattern, looksLikeAccessLog, extractRequestsFromAccessLog } = require('../lib/access-log');
+const { loadRequestsFromInput } = require('../lib/inputs');
+const { analyzeCoverage } = require('../lib/analyze');
+const { buildJsonReport } = require('../lib/json-report');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+const combinedLog = [
+  '203.0.113.7 - - [10/Oct/2024:13:55:36 +0000] "GET /users?limit=10 HTTP/1.1" 200 512 "-" "Mozilla/5.0"',
+  '203.0.113.8 - - [10/Oct/2024:13:55:37 +0000] "GET /users?limit=20&expand=roles HTTP/1.1" 200 640 "-" "Mozilla/5.0"',
+  '203.0.113.7 - alice [10/Oct/2024:13:55:38 +0000] "POST /users HTTP/1.1" 201 90',
+  '203.0.113.9 - - [10/Oct/2024:13:55:39 +0000] "GET /users/42 HTTP/2.0" 404 12 "https://app.example.com/" "curl/8.0"',
+  '203.0.113.9 - - [10/Oct/2024:13:55:40 +0000] "-" 400 0 "-" "-"',
+  ''
+].join('\n');
+
+describe('Access log loader', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-access-log');
+  const logPath = path.join(tmpDir, 'access.txt');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(logPath, combinedLog);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should parse common and combined lines and merge repeated requests', () => {
+    expect(looksLikeAccessLog(combinedLog)).toBe(true);
+    expect(looksLikeAccessLog('{"info": {}}')).toBe(false);
+
+    const requests = extractRequestsFromAccessLog(combinedLog);
+    expect(requests).toHaveLength(3);
+    expect(requests[0]).toMatchObject({
+      name: 'GET /users',
+      method: 'get',
+      rawUrl: '/users?limit=10',
+      queryParams: [{ key: 'limit', value: '10' }, { key: 'expand', value: 'roles' }],
+      testedStatusCodes: ['200'],
+      executed: true,
+      hits: 2
+    });
+    expect(requests[1]).toMatchObject({ name: 'POST /users', testedStatusCodes: ['201'], hits: 1 });
+    expect(requests[2]).toMatchObject({ rawUrl: '/users/42', testedStatusCodes: ['404'] });
+  });
+
+  test('should support a custom pattern with named groups', () => {
+    const log = 'ts=1 m=DELETE p=/users/7 s=204\nts=2 garbage\n';
+    const requests = extractRequestsFromAccessLog(log, false, {
+      pattern: 'm=(?<method>\\S+) p=(?<path>\\S+) s=(?<status>\\d{3})'
+    });
+    expect(requests).toEqual([expect.objectContaining({ method: 'delete', rawUrl: '/users/7', testedStatusCodes: ['204'] })]);
+
+    expect(() => compileLogPattern('(?<method>\\S+) (?<url>\\S+)')).toThrow('named groups "method", "url" (or "path") and "status" are required');
+    expect(() => compileLogPattern('(')).toThrow('Invalid log pattern');
+  });
+
+  test('loadRequestsFromInput should detect access logs', () => {
+    const loaded = loadRequestsFromInput(logPath, {});
+    expect(loaded.inputType).toBe('access-log');
+    expect(loaded.collectionName).toBe('access.txt');
+    expect(loaded.requests).toHaveLength(3);
+  });
+
+  test('runs on access logs should be labelled as traffic coverage', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const result = await analyzeCoverage({ specs: [apiPath], inputs: [logPath] });
+    expect(result.meta.coverageType).toBe('traffic');
+    expect(buildJsonReport(result).meta).toMatchObject({ inputType: 'access-log', coverageType: 'traffic' });
+
+    const html = generateHtmlReport(result);
+    expect(html).toContain('<h1>Traffic Coverage Report</h1>');
+    expect(html).toContain('<strong>Traffic Source:</strong> access.txt');
+
+    const relabelled = await analyzeCoverage({ specs: [apiPath], inputs: [logPath], options: { coverageType: 'test' } });
+    expect(relabelled.meta.coverageType).toBe('test');
+    await expect(analyzeCoverage({ specs: [apiPath], inputs: [logPath], options: { coverageType: 'prod' } }))
+      .rejects.toThrow('Invalid coverage type "prod"');
+  });
+
+  test('CLI should report traffic coverage', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const reportPath = path.join(tmpDir, 'report.html');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${logPath}" --output "${reportPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('=== Traffic Coverage Report ===');
+    expect(stdout).toContain('Matched operations in traffic:');
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const api = require('../index');
+const { analyzeCoverage, writeReports } = require('../lib/analyze');
+
+describe('Programmatic API', () => {
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+  const collectionPath = path.resolve(__dirname, 'fixtures', 'test-collection.json');
+  const usersApiPath = path.resolve(__dirname, 'fixtures', 'users-api.yaml');
+  const productsApiPath = path.resolve(__dirname, 'fixtures', 'products-api.yaml');
+
+  test('package entry should expose the API without running the CLI', () => {
+    expect(typeof api.analyzeCoverage).toBe('function');
+    expect(typeof api.writeReports).toBe('function');
+    expect(typeof api.loadAndParseSpec).toBe('function');
+    expect(typeof api.extractRequestsFromPostman).toBe('function');
+    expect(typeof api.matchOperationsDetailed).toBe('function');
+    expect(typeof api.generateHtmlReport).toBe('function');
+    expect(typeof api.generateJsonReport).toBe('function');
+    expect(typeof api.generateJunitReport).toBe('function');
+    expect(require('../package.json').main).toBe('index.js');
+  });
+
+  test('analyzeCoverage should return coverage items, summary and undocumented requests', async () => {
+    const result = await analyzeCoverage({
+      specs: [apiPath],
+      inputs: [newmanPath],
+      options: { newman: true }
+    });
+
+    expect(result.coverage).toBe(50);
+    expect(result.summary.total).toBe(18);
+    expect(result.summary.covered).toBe(9);
+    expect(result.coverageItems).toHaveLength(18);
+    expect(Array.isArray(result.undocumentedRequests)).toBe(true);
+    expect(result.meta.inputType).toBe('newman');
+    expect(result.meta.apiNames).toEqual(['Sample API for Newman Demo']);
+    expect(result.baselineComparison).toBeNull();
+  });
+
+  test('analyzeCoverage should handle multiple specs with names and ignore rules', async () => {
+    const result = await analyzeCoverage({
+      specs: [{ file: usersApiPath, name: 'Users' }, productsApiPath],
+      inputs: [{ file: collectionPath }],
+      options: { ignore: ['/products/**'] }
+    });
+
+    expect(result.meta.apiCount).toBe(2);
+    expect(result.meta.apiNames).toEqual(['Users', 'Products API']);
+    expect(result.meta.specName).toBe('Multiple APIs (Users, Products API)');
+    expect(result.coverageItems.every(i => !i.path.startsWith('/products/'))).toBe(true);
+    expect(result.excludedOperations.length).toBeGreaterThan(0);
+    expect(result.summary.byApi.Users.total).toBeGreaterThan(0);
+  });
+
+  test('analyzeCoverage should accept in-memory requests', async () => {
+    const result = await analyzeCoverage({
+      specs: [apiPath],
+      inputs: [{
+        name: 'Harness',
+        requests: [{
+          name: 'List users',
+          method: 'get',
+          rawUrl: 'http://localhost/users',
+          queryParams: [],
+          bodyInfo: null,
+          testedStatusCodes: ['200'],
+          testScripts: ''
+        }]
+      }]
+    });
+
+    expect(result.meta.postmanCollectionName).toBe('Harness');
+    const getUsers = result.coverageItems.find(i => i.method === 'GET' && i.path === '/users' && i.statusCode === '200');
+    expect(getUsers.unmatched).toBe(false);
+    expect(getUsers.matchedRequests[0].name).toBe('List users');
+  });
+
+  test('analyzeCoverage should compare with an in-memory baseline', async () => {
+    const first = await analyzeCoverage({ specs: [apiPath], inputs: [newmanPath], options: { newman: true } });
+    const baseline = JSON.parse(api.generateJsonReport(first));
+
+    const second = await analyzeCoverage({
+      specs: [apiPath],
+      inputs: [newmanPath],
+      options: { newman: true, baseline }
+    });
+    expect(second.baselineComparison.hasRegressions).toBe(false);
+    expect(second.baselineComparison.previousCoverage).toBe(50);
+  });
+
+  test('analyzeCoverage should reject missing specs or inputs', async () => {
+    await expect(analyzeCoverage({ specs: [], inputs: [newmanPath] })).rejects.toThrow('No API specification files given');
+    await expect(analyzeCoverage({ specs: [apiPath], inputs: [] })).rejects.toThrow('No Postman collection or Newman report given');
+    await expect(analyzeCoverage({ specs: [apiPath], inputs: [{}] })).rejects.toThrow('Invalid input');
+  });
+
+  test('writeReports should write the requested files', async () => {
+    const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-analyze');
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    try {
+      const result = await analyzeCoverage({ specs: [apiPath], inputs: [newmanPath], options: { newman: true } });
+      const written = writeReports(result, {
+        html: path.join(tmpDir, 'report.html'),
+        json: path.join(tmpDir, 'report.json'),
+        junit: path.join(tmpDir, 'report.xml'),
+        history: path.join(tmpDir, 'history.json'),
+        gitCommit: 'abc'
+      });
+
+      expect(Object.keys(written).sort()).toEqual(['history', 'html', 'json', 'junit']);
+      expect(fs.readFileSync(written.html, 'utf8')).toContain('"commit":"abc"');
+      expect(JSON.parse(fs.readFileSync(written.json, 'utf8')).summary.coverage).toBe(50);
+      expect(fs.readFileSync(written.junit, 'utf8')).toContain('<testsuites');
+      // The result itself is left untouched
+      expect(result.meta.coverageHistory).toBeNull();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
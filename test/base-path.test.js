@@ -0,0 +1,145 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { extractOperationsFromSpec, extractServerBasePaths, normalizeBasePaths } = require('../lib/swagger');
+const { matchOperationsDetailed } = require('../lib/match');
+const { analyzeCoverage } = require('../lib/analyze');
+
+const execAsync = promisify(exec);
+
+const request = (rawUrl, method = 'get') => ({
+  name: `${method.toUpperCase()} ${rawUrl}`,
+  method,
+  rawUrl,
+  queryParams: [],
+  bodyInfo: null,
+  testedStatusCodes: ['200'],
+  testScripts: ''
+});
+
+const usersSpec = extra => ({
+  openapi: '3.0.0',
+  info: { title: 'Base Path API', version: '1.0.0' },
+  paths: {
+    '/users': { get: { responses: { '200': { description: 'OK' } } } },
+    '/users/{id}': { get: { responses: { '200': { description: 'OK' } } } }
+  },
+  ...extra
+});
+
+describe('Base path resolution', () => {
+  test('extractServerBasePaths should expand server variables and drop hosts', () => {
+    expect(extractServerBasePaths([
+      { url: 'https://api.example.com/v2/' },
+      { url: '/api/{version}', variables: { version: { default: 'v1', enum: ['v1', 'v2'] } } },
+      { url: '{scheme}://{host}/x', variables: { scheme: { default: 'https' } } },
+      { url: 'https://api.example.com' }
+    ])).toEqual(['/v2', '/api/v1', '/api/v2', '/x']);
+    expect(extractServerBasePaths(undefined)).toEqual([]);
+  });
+
+  test('normalizeBasePaths should add a leading slash and drop root and duplicates', () => {
+    expect(normalizeBasePaths(['api/', '/api', '/', '', null])).toEqual(['/api']);
+  });
+
+  test('operations should carry base paths from servers, path and operation level', () => {
+    const ops = extractOperationsFromSpec(usersSpec({
+      servers: [{ url: 'https://api.example.com/v2' }],
+      paths: {
+        '/users': {
+          servers: [{ url: '/path-level' }],
+          get: { responses: { '200': { description: 'OK' } } },
+          post: { servers: [{ url: '/op-level' }], responses: { '200': { description: 'OK' } } }
+        },
+        '/health': { get: { responses: { '200': { description: 'OK' } } } }
+      }
+    }));
+
+    const find = (method, p) => ops.find(o => o.method === method && o.path === p);
+    expect(find('get', '/users').basePaths).toEqual(['/path-level']);
+    expect(find('post', '/users').basePaths).toEqual(['/op-level']);
+    expect(find('get', '/health').basePaths).toEqual(['/v2']);
+  });
+
+  test('Swagger 2 basePath should be used as base path', () => {
+    const ops = extractOperationsFromSpec({
+      swagger: '2.0',
+      info: { title: 'Legacy', version: '1' },
+      basePath: '/api/v1/',
+      paths: { '/users': { get: { responses: { '200': { description: 'OK' } } } } }
+    });
+    expect(ops[0].basePaths).toEqual(['/api/v1']);
+  });
+
+  test('requests with the server prefix should match spec paths', () => {
+    const ops = extractOperationsFromSpec(usersSpec({ servers: [{ url: 'https://api.example.com/v2' }] }));
+    const items = matchOperationsDetailed(ops, [
+      request('https://api.example.com/v2/users'),
+      request('{{baseUrl}}/v2/users/42')
+    ], {});
+
+    expect(items.every(i => !i.unmatched)).toBe(true);
+  });
+
+  test('requests without the prefix should still match, other prefixes should not', () => {
+    const ops = extractOperationsFromSpec(usersSpec({ servers: [{ url: '/v2' }] }));
+
+    const withoutPrefix = matchOperationsDetailed(ops, [request('http://localhost/users')], {});
+    expect(withoutPrefix.find(i => i.path === '/users').unmatched).toBe(false);
+
+    const otherPrefix = matchOperationsDetailed(ops, [request('http://localhost/v3/users')], {});
+    expect(otherPrefix.find(i => i.path === '/users').unmatched).toBe(true);
+  });
+
+  test('basePath option should override the spec servers', async () => {
+    const tmpSpec = path.resolve(__dirname, 'fixtures', 'tmp-base-path-api.json');
+    fs.writeFileSync(tmpSpec, JSON.stringify(usersSpec({ servers: [{ url: '/v2' }] })));
+
+    try {
+      const inputs = [{ name: 'Gateway', requests: [request('https://gw.example.com/gateway/users')] }];
+
+      const fromSpec = await analyzeCoverage({ specs: [tmpSpec], inputs });
+      expect(fromSpec.summary.covered).toBe(0);
+
+      const overridden = await analyzeCoverage({ specs: [tmpSpec], inputs, options: { basePath: '/gateway' } });
+      expect(overridden.summary.covered).toBe(1);
+
+      // A per-spec basePath wins over the global option
+      const perSpec = await analyzeCoverage({
+        specs: [{ file: tmpSpec, basePath: ['/gateway'] }],
+        inputs,
+        options: { basePath: '/other' }
+      });
+      expect(perSpec.summary.covered).toBe(1);
+    } finally {
+      fs.unlinkSync(tmpSpec);
+    }
+  });
+
+  test('CLI should accept --base-path', async () => {
+    const tmpSpec = path.resolve(__dirname, 'fixtures', 'tmp-base-path-cli.json');
+    const tmpCollection = path.resolve(__dirname, 'fixtures', 'tmp-base-path-collection.json');
+    const tmpReport = path.resolve(__dirname, '..', 'tmp-base-path-report.html');
+    const cliPath = path.resolve(__dirname, '..', 'cli.js');
+
+    fs.writeFileSync(tmpSpec, JSON.stringify(usersSpec({ servers: [{ url: '/v2' }] })));
+    fs.writeFileSync(tmpCollection, JSON.stringify({
+      info: { name: 'Base Path Collection', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+      item: [{
+        name: 'List users',
+        request: { method: 'GET', url: { raw: '{{baseUrl}}/internal/api/users' } },
+        event: [{ listen: 'test', script: { exec: ['pm.response.to.have.status(200);'] } }]
+      }]
+    }));
+
+    try {
+      const { stdout } = await execAsync(
+        `node "${cliPath}" "${tmpSpec}" "${tmpCollection}" --base-path /internal/api,/v3 --output "${tmpReport}"`
+      );
+      expect(stdout).toContain('Matched operations in Postman/Newman: 1');
+    } finally {
+      [tmpSpec, tmpCollection, tmpReport].forEach(f => fs.existsSync(f) && fs.unlinkSync(f));
+    }
+  });
+});
@@ -0,0 +1,170 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { loadBaseline, compareWithBaseline, operationKey } = require('../lib/baseline');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+describe('Baseline Comparison', () => {
+  const op = (method, opPath, statusCode, unmatched, apiName = 'Users API') => ({
+    apiName,
+    method,
+    path: opPath,
+    statusCode,
+    name: `${method} ${opPath}`,
+    unmatched,
+    matchedRequests: []
+  });
+
+  test('operationKey should combine api name, method, path and status code', () => {
+    expect(operationKey(op('get', '/users', '200', false))).toBe('Users API GET /users 200');
+    expect(operationKey(op('GET', '/users', '200', true))).toBe('Users API GET /users 200');
+    expect(operationKey(op('GET', '/users', '200', true, 'Other'))).not.toBe('Users API GET /users 200');
+  });
+
+  test('compareWithBaseline should classify changes', () => {
+    const baseline = [
+      op('GET', '/users', '200', false),
+      op('GET', '/users', '400', true),
+      op('POST', '/users', '201', false),
+      op('DELETE', '/users/{id}', '204', false)
+    ];
+    const current = [
+      op('GET', '/users', '200', false),
+      op('GET', '/users', '400', false),
+      op('POST', '/users', '201', true),
+      op('PATCH', '/users/{id}', '200', true)
+    ];
+
+    const result = compareWithBaseline(baseline, current);
+
+    expect(result.newlyCovered.map(operationKey)).toEqual(['Users API GET /users 400']);
+    expect(result.newlyUncovered.map(operationKey)).toEqual(['Users API POST /users 201']);
+    expect(result.added.map(operationKey)).toEqual(['Users API PATCH /users/{id} 200']);
+    expect(result.removed.map(operationKey)).toEqual(['Users API DELETE /users/{id} 204']);
+    expect(result.hasRegressions).toBe(true);
+    expect(result.newlyUncovered[0]).toEqual({
+      apiName: 'Users API',
+      method: 'POST',
+      path: '/users',
+      statusCode: '201',
+      name: 'POST /users',
+      covered: false
+    });
+  });
+
+  test('compareWithBaseline should report no changes for identical runs', () => {
+    const items = [op('GET', '/users', '200', false), op('GET', '/users', '400', true)];
+    const result = compareWithBaseline(items, items);
+    expect(result.newlyCovered).toEqual([]);
+    expect(result.newlyUncovered).toEqual([]);
+    expect(result.added).toEqual([]);
+    expect(result.removed).toEqual([]);
+    expect(result.hasRegressions).toBe(false);
+  });
+
+  describe('loadBaseline', () => {
+    const tmpFile = path.resolve(__dirname, 'fixtures', 'tmp-baseline.json');
+
+    afterEach(() => {
+      if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+    });
+
+    test('should throw for missing file', () => {
+      expect(() => loadBaseline('does-not-exist.json')).toThrow('Baseline file not found');
+    });
+
+    test('should throw for non-report JSON', () => {
+      fs.writeFileSync(tmpFile, JSON.stringify({ foo: 'bar' }));
+      expect(() => loadBaseline(tmpFile)).toThrow('missing operations');
+    });
+
+    test('should throw for unsupported schema version', () => {
+      fs.writeFileSync(tmpFile, JSON.stringify({ schemaVersion: '2.0', operations: [] }));
+      expect(() => loadBaseline(tmpFile)).toThrow('Unsupported baseline schemaVersion');
+    });
+
+    test('should load a valid report', () => {
+      fs.writeFileSync(tmpFile, JSON.stringify({ schemaVersion: '1.0', summary: { coverage: 50 }, operations: [] }));
+      expect(loadBaseline(tmpFile).summary.coverage).toBe(50);
+    });
+  });
+
+  test('HTML report should render changes section only when comparison is given', () => {
+    const base = {
+      coverage: 50,
+      coverageItems: [],
+      meta: { timestamp: 'now', specName: 'Users API', postmanCollectionName: 'Collection' }
+    };
+    expect(generateHtmlReport(base)).not.toContain('id="changesSection"');
+
+    const html = generateHtmlReport({
+      ...base,
+      meta: {
+        ...base.meta,
+        baselineComparison: {
+          ...compareWithBaseline([op('POST', '/users', '201', false)], [op('POST', '/users', '201', true)]),
+          previousCoverage: 75,
+          currentCoverage: 50
+        }
+      }
+    });
+    expect(html).toContain('id="changesSection"');
+    expect(html).toContain('Newly uncovered (1)');
+    expect(html).toContain('[POST] /users (201)');
+    expect(html).toContain('75.00% &rarr; 50.00%');
+    expect(html).toContain('(-25.00)');
+  });
+
+  test('CLI should print changes and fail on regression', async () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const htmlPath = path.resolve(rootDir, 'baseline-cli-test.html');
+    const baselinePath = path.resolve(rootDir, 'baseline-cli-test.json');
+
+    try {
+      await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --output baseline-cli-test.html --json baseline-cli-test.json`,
+        { cwd: rootDir }
+      );
+
+      // Same run against itself: no regressions
+      const { stdout } = await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --output baseline-cli-test.html --baseline baseline-cli-test.json --fail-on-regression`,
+        { cwd: rootDir }
+      );
+      expect(stdout).toContain('=== Changes since baseline');
+      expect(stdout).toContain('Coverage: 50.00% -> 50.00% (+0.00)');
+      expect(stdout).toContain('Newly uncovered: 0');
+
+      // Pretend an uncovered operation was covered before
+      const report = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+      const uncovered = report.operations.find(o => o.unmatched);
+      uncovered.unmatched = false;
+      fs.writeFileSync(baselinePath, JSON.stringify(report));
+
+      let error;
+      try {
+        await execAsync(
+          `node cli.js "${apiPath}" "${newmanPath}" --newman --output baseline-cli-test.html --baseline baseline-cli-test.json --fail-on-regression`,
+          { cwd: rootDir }
+        );
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeDefined();
+      expect(error.code).toBe(2);
+      expect(error.stdout).toContain('Newly uncovered: 1');
+      expect(error.stdout).toContain(`[${uncovered.method}] ${uncovered.path} (statusCode=${uncovered.statusCode})`);
+      expect(error.stderr).toContain('Coverage regression: 1 operation(s)');
+      expect(fs.readFileSync(htmlPath, 'utf8')).toContain('Changes since baseline');
+    } finally {
+      [htmlPath, baselinePath].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      });
+    }
+  }, 20000);
+});
@@ -0,0 +1,179 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { matchOperationsDetailed } = require('../lib/match');
+const { calculateBodyCoverage, summarizeBodyCoverage } = require('../lib/body-coverage');
+const { extractOperationsFromSpec } = require('../lib/swagger');
+
+const execAsync = promisify(exec);
+
+const orderSchema = {
+  type: 'object',
+  required: ['customer', 'items'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    customer: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        address: { type: 'object', required: ['zip'], properties: { zip: { type: 'string' }, city: { type: 'string' } } }
+      }
+    },
+    items: { type: 'array', items: { type: 'object', properties: { sku: { type: 'string' }, size: { type: 'string', enum: ['S', 'M', 'L'] } } } },
+    payment: {
+      oneOf: [
+        { title: 'Card', type: 'object', required: ['card'], properties: { card: { type: 'string' } } },
+        { title: 'Bank', type: 'object', required: ['iban'], properties: { iban: { type: 'string' } } }
+      ]
+    }
+  }
+};
+
+function raw(body) {
+  return { mode: 'raw', content: JSON.stringify(body) };
+}
+
+describe('Request body coverage', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-body-coverage');
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should report nested properties, array items, enums and oneOf branches', () => {
+    const coverage = calculateBodyCoverage(orderSchema, [
+      raw({ customer: { name: 'Ann', address: { zip: '1000' } }, items: [{ sku: 'a', size: 'M' }], payment: { card: '4111' } }),
+      { mode: 'raw', content: 'not json' },
+      null
+    ]);
+
+    expect(coverage.properties).toEqual([
+      { path: 'customer', required: true, sent: true },
+      { path: 'customer.name', required: true, sent: true },
+      { path: 'customer.address', required: false, sent: true },
+      { path: 'customer.address.zip', required: false, sent: true },
+      { path: 'customer.address.city', required: false, sent: false },
+      { path: 'items', required: true, sent: true },
+      { path: 'items[].sku', required: false, sent: true },
+      { path: 'items[].size', required: false, sent: true, enum: ['S', 'M', 'L'], exercisedValues: ['M'] },
+      { path: 'payment', required: false, sent: true },
+      { path: 'payment.card', required: false, sent: true },
+      { path: 'payment.iban', required: false, sent: false }
+    ]);
+    expect(coverage.branches).toEqual([
+      { path: 'payment', keyword: 'oneOf', index: 0, title: 'Card', sent: true },
+      { path: 'payment', keyword: 'oneOf', index: 1, title: 'Bank', sent: false }
+    ]);
+    expect(coverage).toMatchObject({ total: 13, covered: 10, coverage: 76.92 });
+  });
+
+  test('should read form bodies and ignore schemas without properties', () => {
+    const formSchema = { type: 'object', properties: { username: { type: 'string' }, remember: { type: 'boolean' } } };
+    const coverage = calculateBodyCoverage(formSchema, [
+      { mode: 'urlencoded', content: [{ key: 'username', value: 'ann' }, { key: 'remember', value: 'true', disabled: true }] }
+    ]);
+    expect(coverage.properties.map(p => `${p.path}:${p.sent}`)).toEqual(['username:true', 'remember:false']);
+
+    expect(calculateBodyCoverage({ type: 'string', format: 'binary' }, [])).toBeNull();
+    expect(calculateBodyCoverage(null, [])).toBeNull();
+  });
+
+  test('should keep the resolved body schema of OpenAPI 3 and Swagger 2 operations', () => {
+    const [v3] = extractOperationsFromSpec({
+      openapi: '3.0.0',
+      paths: {
+        '/orders': {
+          post: {
+            requestBody: { content: { 'application/xml': { schema: { type: 'string' } }, 'application/json': { schema: orderSchema } } },
+            responses: { 201: { description: 'Created' } }
+          }
+        }
+      }
+    });
+    const [v2] = extractOperationsFromSpec({
+      swagger: '2.0',
+      paths: {
+        '/orders': {
+          post: {
+            parameters: [{ name: 'order', in: 'body', schema: orderSchema }],
+            responses: { 201: { description: 'Created' } }
+          }
+        }
+      }
+    });
+    expect(v3.requestBodySchema).toBe(orderSchema);
+    expect(v2.requestBodySchema).toBe(orderSchema);
+  });
+
+  test('should share the body coverage between status codes and count it once in the summary', () => {
+    const op = { method: 'post', path: '/orders', tags: [], parameters: [], expectedStatusCodes: ['201', '400'], requestBodySchema: orderSchema };
+    const requests = [
+      { name: 'Create order', method: 'post', rawUrl: '/orders', queryParams: [], testedStatusCodes: ['201'], testScripts: '', bodyInfo: raw({ customer: { name: 'Ann' }, items: [] }) },
+      { name: 'Missing customer', method: 'post', rawUrl: '/orders', queryParams: [], testedStatusCodes: ['400'], testScripts: '', bodyInfo: raw({ items: [{ size: 'XL' }] }) }
+    ];
+    const items = matchOperationsDetailed([{ ...op, statusCode: '201' }, { ...op, statusCode: '400' }], requests, {});
+
+    expect(items[0].bodyCoverage).toBe(items[1].bodyCoverage);
+    const sent = items[0].bodyCoverage.properties.filter(p => p.sent).map(p => p.path);
+    expect(sent).toEqual(['customer', 'customer.name', 'items', 'items[].size']);
+    expect(items[0].bodyCoverage.properties.find(p => p.path === 'items[].size').exercisedValues).toEqual([]);
+
+    const summary = summarizeBodyCoverage(items.concat([{}]));
+    expect(summary).toMatchObject({ total: 13, covered: 4, uncovered: 9 });
+    expect(summary.enumValues).toMatchObject({ total: 3, covered: 0, coverage: 0 });
+  });
+
+  test('CLI should print request body coverage and write it to the JSON report', async () => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    const specPath = path.join(tmpDir, 'api.yaml');
+    const collectionPath = path.join(tmpDir, 'collection.json');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    fs.writeFileSync(specPath, [
+      'openapi: 3.0.0',
+      'info: { title: Users, version: "1.0" }',
+      'paths:',
+      '  /users:',
+      '    post:',
+      '      requestBody:',
+      '        content:',
+      '          application/json:',
+      '            schema: { $ref: "#/components/schemas/User" }',
+      '      responses:',
+      '        "201": { description: Created }',
+      'components:',
+      '  schemas:',
+      '    User:',
+      '      type: object',
+      '      required: [name]',
+      '      properties:',
+      '        name: { type: string }',
+      '        role: { type: string, enum: [admin, user] }',
+      '        manager: { $ref: "#/components/schemas/User" }'
+    ].join('\n'));
+    fs.writeFileSync(collectionPath, JSON.stringify({
+      info: { name: 'Users' },
+      item: [{
+        name: 'Create user',
+        request: { method: 'POST', url: { raw: '/users' }, body: { mode: 'raw', raw: '{"name":"Ann","role":"admin"}' } },
+        event: [{ listen: 'test', script: { exec: ['pm.response.to.have.status(201);'] } }]
+      }]
+    }));
+
+    const { stdout } = await execAsync(
+      `node cli.js "${specPath}" "${collectionPath}" --output "${path.join(tmpDir, 'report.html')}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+
+    expect(stdout).toContain('Request body coverage: 66.67% (2/3 properties and branches, 1/2 enum values)');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.requestBodies).toEqual({
+      total: 3, covered: 2, uncovered: 1, coverage: 66.67,
+      enumValues: { total: 2, covered: 1, coverage: 50 }
+    });
+    // The circular manager reference is not walked again
+    expect(json.operations[0].bodyCoverage.properties.map(p => p.path)).toEqual(['name', 'role', 'manager']);
+    expect(fs.readFileSync(path.join(tmpDir, 'report.html'), 'utf8')).toContain('Request Body Coverage:</strong>');
+  });
+});
@@ -0,0 +1,212 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { parseBruFile, loadBrunoCollection, extractRequestsFromBruno } = require('../lib/bruno');
+const { loadRequestsFromInput } = require('../lib/inputs');
+
+const execAsync = promisify(exec);
+
+const files = {
+  'bruno.json': JSON.stringify({ version: '1', name: 'Users Bruno', type: 'collection' }),
+  'collection.bru': [
+    'vars:pre-request {',
+    '  apiPrefix: ',
+    '}'
+  ].join('\n'),
+  'environments/local.bru': [
+    'vars {',
+    '  baseUrl: http://localhost',
+    '  ~unused: x',
+    '}',
+    'vars:secret [',
+    '  token',
+    ']'
+  ].join('\n'),
+  'users/List users.bru': [
+    'meta {',
+    '  name: List users',
+    '  type: http',
+    '  seq: 2',
+    '}',
+    '',
+    'get {',
+    '  url: {{baseUrl}}{{apiPrefix}}/users?limit=10',
+    '  body: none',
+    '  auth: none',
+    '}',
+    '',
+    'params:query {',
+    '  limit: 10',
+    '  ~debug: 1',
+    '}',
+    '',
+    'assert {',
+    '  res.status: eq 200',
+    '}'
+  ].join('\n'),
+  'users/Create user.bru': [
+    'meta {',
+    '  name: Create user',
+    '  type: http',
+    '  seq: 1',
+    '}',
+    '',
+    'post {',
+    '  url: {{baseUrl}}/users',
+    '  body: json',
+    '  auth: none',
+    '}',
+    '',
+    'body:json {',
+    '  {',
+    '    "name": "{{userName}}"',
+    '  }',
+    '}',
+    '',
+    'tests {',
+    '  test("created", function() {',
+    '    expect(res.getStatus()).to.equal(201);',
+    '  });',
+    '}'
+  ].join('\n'),
+  'users/admin/Get user.bru': [
+    'meta {',
+    '  name: Get user',
+    '  type: http',
+    '  seq: 1',
+    '}',
+    '',
+    'get {',
+    '  url: {{baseUrl}}/users/:id',
+    '  body: none',
+    '}',
+    '',
+    'params:path {',
+    '  id: 42',
+    '}',
+    '',
+    'assert {',
+    '  res.status: in 200, 404',
+    '}'
+  ].join('\n'),
+  'users/admin/folder.bru': 'meta {\n  name: admin\n}\n',
+  'Login.bru': [
+    'meta {',
+    '  name: Login',
+    '  type: http',
+    '  seq: 1',
+    '}',
+    '',
+    'post {',
+    '  url: {{baseUrl}}/login',
+    '  body: formUrlEncoded',
+    '}',
+    '',
+    'body:form-urlencoded {',
+    '  user: a',
+    '  ~skip: b',
+    '}'
+  ].join('\n')
+};
+
+describe('Bruno collection loader', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-bruno');
+  const collectionDir = path.join(tmpDir, 'collection');
+
+  beforeEach(() => {
+    Object.entries(files).forEach(([name, content]) => {
+      const file = path.join(collectionDir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parseBruFile should read dictionary, list and text blocks', () => {
+    const blocks = parseBruFile(files['users/Create user.bru']);
+    expect(blocks.meta).toEqual({ name: 'Create user', type: 'http', seq: '1' });
+    expect(blocks.post).toMatchObject({ url: '{{baseUrl}}/users', body: 'json' });
+    expect(blocks['body:json']).toBe('{\n  "name": "{{userName}}"\n}');
+    expect(blocks.tests).toContain('expect(res.getStatus()).to.equal(201);');
+
+    const env = parseBruFile(files['environments/local.bru']);
+    expect(env.vars).toEqual([
+      { key: 'baseUrl', value: 'http://localhost', enabled: true },
+      { key: 'unused', value: 'x', enabled: false }
+    ]);
+    expect(env['vars:secret']).toEqual(['token']);
+  });
+
+  test('should convert .bru files with folders, params, bodies and status codes', () => {
+    const collection = loadBrunoCollection(collectionDir);
+    expect(collection.name).toBe('Users Bruno');
+    expect(Object.keys(collection.environments)).toEqual(['local']);
+
+    const requests = extractRequestsFromBruno(collection, false, { brunoEnv: 'local' });
+    expect(requests.map(r => r.name)).toEqual(['Login', 'Create user', 'List users', 'Get user']);
+
+    const byName = Object.fromEntries(requests.map(r => [r.name, r]));
+    expect(byName['List users']).toMatchObject({
+      id: 'users/List users.bru',
+      folder: 'users',
+      folderPath: 'users',
+      method: 'get',
+      rawUrl: 'http://localhost/users?limit=10',
+      queryParams: [{ key: 'limit', value: '10' }],
+      bodyInfo: null,
+      testedStatusCodes: ['200']
+    });
+    expect(byName['Create user'].testedStatusCodes).toEqual(['201']);
+    expect(byName['Create user'].bodyInfo).toEqual({ mode: 'raw', content: '{\n  "name": "{{userName}}"\n}' });
+    expect(byName['Get user']).toMatchObject({
+      folder: 'admin',
+      folderPath: 'users/admin',
+      rawUrl: 'http://localhost/users/42',
+      testedStatusCodes: ['200', '404']
+    });
+    expect(byName.Login).toMatchObject({ folder: '', bodyInfo: { mode: 'urlencoded', content: [{ key: 'user', value: 'a' }] } });
+  });
+
+  test('environment selection and overrides', () => {
+    const collection = loadBrunoCollection(collectionDir);
+
+    const withoutEnv = extractRequestsFromBruno(collection);
+    expect(withoutEnv.find(r => r.name === 'Login').rawUrl).toBe('{{baseUrl}}/login');
+
+    const overridden = extractRequestsFromBruno(collection, false, { brunoEnv: 'local', environment: { baseUrl: 'https://staging' } });
+    expect(overridden.find(r => r.name === 'Login').rawUrl).toBe('https://staging/login');
+
+    expect(() => extractRequestsFromBruno(collection, false, { brunoEnv: 'prod' }))
+      .toThrow('Bruno environment "prod" not found. Available: local');
+  });
+
+  test('loadRequestsFromInput should auto-detect a collection directory', () => {
+    const loaded = loadRequestsFromInput(collectionDir, { brunoEnv: 'local' });
+    expect(loaded.inputType).toBe('bruno');
+    expect(loaded.collectionName).toBe('Users Bruno');
+    expect(loaded.requests).toHaveLength(4);
+
+    fs.unlinkSync(path.join(collectionDir, 'bruno.json'));
+    expect(() => loadRequestsFromInput(collectionDir, {})).toThrow('not a Bruno collection');
+  });
+
+  test('CLI should compute coverage from a Bruno collection', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const jsonPath = path.join(tmpDir, 'report.json');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${collectionDir}" --bruno-env local --output "${reportPath}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('Coverage: 22.22%');
+
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('bruno');
+    expect(json.meta.collectionName).toBe('Users Bruno');
+  });
+});
@@ -0,0 +1,219 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { findConfigFile, loadConfigFile, resolveConfig, mergeThresholdLists } = require('../lib/config');
+const { globToRegExp, parseIgnoreRule } = require('../lib/filters');
+
+const execAsync = promisify(exec);
+
+describe('Config File', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-config');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('findConfigFile should locate known file names', () => {
+    expect(findConfigFile(tmpDir)).toBeNull();
+    fs.writeFileSync(path.join(tmpDir, 'swagger-coverage.config.js'), 'module.exports = {};');
+    expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, 'swagger-coverage.config.js'));
+    fs.writeFileSync(path.join(tmpDir, '.swaggercoveragerc'), '{}');
+    expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, '.swaggercoveragerc'));
+  });
+
+  test('loadConfigFile should read JSON, YAML and JS configs', () => {
+    const jsonPath = path.join(tmpDir, '.swaggercoveragerc.json');
+    const yamlPath = path.join(tmpDir, '.swaggercoveragerc.yaml');
+    const rcPath = path.join(tmpDir, '.swaggercoveragerc');
+    const jsPath = path.join(tmpDir, 'swagger-coverage.config.js');
+
+    fs.writeFileSync(jsonPath, JSON.stringify({ newman: true }));
+    fs.writeFileSync(yamlPath, 'strictQuery: true\n');
+    fs.writeFileSync(rcPath, '{"verbose": true}');
+    fs.writeFileSync(jsPath, 'module.exports = () => ({ output: "x.html" });');
+
+    expect(loadConfigFile(jsonPath)).toEqual({ newman: true });
+    expect(loadConfigFile(yamlPath)).toEqual({ strictQuery: true });
+    expect(loadConfigFile(rcPath)).toEqual({ verbose: true });
+    expect(loadConfigFile(jsPath)).toEqual({ output: 'x.html' });
+  });
+
+  test('loadConfigFile should reject missing and invalid files', () => {
+    expect(() => loadConfigFile(path.join(tmpDir, 'nope.json'))).toThrow('Config file not found');
+    const badPath = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badPath, '{oops');
+    expect(() => loadConfigFile(badPath)).toThrow('Unable to load config file');
+    fs.writeFileSync(badPath, '[1, 2]');
+    expect(() => loadConfigFile(badPath)).toThrow('expected an object');
+  });
+
+  test('resolveConfig should normalise specs, inputs, paths and thresholds', () => {
+    const resolved = resolveConfig({
+      specs: ['users.yaml', { file: 'orders.json', name: 'Orders API', minCoverage: 80 }],
+      inputs: 'newman.json',
+      output: 'out/report.html',
+      thresholds: { overall: 50, apis: { 'Orders API': 90 }, tags: { Users: '60%' } },
+      ignore: 'GET /health'
+    }, { baseDir: '/project' });
+
+    expect(resolved.specs).toEqual([
+      { file: path.resolve('/project', 'users.yaml') },
+      { file: path.resolve('/project', 'orders.json'), name: 'Orders API', minCoverage: 80 }
+    ]);
+    expect(resolved.inputs).toEqual([path.resolve('/project', 'newman.json')]);
+    expect(resolved.output).toBe(path.resolve('/project', 'out/report.html'));
+    expect(resolved.thresholds).toEqual({
+      overall: 50,
+      apis: [{ name: 'Orders API', min: 90 }],
+      tags: [{ name: 'Users', min: '60%' }]
+    });
+    expect(resolved.ignore).toEqual(['GET /health']);
+  });
+
+  test('resolveConfig should apply profiles on top of the base config', () => {
+    const config = {
+      inputs: ['full.json'],
+      strictQuery: true,
+      thresholds: { overall: 80, tags: { Users: 60 } },
+      profiles: {
+        smoke: { inputs: ['smoke.json'], thresholds: { overall: 30 } }
+      }
+    };
+
+    const base = resolveConfig(config, { baseDir: '/p' });
+    expect(base.inputs).toEqual([path.resolve('/p', 'full.json')]);
+    expect(base.thresholds.overall).toBe(80);
+    expect(base).not.toHaveProperty('profiles');
+
+    const smoke = resolveConfig(config, { profile: 'smoke', baseDir: '/p' });
+    expect(smoke.inputs).toEqual([path.resolve('/p', 'smoke.json')]);
+    expect(smoke.strictQuery).toBe(true);
+    expect(smoke.thresholds.overall).toBe(30);
+    expect(smoke.thresholds.tags).toEqual([{ name: 'Users', min: 60 }]);
+  });
+
+  test('resolveConfig should reject unknown profiles and keys', () => {
+    expect(() => resolveConfig({ profiles: { smoke: {} } }, { profile: 'full' }))
+      .toThrow('Unknown profile "full". Available profiles: smoke');
+    expect(() => resolveConfig({ strictquery: true })).toThrow('Unknown option(s) in config: strictquery');
+    expect(() => resolveConfig({ specs: [{ name: 'x' }] })).toThrow('"file" is required');
+  });
+
+  test('mergeThresholdLists should let later entries win', () => {
+    expect(mergeThresholdLists(
+      [{ name: 'A', min: 10 }, { name: 'B', min: 20 }],
+      [{ name: 'A', min: 50 }]
+    )).toEqual([{ name: 'A', min: 50 }, { name: 'B', min: 20 }]);
+  });
+
+  describe('ignore rules', () => {
+    test('globToRegExp should support * and **', () => {
+      expect(globToRegExp('/users/*').test('/users/{id}')).toBe(true);
+      expect(globToRegExp('/users/*').test('/users/{id}/posts')).toBe(false);
+      expect(globToRegExp('/internal/**').test('/internal/a/b')).toBe(true);
+      expect(globToRegExp('/a.b').test('/aXb')).toBe(false);
+    });
+
+    test('parseIgnoreRule should parse optional method', () => {
+      expect(parseIgnoreRule('GET /health').method).toBe('get');
+      expect(parseIgnoreRule('/health').method).toBeNull();
+      expect(() => parseIgnoreRule('health')).toThrow('Invalid ignore rule');
+    });
+  });
+
+  describe('CLI', () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+
+    test('should run entirely from a config file with a profile', async () => {
+      const configPath = path.join(tmpDir, 'coverage.yml');
+      fs.writeFileSync(configPath, [
+        'specs:',
+        `  - file: ${JSON.stringify(apiPath)}`,
+        '    name: Sample',
+        `inputs: [${JSON.stringify(newmanPath)}]`,
+        'newman: true',
+        'output: report.html',
+        'thresholds:',
+        '  overall: 90',
+        'profiles:',
+        '  smoke:',
+        '    json: report.json',
+        '    thresholds:',
+        '      overall: 10%'
+      ].join('\n'));
+
+      const { stdout } = await execAsync(
+        `node cli.js --config "${configPath}" --profile smoke --verbose`,
+        { cwd: rootDir }
+      );
+
+      expect(stdout).toContain(`Using config file: ${configPath} (profile: smoke)`);
+      expect(stdout).toContain('Coverage: 50.00%');
+      expect(fs.existsSync(path.join(tmpDir, 'report.html'))).toBe(true);
+      const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'report.json'), 'utf8'));
+      expect(report.meta.apiNames).toEqual(['Sample']);
+
+      // Without the profile the stricter base threshold applies
+      let error;
+      try {
+        await execAsync(`node cli.js --config "${configPath}"`, { cwd: rootDir });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeDefined();
+      expect(error.code).toBe(2);
+
+      // Config thresholds take the command line forms and are reported as written
+      fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf8').replace('overall: 90', 'overall: eighty'));
+      error = undefined;
+      try {
+        await execAsync(`node cli.js --config "${configPath}"`, { cwd: rootDir });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.stderr).toContain('Invalid coverage threshold: "eighty"');
+    }, 20000);
+
+    test('command line flags should override the config file', async () => {
+      const configPath = path.join(tmpDir, '.swaggercoveragerc.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        specs: [apiPath],
+        inputs: [newmanPath],
+        output: 'from-config.html',
+        ignore: ['/admin/**'],
+        thresholds: { overall: 99 }
+      }));
+
+      const { stdout } = await execAsync(
+        `node cli.js --config "${configPath}" --output "${path.join(tmpDir, 'from-cli.html')}" --min-coverage 10`,
+        { cwd: rootDir }
+      );
+
+      expect(fs.existsSync(path.join(tmpDir, 'from-cli.html'))).toBe(true);
+      expect(fs.existsSync(path.join(tmpDir, 'from-config.html'))).toBe(false);
+      // /admin/users is ignored, so it doesn't show up as unmatched but as excluded
+      const [unmatchedSection, excludedSection] = stdout.split('Excluded Spec operations:');
+      expect(unmatchedSection).not.toContain('/admin/users');
+      expect(excludedSection).toContain('/admin/users');
+      expect(excludedSection).toContain('path: /admin/**');
+    }, 20000);
+
+    test('should fail for a missing config file', async () => {
+      let error;
+      try {
+        await execAsync('node cli.js --config does-not-exist.yml', { cwd: rootDir });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).toBe(1);
+      expect(error.stderr).toContain('Config file not found');
+    }, 15000);
+  });
+});
@@ -0,0 +1,114 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { explainMismatch, findNearMisses, matchOperationsDetailed } = require('../lib/match');
+const { analyzeCoverage } = require('../lib/analyze');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+const request = (name, method, rawUrl, extra = {}) => ({
+  name,
+  method,
+  rawUrl,
+  queryParams: [],
+  bodyInfo: null,
+  testedStatusCodes: ['200'],
+  testScripts: '',
+  ...extra
+});
+
+const getUser = {
+  method: 'get',
+  path: '/users/{id}',
+  operationId: 'getUser',
+  statusCode: '200',
+  parameters: [{ name: 'expand', in: 'query', required: true, schema: {} }],
+  requestBodyContent: null
+};
+
+describe('Explain mode', () => {
+  test('explainMismatch should report the first failing check', () => {
+    const opts = { strictQuery: true, strictBody: false };
+
+    expect(explainMismatch(getUser, request('a', 'delete', '/users/1'), opts))
+      .toEqual({ check: 'method', reason: 'method DELETE instead of GET' });
+    expect(explainMismatch(getUser, request('b', 'get', '/user/1'), opts).check).toBe('path');
+    expect(explainMismatch(getUser, request('c', 'get', '/users/1', { testedStatusCodes: ['404'] }), opts))
+      .toEqual({ check: 'statusCode', reason: 'status 200 is not tested (tested: 404)' });
+    expect(explainMismatch(getUser, request('d', 'get', '/users/1'), opts).check).toBe('strictQuery');
+    expect(explainMismatch(getUser, request('e', 'get', '/users/1?expand=x', { queryParams: [{ key: 'expand', value: 'x' }] }), opts)).toBeNull();
+
+    const createUser = { method: 'post', path: '/users', statusCode: '201', requestBodyContent: ['application/json'] };
+    const badBody = request('f', 'post', '/users', { testedStatusCodes: ['201'], bodyInfo: { mode: 'raw', content: '{oops' } });
+    expect(explainMismatch(createUser, badBody, { strictBody: true }).check).toBe('strictBody');
+  });
+
+  test('findNearMisses should rank candidates by path similarity', () => {
+    const requests = [
+      request('Unrelated', 'get', '/orders'),
+      request('Wrong method', 'delete', '/users/42'),
+      request('Wrong status', 'get', '/users/42', { testedStatusCodes: ['404'] }),
+      request('Sub-resource', 'get', '/users/42/profile')
+    ];
+
+    const misses = findNearMisses(getUser, requests, {});
+    expect(misses.map(m => m.name)).toEqual(['Wrong status', 'Wrong method', 'Sub-resource']);
+    expect(misses[0]).toMatchObject({ method: 'GET', similarity: 1, failedCheck: 'statusCode' });
+    expect(misses[1].failedCheck).toBe('method');
+    expect(misses[2].failedCheck).toBe('path');
+    expect(misses[2].similarity).toBeGreaterThan(0);
+    expect(misses[2].similarity).toBeLessThan(0.5);
+  });
+
+  test('matchOperationsDetailed should only add near misses in explain mode', () => {
+    const requests = [request('Wrong status', 'get', '/users/42', { testedStatusCodes: ['404'] })];
+    const op404 = { ...getUser, statusCode: '404', parameters: [] };
+    const op500 = { ...getUser, statusCode: '500', parameters: [] };
+
+    const withoutExplain = matchOperationsDetailed([op404, op500], requests, {});
+    expect(withoutExplain.every(i => i.nearMisses === undefined)).toBe(true);
+
+    const smart = matchOperationsDetailed([op404, op500], requests, { explain: true });
+    const unmatched = smart.find(i => i.statusCode === '500');
+    expect(unmatched.unmatched).toBe(true);
+    expect(unmatched.nearMisses[0]).toMatchObject({ name: 'Wrong status', failedCheck: 'statusCode' });
+    expect(smart.find(i => i.statusCode === '404').nearMisses).toBeUndefined();
+
+    const basic = matchOperationsDetailed([op500], requests, { explain: true, smartMapping: false });
+    expect(basic[0].nearMisses).toHaveLength(1);
+  });
+
+  test('HTML report should contain the near misses panel', async () => {
+    const result = await analyzeCoverage({
+      specs: [path.resolve(__dirname, 'fixtures', 'sample-api.yaml')],
+      inputs: [{ name: 'Harness', requests: [request('Wrong method', 'patch', 'http://localhost/users')] }],
+      options: { explain: true }
+    });
+
+    const listUsers = result.coverageItems.find(i => i.method === 'GET' && i.path === '/users');
+    expect(listUsers.nearMisses[0]).toMatchObject({ name: 'Wrong method', failedCheck: 'method' });
+
+    const html = generateHtmlReport(result);
+    expect(html).toContain('buildNearMissesRow');
+    expect(html).toContain('"failedCheck":"method"');
+  });
+
+  test('CLI should print near misses with --explain', async () => {
+    const reportPath = path.resolve(__dirname, '..', 'tmp-explain-report.html');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+
+    try {
+      const { stdout } = await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --explain --output "${reportPath}"`,
+        { cwd: path.resolve(__dirname, '..') }
+      );
+      expect(stdout).toContain('Coverage: 50.00%');
+      expect(stdout).toMatch(/near miss: ".+" [A-Z]+ .+ \(similarity \d+%\) - (method|path|statusCode): /);
+    } finally {
+      if (fs.existsSync(reportPath)) fs.unlinkSync(reportPath);
+    }
+  });
+});
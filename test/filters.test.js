@@ -0,0 +1,160 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { normalizeFilters, getExclusionReason, applyFilters } = require('../lib/filters');
+const { analyzeCoverage } = require('../lib/analyze');
+const { buildJsonReport } = require('../lib/json-report');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+const restSpec = {
+  openapi: '3.0.0',
+  info: { title: 'Filter API', version: '1.0.0' },
+  paths: {
+    '/users': {
+      get: { operationId: 'listUsers', tags: ['Users'], responses: { '200': { description: 'OK' } } },
+      post: { operationId: 'legacyCreateUser', tags: ['Users'], deprecated: true, responses: { '201': { description: 'Created' } } }
+    },
+    '/admin/users/{id}': {
+      'x-internal': true,
+      delete: { operationId: 'purgeUser', tags: ['Admin'], responses: { '204': { description: 'Deleted' } } }
+    },
+    '/health': {
+      get: { operationId: 'health', 'x-coverage-ignore': true, responses: { '200': { description: 'OK' } } }
+    }
+  }
+};
+
+const protoSchema = `syntax = "proto3";
+package demo;
+service UserService {
+  rpc GetUser (Req) returns (Req);
+  rpc OldGetUser (Req) returns (Req) { option deprecated = true; }
+  rpc Purge (Req) returns (Req) { option (internal) = true; }
+}
+message Req { string id = 1; }
+`;
+
+const graphqlSchema = `directive @internal on FIELD_DEFINITION
+type Query {
+  user: String
+  oldUser: String @deprecated(reason: "use user")
+  debug: String @internal
+}
+`;
+
+describe('Operation filters', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-filters');
+  const specPath = path.join(tmpDir, 'filter-api.json');
+  const protoPath = path.join(tmpDir, 'users.proto');
+  const graphqlPath = path.join(tmpDir, 'schema.graphql');
+  const inputs = [{ name: 'Empty', requests: [] }];
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(specPath, JSON.stringify(restSpec));
+    fs.writeFileSync(protoPath, protoSchema);
+    fs.writeFileSync(graphqlPath, graphqlSchema);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('getExclusionReason should explain why an operation is excluded', () => {
+    const filters = normalizeFilters({
+      excludeTags: ['Admin'],
+      excludePaths: ['GET /internal/**'],
+      excludeOperations: ['legacy*'],
+      excludeDeprecated: true,
+      excludeExtensions: ['x-internal']
+    });
+
+    expect(getExclusionReason({ method: 'get', path: '/a', tags: ['Admin'] }, filters)).toBe('tag: Admin');
+    expect(getExclusionReason({ method: 'get', path: '/internal/x' }, filters)).toBe('path: GET /internal/**');
+    expect(getExclusionReason({ method: 'post', path: '/internal/x' }, filters)).toBeNull();
+    expect(getExclusionReason({ method: 'get', path: '/a', operationId: 'legacyThing' }, filters)).toBe('operationId: legacy*');
+    expect(getExclusionReason({ method: 'get', path: '/a', deprecated: true }, filters)).toBe('deprecated');
+    expect(getExclusionReason({ method: 'get', path: '/a', extensions: { internal: true } }, filters)).toBe('extension: internal');
+    expect(getExclusionReason({ method: 'get', path: '/a', extensions: { 'x-internal': false } }, filters)).toBeNull();
+  });
+
+  test('x-coverage-ignore should always exclude, legacy ignore rules still apply', () => {
+    const ops = [
+      { method: 'get', path: '/health', extensions: { 'x-coverage-ignore': true } },
+      { method: 'get', path: '/status' },
+      { method: 'get', path: '/users' }
+    ];
+    const { included, excluded } = applyFilters(ops, {}, ['/status']);
+
+    expect(included.map(o => o.path)).toEqual(['/users']);
+    expect(excluded.map(o => o.excludeReason)).toEqual(['extension: x-coverage-ignore', 'path: /status']);
+  });
+
+  test('include filters should keep only matching operations', () => {
+    const filters = normalizeFilters({ includeTags: ['Users'], includeOperations: ['list*'] });
+    expect(getExclusionReason({ path: '/users', tags: ['Users'], operationId: 'listUsers' }, filters)).toBeNull();
+    expect(getExclusionReason({ path: '/users', tags: ['Users'], operationId: 'createUser' }, filters)).toBe('not in included operations');
+    expect(getExclusionReason({ path: '/orders', tags: ['Orders'] }, filters)).toBe('not in included tags');
+  });
+
+  test('REST, gRPC and GraphQL operations should be filtered the same way', async () => {
+    const result = await analyzeCoverage({
+      specs: [specPath, protoPath, graphqlPath],
+      inputs,
+      options: { filters: { excludeDeprecated: true, excludeExtensions: ['x-internal'] } }
+    });
+
+    const excluded = result.excludedOperations.map(op => `${op.operationId} (${op.excludeReason})`).sort();
+    expect(excluded).toEqual([
+      'Query.debug (extension: internal)',
+      'Query.oldUser (deprecated)',
+      'demo.UserService.OldGetUser (deprecated)',
+      'demo.UserService.Purge (extension: internal)',
+      'health (extension: x-coverage-ignore)',
+      'legacyCreateUser (deprecated)',
+      'purgeUser (extension: x-internal)'
+    ]);
+    expect(result.summary.total).toBe(3);
+    expect(result.coverageItems.map(i => i.name).sort()).toEqual(['Query.user', 'demo.UserService.GetUser', 'listUsers']);
+  });
+
+  test('excluded operations should be listed in JSON and HTML reports', async () => {
+    const result = await analyzeCoverage({ specs: [specPath], inputs, options: { filters: { excludeTags: ['Admin'] } } });
+
+    const json = buildJsonReport(result);
+    expect(json.excludedOperations).toEqual([
+      { apiName: 'Filter API', method: 'DELETE', path: '/admin/users/{id}', statusCode: '204', name: 'purgeUser', protocol: 'rest', reason: 'tag: Admin' },
+      { apiName: 'Filter API', method: 'GET', path: '/health', statusCode: '200', name: 'health', protocol: 'rest', reason: 'extension: x-coverage-ignore' }
+    ]);
+    expect(json.summary.total).toBe(2);
+
+    const html = generateHtmlReport(result);
+    expect(html).toContain('id="excludedSection"');
+    expect(html).toContain('Excluded operations (2)');
+    expect(html).toContain('tag: Admin');
+  });
+
+  test('CLI should combine filter flags with the config file', async () => {
+    const configPath = path.join(tmpDir, '.swaggercoveragerc.json');
+    const collectionPath = path.join(tmpDir, 'collection.json');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const cliPath = path.resolve(__dirname, '..', 'cli.js');
+    fs.writeFileSync(collectionPath, JSON.stringify({ info: { name: 'Empty' }, item: [] }));
+    fs.writeFileSync(configPath, JSON.stringify({ filters: { excludeTags: ['Admin'] } }));
+
+    const { stdout } = await execAsync(
+      `node "${cliPath}" "${specPath}" "${collectionPath}" --config "${configPath}" --exclude-deprecated --output "${reportPath}"`
+    );
+    expect(stdout).toContain('Total operations in spec(s): 1');
+    expect(stdout).toContain('Excluded operations (not counted): 3');
+    expect(stdout).toContain('[POST] /users (statusCode=201) - deprecated');
+    expect(stdout).toContain('[DELETE] /admin/users/{id} (statusCode=204) - tag: Admin');
+
+    await expect(execAsync(
+      `node "${cliPath}" "${specPath}" "${collectionPath}" --exclude-path users --output "${reportPath}"`
+    )).rejects.toMatchObject({ code: 1, stderr: expect.stringContaining('Invalid ignore rule "users"') });
+  });
+});
@@ -0,0 +1,105 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { isHarLog, hostMatches, extractRequestsFromHar } = require('../lib/har');
+const { loadRequestsFromInput } = require('../lib/inputs');
+
+const execAsync = promisify(exec);
+
+const entry = (method, url, status, extra = {}) => ({
+  startedDateTime: '2024-01-01T00:00:00.000Z',
+  time: 12,
+  request: { method, url, httpVersion: 'HTTP/1.1', headers: [], queryString: [], cookies: [], headersSize: -1, bodySize: 0, ...extra },
+  response: { status, statusText: status ? 'OK' : '', httpVersion: 'HTTP/1.1', headers: [], cookies: [], content: { size: 0, mimeType: 'application/json' }, redirectURL: '', headersSize: -1, bodySize: 0 },
+  cache: {},
+  timings: { send: 0, wait: 10, receive: 2 }
+});
+
+const har = {
+  log: {
+    version: '1.2',
+    creator: { name: 'Playwright', version: '1.40.0' },
+    pages: [{ id: 'page_1', title: 'E2E checkout', startedDateTime: '2024-01-01T00:00:00.000Z', pageTimings: {} }],
+    entries: [
+      entry('GET', 'http://localhost:3000/users?limit=10', 200, { queryString: [{ name: 'limit', value: '10' }] }),
+      entry('POST', 'http://localhost:3000/users', 201, { postData: { mimeType: 'application/json', text: '{"name":"Ann"}' } }),
+      entry('GET', 'http://localhost:3000/users/42', 404),
+      entry('POST', 'http://localhost:3000/users/login', 0, { postData: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'user', value: 'a' }] } }),
+      entry('GET', 'https://cdn.example.com/app.js', 200),
+      entry('GET', 'https://www.google-analytics.com/collect?v=1', 204)
+    ]
+  }
+};
+
+describe('HAR loader', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-har');
+  const harPath = path.join(tmpDir, 'e2e.har');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(harPath, JSON.stringify(har));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should convert entries with query, body and real response status', () => {
+    expect(isHarLog(har)).toBe(true);
+    const requests = extractRequestsFromHar(har);
+    expect(requests).toHaveLength(6);
+
+    expect(requests[0]).toMatchObject({
+      name: 'GET /users',
+      folder: 'localhost:3000',
+      method: 'get',
+      rawUrl: 'http://localhost:3000/users?limit=10',
+      queryParams: [{ key: 'limit', value: '10' }],
+      bodyInfo: null,
+      testedStatusCodes: ['200'],
+      executed: true,
+      responseCode: 200
+    });
+    expect(requests[1].bodyInfo).toEqual({ mode: 'raw', content: '{"name":"Ann"}' });
+    expect(requests[2].testedStatusCodes).toEqual(['404']);
+    // aborted request: no response status
+    expect(requests[3].testedStatusCodes).toEqual([]);
+    expect(requests[3].bodyInfo).toEqual({ mode: 'urlencoded', content: [{ key: 'user', value: 'a' }] });
+  });
+
+  test('hostMatches should support ports and wildcards', () => {
+    expect(hostMatches('http://localhost:3000/users', ['localhost'])).toBe(true);
+    expect(hostMatches('http://localhost:3000/users', ['localhost:3000'])).toBe(true);
+    expect(hostMatches('http://localhost:3000/users', ['localhost:8080'])).toBe(false);
+    expect(hostMatches('https://api.example.com/x', ['*.example.com'])).toBe(true);
+    expect(hostMatches('https://example.com/x', ['*.example.com'])).toBe(false);
+    expect(hostMatches('/relative', ['localhost'])).toBe(false);
+  });
+
+  test('should only keep entries for the given hosts', () => {
+    const requests = extractRequestsFromHar(har, false, { hosts: ['LOCALHOST'] });
+    expect(requests.map(r => r.name)).toEqual(['GET /users', 'POST /users', 'GET /users/42', 'POST /users/login']);
+
+    const loaded = loadRequestsFromInput(harPath, { harHost: ['*.example.com'] });
+    expect(loaded.inputType).toBe('har');
+    expect(loaded.collectionName).toBe('E2E checkout');
+    expect(loaded.requests.map(r => r.rawUrl)).toEqual(['https://cdn.example.com/app.js']);
+  });
+
+  test('CLI should compute coverage from a HAR file filtered by host', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const jsonPath = path.join(tmpDir, 'report.json');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${harPath}" --har-host localhost --output "${reportPath}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('Coverage: 22.22%');
+
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('har');
+    expect(json.undocumentedRequests.map(r => r.rawUrl)).toEqual(['http://localhost:3000/users/login']);
+  });
+});
@@ -0,0 +1,100 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { loadHistory, createHistoryEntry, appendToHistory } = require('../lib/history');
+const { calculateCoverageSummary } = require('../lib/summary');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+describe('Coverage History', () => {
+  const historyPath = path.resolve(__dirname, 'fixtures', 'tmp-history.json');
+
+  afterEach(() => {
+    if (fs.existsSync(historyPath)) fs.unlinkSync(historyPath);
+  });
+
+  const summary = calculateCoverageSummary([
+    { apiName: 'Users API', tags: ['Users'], protocol: 'rest', unmatched: false },
+    { apiName: 'Users API', tags: ['Users'], protocol: 'rest', unmatched: true },
+    { apiName: 'Orders API', tags: ['Orders'], protocol: 'grpc', unmatched: true }
+  ]);
+
+  test('loadHistory should return empty history for missing file', () => {
+    expect(loadHistory(historyPath)).toEqual({ version: 1, runs: [] });
+  });
+
+  test('loadHistory should reject invalid files', () => {
+    fs.writeFileSync(historyPath, '{"foo": 1}');
+    expect(() => loadHistory(historyPath)).toThrow('missing runs array');
+    fs.writeFileSync(historyPath, '{not json');
+    expect(() => loadHistory(historyPath)).toThrow('Unable to parse history JSON');
+  });
+
+  test('createHistoryEntry should record totals per API, tag and protocol', () => {
+    const entry = createHistoryEntry(summary, { timestamp: '2025-01-01T00:00:00.000Z', commit: 'abc1234' });
+    expect(entry).toEqual({
+      timestamp: '2025-01-01T00:00:00.000Z',
+      commit: 'abc1234',
+      coverage: 33.33,
+      total: 3,
+      covered: 1,
+      apis: { 'Orders API': 0, 'Users API': 50 },
+      tags: { Orders: 0, Users: 50 },
+      protocols: { grpc: 0, rest: 50 }
+    });
+  });
+
+  test('createHistoryEntry should omit commit when not given', () => {
+    expect(createHistoryEntry(summary)).not.toHaveProperty('commit');
+  });
+
+  test('appendToHistory should create and extend the file', () => {
+    appendToHistory(historyPath, createHistoryEntry(summary, { timestamp: 't1' }));
+    const history = appendToHistory(historyPath, createHistoryEntry(summary, { timestamp: 't2' }));
+
+    expect(history.runs.map(r => r.timestamp)).toEqual(['t1', 't2']);
+    expect(JSON.parse(fs.readFileSync(historyPath, 'utf8')).runs).toHaveLength(2);
+  });
+
+  test('HTML report should embed history instead of using localStorage', () => {
+    const base = {
+      coverage: 50,
+      coverageItems: [],
+      meta: { timestamp: 'now', specName: 'API', postmanCollectionName: 'Collection' }
+    };
+    expect(generateHtmlReport(base)).toContain('const embeddedHistory = null;');
+
+    const html = generateHtmlReport({
+      ...base,
+      meta: { ...base.meta, coverageHistory: [{ timestamp: '2025-01-01T00:00:00.000Z', coverage: 50, commit: '</script>' }] }
+    });
+    expect(html).toContain('const embeddedHistory = [{"timestamp":"2025-01-01T00:00:00.000Z","coverage":50');
+    expect(html).not.toContain('"commit":"</script>"');
+  });
+
+  test('CLI should append runs to the history file', async () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const htmlPath = path.resolve(rootDir, 'history-cli-test.html');
+    const command = `node cli.js "${apiPath}" "${newmanPath}" --newman --output history-cli-test.html --history "${historyPath}" --git-commit deadbeef`;
+
+    try {
+      await execAsync(command, { cwd: rootDir });
+      await execAsync(command, { cwd: rootDir });
+
+      const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      expect(history.runs).toHaveLength(2);
+      expect(history.runs[1].coverage).toBe(50);
+      expect(history.runs[1].commit).toBe('deadbeef');
+      expect(history.runs[1].tags.Users).toBeDefined();
+
+      const html = fs.readFileSync(htmlPath, 'utf8');
+      expect(html).toContain('"commit":"deadbeef"');
+    } finally {
+      if (fs.existsSync(htmlPath)) fs.unlinkSync(htmlPath);
+    }
+  }, 20000);
+});
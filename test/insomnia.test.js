@@ -0,0 +1,137 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { isInsomniaExport, extractRequestsFromInsomnia } = require('../lib/insomnia');
+const { loadRequestsFromInput } = require('../lib/inputs');
+
+const execAsync = promisify(exec);
+
+const insomniaExport = {
+  _type: 'export',
+  __export_format: 4,
+  __export_source: 'insomnia.desktop.app:v2023.5.8',
+  resources: [
+    { _id: 'wrk_1', _type: 'workspace', parentId: null, name: 'Users Workspace' },
+    { _id: 'env_base', _type: 'environment', parentId: 'wrk_1', name: 'Base Environment', data: { base_url: 'http://localhost', api: { prefix: '' } } },
+    { _id: 'env_prod', _type: 'environment', parentId: 'env_base', name: 'Production', data: { base_url: 'https://prod.example.com' } },
+    { _id: 'fld_users', _type: 'request_group', parentId: 'wrk_1', name: 'Users', environment: { userId: '42' } },
+    { _id: 'fld_admin', _type: 'request_group', parentId: 'fld_users', name: 'Admin', environment: { userId: '1' } },
+    {
+      _id: 'req_list',
+      _type: 'request',
+      parentId: 'fld_users',
+      name: 'List users',
+      method: 'GET',
+      url: '{{ _.base_url }}{{ _.api.prefix }}/users',
+      parameters: [{ name: 'limit', value: '10' }, { name: 'debug', value: '1', disabled: true }],
+      body: {},
+      afterResponseScript: 'insomnia.test("ok", () => { insomnia.response.to.have.status(200); });'
+    },
+    {
+      _id: 'req_get',
+      _type: 'request',
+      parentId: 'fld_admin',
+      name: 'Get user',
+      method: 'GET',
+      url: '{{ _.base_url }}/users/{{ _.userId }}',
+      body: {}
+    },
+    {
+      _id: 'req_create',
+      _type: 'request',
+      parentId: 'wrk_1',
+      name: 'Create user',
+      method: 'POST',
+      url: '{{ base_url }}/users',
+      body: { mimeType: 'application/json', text: '{"name": "{{ _.userName }}"}' }
+    },
+    {
+      _id: 'req_login',
+      _type: 'request',
+      parentId: 'wrk_1',
+      name: 'Login',
+      method: 'POST',
+      url: "{% response 'body', 'req_x', 'b64::JC50b2tlbg==::46b', 'never', 60 %}/login",
+      body: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'user', value: 'a' }, { name: 'skip', value: 'b', disabled: true }] }
+    },
+    { _id: 'uts_1', _type: 'unit_test_suite', parentId: 'wrk_1', name: 'Suite' },
+    { _id: 'ut_1', _type: 'unit_test', parentId: 'uts_1', requestId: 'req_get', name: 'Returns 200', code: 'const response1 = await insomnia.send();\nexpect(response1.status).to.equal(200);' },
+    { _id: 'ut_2', _type: 'unit_test', parentId: 'uts_1', requestId: 'req_create', name: 'Created', code: 'const response = await insomnia.send();\nexpect(response.status).to.eql(201);' }
+  ]
+};
+
+describe('Insomnia export loader', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-insomnia');
+  const exportPath = path.join(tmpDir, 'insomnia-export.json');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(exportPath, JSON.stringify(insomniaExport));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('isInsomniaExport should only accept v4 exports', () => {
+    expect(isInsomniaExport(insomniaExport)).toBe(true);
+    expect(isInsomniaExport({ ...insomniaExport, __export_format: 3 })).toBe(false);
+    expect(isInsomniaExport({ info: { name: 'Postman' }, item: [] })).toBe(false);
+  });
+
+  test('should convert requests with folders, parameters and status codes', () => {
+    const requests = extractRequestsFromInsomnia(insomniaExport);
+    const byName = Object.fromEntries(requests.map(r => [r.name, r]));
+
+    expect(requests).toHaveLength(4);
+    expect(byName['List users']).toMatchObject({
+      id: 'req_list',
+      folder: 'Users',
+      folderPath: 'Users',
+      method: 'get',
+      rawUrl: 'http://localhost/users?limit=10',
+      queryParams: [{ key: 'limit', value: '10' }],
+      bodyInfo: null,
+      testedStatusCodes: ['200']
+    });
+    expect(byName['Get user']).toMatchObject({ folder: 'Admin', folderPath: 'Users/Admin', testedStatusCodes: ['200'] });
+    expect(byName['Create user'].folder).toBe('');
+    expect(byName['Create user'].testedStatusCodes).toEqual(['201']);
+    expect(byName['Create user'].bodyInfo).toMatchObject({ mode: 'raw', content: '{"name": "{{userName}}"}' });
+    expect(byName.Login.bodyInfo).toEqual({ mode: 'urlencoded', content: [{ key: 'user', value: 'a' }] });
+    expect(byName.Login.rawUrl).toBe('{{template}}/login');
+  });
+
+  test('should resolve variables from base and folder environments, external environment wins', () => {
+    const requests = extractRequestsFromInsomnia(insomniaExport);
+    // inner folder environment overrides the outer one, sub environments are ignored
+    expect(requests.find(r => r.name === 'Get user').rawUrl).toBe('http://localhost/users/1');
+
+    const overridden = extractRequestsFromInsomnia(insomniaExport, false, { environment: { base_url: 'https://staging', userId: '7' } });
+    expect(overridden.find(r => r.name === 'Get user').rawUrl).toBe('https://staging/users/7');
+  });
+
+  test('loadRequestsFromInput should auto-detect the export', () => {
+    const loaded = loadRequestsFromInput(exportPath, {});
+    expect(loaded.inputType).toBe('insomnia');
+    expect(loaded.collectionName).toBe('Users Workspace');
+    expect(loaded.requests).toHaveLength(4);
+  });
+
+  test('CLI should compute coverage from an Insomnia export', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const jsonPath = path.join(tmpDir, 'report.json');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${exportPath}" --output "${reportPath}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('Coverage: 16.67%');
+
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('insomnia');
+    expect(json.meta.collectionName).toBe('Users Workspace');
+  });
+});
@@ -0,0 +1,140 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { buildJsonReport, generateJsonReport, JSON_REPORT_SCHEMA_VERSION } = require('../lib/json-report');
+const { calculateCoverageSummary } = require('../lib/summary');
+
+const execAsync = promisify(exec);
+
+describe('JSON Report', () => {
+  const coverageItems = [
+    {
+      method: 'GET',
+      path: '/users',
+      name: 'getUsers',
+      statusCode: '200',
+      tags: ['Users'],
+      expectedStatusCodes: ['200'],
+      apiName: 'Users API',
+      protocol: 'rest',
+      unmatched: false,
+      matchedRequests: [{ name: 'Get Users', rawUrl: '/users', method: 'GET', testedStatusCodes: ['200'] }]
+    },
+    {
+      method: 'POST',
+      path: '/users',
+      name: 'createUser',
+      statusCode: '201',
+      tags: ['Users', 'Admin'],
+      expectedStatusCodes: ['201'],
+      apiName: 'Users API',
+      protocol: 'rest',
+      unmatched: true,
+      matchedRequests: []
+    },
+    {
+      method: 'POST',
+      path: '/user.v1.UserService/GetUser',
+      name: 'user.v1.UserService.GetUser',
+      statusCode: '200',
+      tags: ['gRPC'],
+      expectedStatusCodes: ['200'],
+      apiName: 'user-service',
+      protocol: 'grpc',
+      unmatched: false,
+      matchedRequests: []
+    }
+  ];
+
+  test('calculateCoverageSummary should aggregate totals by API, tag and protocol', () => {
+    const summary = calculateCoverageSummary(coverageItems);
+
+    expect(summary.total).toBe(3);
+    expect(summary.covered).toBe(2);
+    expect(summary.uncovered).toBe(1);
+    expect(summary.coverage).toBeCloseTo(66.67, 1);
+
+    expect(summary.byApi['Users API']).toEqual({ total: 2, covered: 1, uncovered: 1, coverage: 50 });
+    expect(summary.byApi['user-service'].coverage).toBe(100);
+    expect(summary.byTag.Users.total).toBe(2);
+    expect(summary.byTag.Admin).toEqual({ total: 1, covered: 0, uncovered: 1, coverage: 0 });
+    expect(summary.byProtocol.grpc.covered).toBe(1);
+  });
+
+  test('calculateCoverageSummary should handle empty input', () => {
+    const summary = calculateCoverageSummary([]);
+    expect(summary.total).toBe(0);
+    expect(summary.coverage).toBe(0);
+    expect(summary.byApi).toEqual({});
+  });
+
+  test('buildJsonReport should produce a versioned document', () => {
+    const report = buildJsonReport({
+      coverage: 66.666,
+      coverageItems,
+      meta: {
+        generatedAt: '2025-01-01T10:00:00.000Z',
+        specName: 'Multiple APIs',
+        postmanCollectionName: 'Collection',
+        inputType: 'newman',
+        apiCount: 2,
+        apiNames: ['Users API', 'user-service'],
+        undocumentedRequests: [
+          { name: 'Health', method: 'get', rawUrl: '/health', testedStatusCodes: ['200'], bodyInfo: null }
+        ]
+      }
+    });
+
+    expect(report.schemaVersion).toBe(JSON_REPORT_SCHEMA_VERSION);
+    expect(report.generator.name).toBe('swagger-coverage-cli');
+    expect(report.meta.generatedAt).toBe('2025-01-01T10:00:00.000Z');
+    expect(report.meta.inputType).toBe('newman');
+    expect(report.summary).toEqual({ total: 3, covered: 2, uncovered: 1, coverage: 66.67 });
+    expect(report.apis.map(a => a.name)).toEqual(['Users API', 'user-service']);
+    expect(report.tags.find(t => t.name === 'Admin').coverage).toBe(0);
+    expect(report.protocols.map(p => p.name)).toEqual(['grpc', 'rest']);
+    expect(report.operations).toHaveLength(3);
+    expect(report.undocumentedRequests).toEqual([
+      { name: 'Health', folder: '', method: 'GET', rawUrl: '/health', testedStatusCodes: ['200'] }
+    ]);
+  });
+
+  test('generateJsonReport should return parseable JSON', () => {
+    const json = generateJsonReport({ coverage: 0, coverageItems: [], meta: {} });
+    const parsed = JSON.parse(json);
+    expect(parsed.summary.total).toBe(0);
+    expect(parsed.meta.inputType).toBe('postman');
+    expect(parsed.undocumentedRequests).toEqual([]);
+  });
+
+  test('CLI should write JSON report with --json', async () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const htmlPath = path.resolve(rootDir, 'json-cli-test.html');
+    const jsonPath = path.resolve(rootDir, 'json-cli-test.json');
+
+    try {
+      const { stdout } = await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --output json-cli-test.html --json json-cli-test.json`,
+        { cwd: rootDir }
+      );
+
+      expect(stdout).toContain('JSON report saved to: json-cli-test.json');
+      expect(fs.existsSync(jsonPath)).toBe(true);
+
+      const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      const coverageMatch = stdout.match(/Coverage: ([\d.]+)%/);
+
+      expect(report.schemaVersion).toBe(JSON_REPORT_SCHEMA_VERSION);
+      expect(report.meta.inputType).toBe('newman');
+      expect(report.summary.coverage.toFixed(2)).toBe(coverageMatch[1]);
+      expect(report.operations.length).toBe(report.summary.total);
+    } finally {
+      [htmlPath, jsonPath].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      });
+    }
+  }, 15000);
+});
@@ -0,0 +1,119 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { generateJunitReport } = require('../lib/junit');
+
+const execAsync = promisify(exec);
+
+describe('JUnit Report', () => {
+  const coverageItems = [
+    {
+      method: 'GET',
+      path: '/users',
+      name: 'getUsers',
+      statusCode: '200',
+      tags: ['Users'],
+      apiName: 'Users API',
+      unmatched: false,
+      matchedRequests: [{ name: 'Get Users' }]
+    },
+    {
+      method: 'GET',
+      path: '/users',
+      name: 'getUsers',
+      statusCode: '400',
+      tags: ['Users'],
+      apiName: 'Users API',
+      unmatched: true,
+      matchedRequests: []
+    },
+    {
+      method: 'GET',
+      path: '/health',
+      name: 'health',
+      statusCode: '200',
+      tags: [],
+      apiName: 'Users API',
+      unmatched: true,
+      matchedRequests: []
+    }
+  ];
+
+  test('should render one test case per operation grouped by tag', () => {
+    const xml = generateJunitReport({
+      coverageItems,
+      meta: { specName: 'Users API', apiCount: 1, generatedAt: '2025-01-01T10:00:00.000Z' }
+    });
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuites name="Coverage: Users API" tests="3" failures="2"');
+    expect(xml).toContain('<testsuite name="Users" tests="2" failures="1"');
+    expect(xml).toContain('<testsuite name="Untagged" tests="1" failures="1"');
+    expect(xml).toContain('timestamp="2025-01-01T10:00:00"');
+    expect(xml).toContain('<testcase name="[GET] /users (200)" classname="Users"');
+    expect(xml).toContain('<system-out>Covered by: Get Users</system-out>');
+    expect(xml).toContain('<failure message="Operation not covered: [GET] /users (400)" type="UncoveredOperation">');
+    expect(xml).toContain('Status code: 400');
+    expect((xml.match(/<testcase /g) || []).length).toBe(3);
+  });
+
+  test('should prefix suites with API name for multiple APIs', () => {
+    const xml = generateJunitReport({
+      coverageItems: [
+        { ...coverageItems[0] },
+        { ...coverageItems[1], apiName: 'Orders API', tags: ['Orders'] }
+      ],
+      meta: { apiCount: 2 }
+    });
+
+    expect(xml).toContain('<testsuite name="Users API / Users"');
+    expect(xml).toContain('<testsuite name="Orders API / Orders"');
+    expect(xml).toContain('classname="Orders API.Orders"');
+  });
+
+  test('should escape XML special characters', () => {
+    const xml = generateJunitReport({
+      coverageItems: [
+        {
+          method: 'GET',
+          path: '/search?q=<a>&b="c"',
+          statusCode: '200',
+          tags: ['R&D'],
+          unmatched: true,
+          matchedRequests: []
+        }
+      ],
+      meta: {}
+    });
+
+    expect(xml).toContain('<testsuite name="R&amp;D"');
+    expect(xml).toContain('/search?q=&lt;a&gt;&amp;b=&quot;c&quot;');
+    expect(xml).not.toContain('<a>');
+  });
+
+  test('CLI should write JUnit report with --junit', async () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const htmlPath = path.resolve(rootDir, 'junit-cli-test.html');
+    const xmlPath = path.resolve(rootDir, 'junit-cli-test.xml');
+
+    try {
+      const { stdout } = await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --output junit-cli-test.html --junit junit-cli-test.xml`,
+        { cwd: rootDir }
+      );
+
+      expect(stdout).toContain('JUnit report saved to: junit-cli-test.xml');
+      const xml = fs.readFileSync(xmlPath, 'utf8');
+      const total = stdout.match(/Total operations in spec\(s\): (\d+)/)[1];
+      expect(xml).toContain(`tests="${total}"`);
+      expect(xml).toContain('<testsuite ');
+    } finally {
+      [htmlPath, xmlPath].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      });
+    }
+  }, 15000);
+});
@@ -0,0 +1,183 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const {
+  loadMappingFile,
+  normalizeMappings,
+  requestMatchesSelector,
+  partitionRequests,
+  applyPinnedRequests
+} = require('../lib/mappings');
+const { extractRequestsFromPostman } = require('../lib/postman');
+const { analyzeCoverage } = require('../lib/analyze');
+const { generateHtmlReport } = require('../lib/report');
+
+const execAsync = promisify(exec);
+
+const request = (name, rawUrl, extra = {}) => ({
+  name,
+  folder: '',
+  method: 'get',
+  rawUrl,
+  queryParams: [],
+  bodyInfo: null,
+  testedStatusCodes: ['200'],
+  testScripts: '',
+  ...extra
+});
+
+describe('Manual mappings', () => {
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-mappings');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('normalizeMappings should parse request and operation selectors', () => {
+    const rules = normalizeMappings({
+      mappings: [
+        { request: 'Login', operation: 'loginUser' },
+        { request: { folder: '/Legacy/Orders/', name: 'Create' }, operation: 'post /orders 201' },
+        { request: { id: 'abc' }, operation: { method: 'get', path: '/users/{id}', statusCode: 200, api: 'Users' } },
+        { request: 'Health', exclude: true }
+      ]
+    });
+
+    expect(rules[0]).toEqual({ request: { name: 'Login' }, operation: { operationId: 'loginUser' }, exclude: false });
+    expect(rules[1].request).toEqual({ folder: 'Legacy/Orders', name: 'Create' });
+    expect(rules[1].operation).toEqual({ method: 'POST', path: '/orders', statusCode: '201' });
+    expect(rules[2].operation).toMatchObject({ method: 'GET', path: '/users/{id}', statusCode: '200', api: 'Users' });
+    expect(rules[3]).toEqual({ request: { name: 'Health' }, operation: undefined, exclude: true });
+  });
+
+  test('normalizeMappings should reject invalid rules', () => {
+    expect(() => normalizeMappings({})).toThrow('expected a "mappings" array');
+    expect(() => normalizeMappings([{ operation: 'x' }])).toThrow('mapping #1');
+    expect(() => normalizeMappings([{ request: 'a' }])).toThrow('either "operation" or "exclude: true"');
+    expect(() => normalizeMappings([{ request: 'a', operation: 'x', exclude: true }])).toThrow('cannot be combined');
+    expect(() => normalizeMappings([{ request: 'a', operation: 'GET users extra' }])).toThrow('"operation" must be');
+  });
+
+  test('requestMatchesSelector should match by name, id and folder path', () => {
+    const collection = {
+      info: { name: 'C' },
+      item: [{
+        name: 'Legacy',
+        item: [{ name: 'Orders', item: [{ id: 'req-1', name: 'Create', request: { method: 'POST', url: '/orders' } }] }]
+      }]
+    };
+    const [req] = extractRequestsFromPostman(collection);
+    expect(req.folderPath).toBe('Legacy/Orders');
+    expect(req.id).toBe('req-1');
+
+    expect(requestMatchesSelector(req, { folder: 'Legacy' })).toBe(true);
+    expect(requestMatchesSelector(req, { folder: 'Legacy/Orders', name: 'Create' })).toBe(true);
+    expect(requestMatchesSelector(req, { folder: 'Leg' })).toBe(false);
+    expect(requestMatchesSelector(req, { id: 'req-1' })).toBe(true);
+    expect(requestMatchesSelector(req, { id: 'req-1', name: 'Other' })).toBe(false);
+  });
+
+  test('partitionRequests and applyPinnedRequests should pin, exclude and warn', () => {
+    const rules = normalizeMappings([
+      { request: 'Gateway users', operation: 'GET /users' },
+      { request: 'Noise', exclude: true },
+      { request: 'Missing', exclude: true },
+      { request: 'Gateway users', operation: 'unknownOp' }
+    ]);
+    const requests = [
+      request('Gateway users', 'https://gw/rewritten/u'),
+      request('Noise', 'https://gw/users'),
+      request('Other', 'https://gw/x')
+    ];
+
+    const { autoRequests, pinned, excluded, warnings } = partitionRequests(requests, rules);
+    expect(autoRequests.map(r => r.name)).toEqual(['Other']);
+    expect(excluded.map(r => r.name)).toEqual(['Noise']);
+    expect(pinned).toHaveLength(2);
+    expect(warnings).toEqual(['Mapping for request name="Missing" did not match any request.']);
+
+    const items = [
+      { method: 'GET', path: '/users', name: 'getUsers', statusCode: '400', unmatched: true, matchedRequests: [] },
+      { method: 'GET', path: '/users', name: 'getUsers', statusCode: '200', unmatched: true, matchedRequests: [] }
+    ];
+    const pins = [];
+    const applyWarnings = applyPinnedRequests(items, pinned, (item, req) => pins.push([item.statusCode, req.name]));
+
+    expect(applyWarnings[0]).toContain('unknown operation "unknownOp"');
+    expect(items[0].unmatched).toBe(true);
+    expect(items[1].unmatched).toBe(false);
+    expect(items[1].manualMatch).toBe(true);
+    expect(items[1].matchedRequests[0]).toMatchObject({ name: 'Gateway users', manual: true, confidence: 1 });
+    expect(pins).toEqual([['200', 'Gateway users']]);
+  });
+
+  test('analyzeCoverage should apply a mapping file and label manual matches in HTML', async () => {
+    const mappingPath = path.join(tmpDir, 'mappings.yaml');
+    fs.writeFileSync(mappingPath, [
+      'mappings:',
+      '  - request: Rewritten create',
+      '    operation: POST /users 201',
+      '  - request: False friend',
+      '    exclude: true'
+    ].join('\n'));
+
+    const result = await analyzeCoverage({
+      specs: [apiPath],
+      inputs: [{
+        name: 'Harness',
+        requests: [
+          request('Rewritten create', 'https://gw/internal/create-user', {
+            method: 'post',
+            testedStatusCodes: ['201'],
+            bodyInfo: { mode: 'raw', content: '{"name":"Ann","email":"ann@example.com"}' }
+          }),
+          request('False friend', 'http://localhost/users')
+        ]
+      }],
+      options: { mappings: mappingPath }
+    });
+
+    const created = result.coverageItems.find(i => i.method === 'POST' && i.path === '/users' && i.statusCode === '201');
+    expect(created.unmatched).toBe(false);
+    expect(created.matchedRequests[0].manual).toBe(true);
+    // Pinned requests count towards body coverage like matched ones
+    expect(created.bodyCoverage.properties.filter(p => p.sent).map(p => p.path)).toEqual(['name', 'email']);
+
+    const listed = result.coverageItems.find(i => i.method === 'GET' && i.path === '/users' && i.statusCode === '200');
+    expect(listed.unmatched).toBe(true);
+    expect(result.excludedRequests.map(r => r.name)).toEqual(['False friend']);
+    expect(result.undocumentedRequests).toHaveLength(0);
+    expect(result.mappingWarnings).toEqual([]);
+
+    const html = generateHtmlReport(result);
+    expect(html).toContain('manual-match-badge');
+    expect(html).toContain('"manual":true');
+  });
+
+  test('loadMappingFile should read JSON and reject missing files', () => {
+    const jsonPath = path.join(tmpDir, 'mappings.json');
+    fs.writeFileSync(jsonPath, JSON.stringify([{ request: 'A', exclude: true }]));
+    expect(loadMappingFile(jsonPath)).toHaveLength(1);
+    expect(() => loadMappingFile(path.join(tmpDir, 'none.json'))).toThrow('Mapping file not found');
+  });
+
+  test('CLI should accept --mappings and print warnings', async () => {
+    const mappingPath = path.join(tmpDir, 'mappings.json');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const cliPath = path.resolve(__dirname, '..', 'cli.js');
+    fs.writeFileSync(mappingPath, JSON.stringify({ mappings: [{ request: 'Does not exist', exclude: true }] }));
+
+    const { stdout, stderr } = await execAsync(
+      `node "${cliPath}" "${apiPath}" "${newmanPath}" --newman --mappings "${mappingPath}" --output "${reportPath}"`
+    );
+    expect(stdout).toContain('Coverage: 50.00%');
+    expect(stderr).toContain('Warning: Mapping for request name="Does not exist" did not match any request.');
+  });
+});
@@ -0,0 +1,120 @@
+const http = require('http');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { expressCoverage, koaCoverage, fastifyCoverage } = require('../lib/middleware');
+const { loadRecords, recordsToRequests } = require('../lib/recorder');
+
+const execAsync = promisify(exec);
+
+describe('Coverage middleware', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-middleware');
+  const recordsFile = path.join(tmpDir, 'records.jsonl');
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  const getTestInfo = () => ({ test: 'users', testFile: 'test/users.test.js' });
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Express middleware should record route, query, body and status once the response is sent', async () => {
+    const middleware = expressCoverage({ records: recordsFile, getTestInfo });
+    // Plain http server standing in for Express: body parser and router run after the middleware
+    const server = http.createServer((req, res) => middleware(req, res, () => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        req.body = data ? JSON.parse(data) : {};
+        req.baseUrl = '/users';
+        req.route = { path: req.method === 'POST' ? '/' : '/:id' };
+        res.statusCode = req.method === 'POST' ? 201 : 404;
+        res.end();
+      });
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const send = (method, url, body) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url, agent: false }, res => {
+        res.resume();
+        res.on('end', resolve);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+
+    await send('POST', '/users?dryRun=true', '{"name":"Ann"}');
+    await send('GET', '/users/42');
+    await new Promise(resolve => server.close(resolve));
+
+    const records = loadRecords(recordsFile);
+    expect(records).toEqual([
+      expect.objectContaining({ test: 'users', method: 'POST', url: '/users?dryRun=true', route: '/users/', body: '{"name":"Ann"}', status: 201 }),
+      expect.objectContaining({ method: 'GET', url: '/users/42', route: '/users/:id', body: null, status: 404 })
+    ]);
+    expect(recordsToRequests(records)[0].queryParams).toEqual([{ key: 'dryRun', value: 'true' }]);
+  });
+
+  test('Koa middleware should record the status of thrown errors', async () => {
+    const middleware = koaCoverage({ records: recordsFile, getTestInfo });
+    const ctx = (method, url) => ({ method, originalUrl: url, headers: {}, request: {}, status: 404 });
+
+    const found = ctx('GET', '/users/1');
+    await middleware(found, async () => {
+      found._matchedRoute = '/users/:id';
+      found.status = 200;
+    });
+    const conflict = Object.assign(ctx('POST', '/users'), { headers: { 'content-length': '2' }, request: { body: {} } });
+    await expect(middleware(conflict, async () => {
+      throw Object.assign(new Error('exists'), { status: 409 });
+    })).rejects.toThrow('exists');
+
+    expect(loadRecords(recordsFile).map(r => `${r.method} ${r.url} ${r.route} ${r.body} ${r.status}`)).toEqual([
+      'GET /users/1 /users/:id null 200',
+      'POST /users undefined {} 409'
+    ]);
+  });
+
+  test('Fastify plugin should add an onResponse hook to the root instance', () => {
+    const plugin = fastifyCoverage({ records: recordsFile, getTestInfo });
+    const hooks = {};
+    const fastify = { addHook: (name, hook) => { hooks[name] = hook; } };
+    const done = jest.fn();
+    plugin(fastify, {}, done);
+
+    expect(plugin[Symbol.for('skip-override')]).toBe(true);
+    expect(done).toHaveBeenCalled();
+    const hookDone = jest.fn();
+    hooks.onResponse(
+      { method: 'DELETE', url: '/users/3', routeOptions: { url: '/users/:id' }, headers: {}, body: undefined },
+      { statusCode: 204 },
+      hookDone
+    );
+    expect(hookDone).toHaveBeenCalled();
+    expect(loadRecords(recordsFile)).toEqual([
+      expect.objectContaining({ method: 'DELETE', url: '/users/3', route: '/users/:id', status: 204 })
+    ]);
+  });
+
+  test('reportCoverageOnExit should write the report when the process ends', async () => {
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    const script = path.join(tmpDir, 'server.js');
+    fs.writeFileSync(script, `
+      const { reportCoverageOnExit, expressCoverage } = require(${JSON.stringify(path.resolve(__dirname, '..', 'lib', 'middleware'))});
+      reportCoverageOnExit({ spec: ${JSON.stringify(apiPath)}, records: ${JSON.stringify(recordsFile)}, output: ${JSON.stringify(path.join(tmpDir, 'r.html'))}, json: ${JSON.stringify(jsonPath)} });
+      const middleware = expressCoverage();
+      const res = new (require('events'))();
+      middleware({ method: 'GET', url: '/users', headers: {} }, res, () => {});
+      res.statusCode = 200;
+      res.emit('finish');
+    `);
+
+    const { stdout } = await execAsync(`node "${script}"`, { cwd: path.resolve(__dirname, '..'), timeout: 20000 });
+    expect(stdout).toContain('Swagger coverage: 5.56% (1/18 operations)');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.operations.find(op => op.method === 'GET' && op.path === '/users' && op.statusCode === '200').unmatched).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const SwaggerCoverageReporter = require('../lib/newman-reporter');
+const { normalizeReporterOptions } = require('../lib/newman-reporter');
+
+describe('Newman reporter', () => {
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  const newmanReport = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'fixtures', 'sample-newman-report.json'), 'utf8'));
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-newman-reporter');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('normalizeReporterOptions should parse command line reporter options', () => {
+    expect(normalizeReporterOptions({ spec: 'a.yaml, b.proto', strictQuery: true, strictBody: 'false', validateResponses: 'true', basePath: '/api/v1' }))
+      .toEqual({
+        specs: ['a.yaml', 'b.proto'],
+        export: 'coverage-report.html',
+        json: undefined,
+        junit: undefined,
+        strictQuery: true,
+        strictBody: false,
+        validateResponses: true,
+        verbose: false,
+        basePath: ['/api/v1']
+      });
+    expect(() => normalizeReporterOptions({})).toThrow('the "spec" option is required');
+  });
+
+  test('should write the coverage report when the run ends', async () => {
+    const emitter = new EventEmitter();
+    const htmlPath = path.join(tmpDir, 'coverage.html');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    const reporter = new SwaggerCoverageReporter(emitter, { spec: apiPath, export: htmlPath, json: jsonPath });
+
+    emitter.emit('start', null, {});
+    emitter.emit('beforeDone', null, { summary: { collection: newmanReport.collection, run: newmanReport.run } });
+    const result = await reporter.done;
+
+    expect(result.coverage).toBe(50);
+    expect(fs.existsSync(htmlPath)).toBe(true);
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('newman');
+    expect(json.summary).toMatchObject({ total: 18, covered: 9 });
+    expect(console.log).toHaveBeenCalledWith('Swagger coverage: 50.00% (9/18 operations)');
+  });
+
+  test('should report spec errors at the end of the run', async () => {
+    const emitter = new EventEmitter();
+    const reporter = new SwaggerCoverageReporter(emitter, { spec: path.join(tmpDir, 'missing.yaml'), export: path.join(tmpDir, 'r.html') });
+    const exitCode = process.exitCode;
+
+    emitter.emit('beforeDone', null, { summary: { collection: newmanReport.collection, run: newmanReport.run } });
+    await reporter.done;
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('swagger-coverage reporter:'));
+    expect(process.exitCode).toBe(1);
+    process.exitCode = exitCode;
+  });
+});
@@ -0,0 +1,124 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { parseOtlpJson, extractRequestsFromOtlp } = require('../lib/otel');
+const { loadRequestsFromInput } = require('../lib/inputs');
+const { analyzeCoverage } = require('../lib/analyze');
+
+const execAsync = promisify(exec);
+
+const attr = (key, value) => (typeof value === 'number' ?
+  { key, value: { intValue: String(value) } } :
+  { key, value: { stringValue: value } });
+
+const span = (name, attributes, kind = 2) => ({
+  traceId: '5b8efff798038103d269b633813fc60c',
+  spanId: name.replace(/\W/g, '').slice(0, 16),
+  name,
+  kind,
+  startTimeUnixNano: '1544712660000000000',
+  endTimeUnixNano: '1544712661000000000',
+  attributes
+});
+
+const httpExport = {
+  resourceSpans: [{
+    resource: { attributes: [attr('service.name', 'users-api')] },
+    scopeSpans: [{
+      scope: { name: '@opentelemetry/instrumentation-http' },
+      spans: [
+        span('GET /users', [attr('http.request.method', 'GET'), attr('url.path', '/users'), attr('url.query', 'limit=10'), attr('http.response.status_code', 200)]),
+        span('GET /users again', [attr('http.method', 'GET'), attr('http.target', '/users?expand=roles'), attr('http.status_code', 200)]),
+        span('POST /users', [attr('http.method', 'POST'), attr('http.url', 'http://localhost:3000/users'), attr('http.status_code', 201)]),
+        span('GET /users/:id', [attr('http.method', 'GET'), attr('http.route', '/users/:id'), attr('http.status_code', 404)]),
+        span('outgoing call', [attr('http.method', 'GET'), attr('url.full', 'https://other/x'), attr('http.status_code', 200)], 3),
+        span('internal work', [], 'SPAN_KIND_SERVER')
+      ]
+    }]
+  }]
+};
+
+const grpcExport = {
+  resourceSpans: [{
+    resource: { attributes: [attr('service.name', 'user-grpc')] },
+    scopeSpans: [{
+      spans: [
+        span('user.v1.UserService/GetUser', [attr('rpc.system', 'grpc'), attr('rpc.service', 'user.v1.UserService'), attr('rpc.method', 'GetUser'), attr('rpc.grpc.status_code', 0)], 'SPAN_KIND_SERVER'),
+        span('user.v1.UserService/DeleteUser', [attr('rpc.system', 'grpc'), attr('rpc.service', 'user.v1.UserService'), attr('rpc.method', 'DeleteUser'), attr('rpc.grpc.status_code', 5)], 'SPAN_KIND_SERVER')
+      ]
+    }]
+  }]
+};
+
+describe('OpenTelemetry trace loader', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-otel');
+  const tracesPath = path.join(tmpDir, 'traces.jsonl');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    // collector file exporter: one export request per line
+    fs.writeFileSync(tracesPath, `${JSON.stringify(httpExport)}\n${JSON.stringify(grpcExport)}\n`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parseOtlpJson should accept single exports and JSON lines only', () => {
+    expect(parseOtlpJson(JSON.stringify(httpExport))).toHaveLength(1);
+    expect(parseOtlpJson(fs.readFileSync(tracesPath, 'utf8'))).toHaveLength(2);
+    expect(parseOtlpJson(JSON.stringify({ info: {}, item: [] }))).toBeNull();
+    expect(parseOtlpJson('127.0.0.1 - - [10/Oct/2000:13:55:36 -0700] "GET / HTTP/1.0" 200 1')).toBeNull();
+  });
+
+  test('should turn HTTP server spans into merged request records', () => {
+    const requests = extractRequestsFromOtlp(httpExport);
+    expect(requests).toHaveLength(3);
+    expect(requests[0]).toMatchObject({
+      folder: 'users-api',
+      method: 'get',
+      rawUrl: '/users?limit=10',
+      queryParams: [{ key: 'limit', value: '10' }, { key: 'expand', value: 'roles' }],
+      testedStatusCodes: ['200'],
+      hits: 2
+    });
+    expect(requests[1]).toMatchObject({ method: 'post', rawUrl: '/users', testedStatusCodes: ['201'] });
+    // route template parameters become wildcards
+    expect(requests[2]).toMatchObject({ rawUrl: '/users/{{id}}', testedStatusCodes: ['404'] });
+  });
+
+  test('should map gRPC spans and status codes', () => {
+    const requests = extractRequestsFromOtlp(grpcExport);
+    expect(requests).toEqual([
+      expect.objectContaining({ method: 'post', rawUrl: '/user.v1.UserService/GetUser', testedStatusCodes: ['200'], grpcStatusCode: 0 }),
+      expect.objectContaining({ rawUrl: '/user.v1.UserService/DeleteUser', testedStatusCodes: ['404'], grpcStatusCode: 5 })
+    ]);
+  });
+
+  test('gRPC spans should cover operations from .proto files', async () => {
+    const loaded = loadRequestsFromInput(tracesPath, {});
+    expect(loaded.inputType).toBe('otlp');
+    expect(loaded.requests).toHaveLength(5);
+
+    const result = await analyzeCoverage({
+      specs: [path.resolve(__dirname, 'fixtures', 'user-service.proto')],
+      inputs: [tracesPath]
+    });
+    const covered = result.coverageItems.filter(i => !i.unmatched).map(i => i.name).sort();
+    expect(covered).toEqual(['user.v1.UserService.DeleteUser', 'user.v1.UserService.GetUser']);
+    expect(result.undocumentedRequests.map(r => r.rawUrl)).not.toContain('/user.v1.UserService/GetUser');
+  });
+
+  test('CLI should compute coverage from a trace file', async () => {
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const reportPath = path.join(tmpDir, 'report.html');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${tracesPath}" --output "${reportPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('=== Swagger Coverage Report ===');
+    expect(stdout).toMatch(/Matched operations in Postman\/Newman: [1-9]/);
+  });
+});
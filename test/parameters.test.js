@@ -0,0 +1,184 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { matchOperationsDetailed, extractPathParams } = require('../lib/match');
+const { calculateParameterCoverage, summarizeParameterCoverage } = require('../lib/parameters');
+const { extractRequestsFromPostman } = require('../lib/postman');
+const { extractOperationsFromSpec } = require('../lib/swagger');
+
+const execAsync = promisify(exec);
+
+const listParameters = [
+  { name: 'status', in: 'query', required: false, schema: { type: 'string', enum: ['active', 'disabled', 'invited'] } },
+  { name: 'fields', in: 'query', required: false, schema: { type: 'array', items: { type: 'string', enum: ['name', 'email'] } } },
+  { name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } },
+  { name: 'Authorization', in: 'header', required: true, schema: { type: 'string' } }
+];
+
+function specOp(overrides) {
+  return { method: 'get', path: '/users', statusCode: '200', expectedStatusCodes: ['200', '400'], tags: [], parameters: listParameters, ...overrides };
+}
+
+function request(name, rawUrl, { queryParams = [], headers = [], testedStatusCodes = ['200'] } = {}) {
+  return { name, method: 'get', rawUrl, queryParams, headers, testedStatusCodes, testScripts: '' };
+}
+
+describe('Parameter coverage', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-parameters');
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('extractPathParams should return path parameter values, honouring base paths', () => {
+    expect(extractPathParams('https://api.example.com/v1/users/42/avatar.png?size=2', '/users/{id}/avatar.{format}', ['/v1']))
+      .toEqual({ id: '42', format: 'png' });
+    expect(extractPathParams('{{baseUrl}}/users/{{userId}}', '/users/{id}')).toEqual({ id: '{{userId}}' });
+    expect(extractPathParams('/orders/1', '/users/{id}')).toBeNull();
+  });
+
+  test('should report sent parameters and exercised enum values per operation', () => {
+    const ops = [specOp(), specOp({ statusCode: '400' })];
+    const requests = [
+      request('Active users', '/users?status=active&fields=name', {
+        queryParams: [{ key: 'status', value: 'active' }, { key: 'fields', value: 'name' }],
+        headers: [{ key: 'x-tenant', value: 'acme' }]
+      }),
+      request('Invalid status', '/users?status=unknown', {
+        queryParams: [{ key: 'status', value: 'unknown' }],
+        testedStatusCodes: ['400']
+      }),
+      request('Variable status', '/users?status={{status}}', { queryParams: [{ key: 'status', value: '{{status}}' }] })
+    ];
+
+    const items = matchOperationsDetailed(ops, requests, {});
+    const ok = items.find(i => i.statusCode === '200');
+    const badRequest = items.find(i => i.statusCode === '400');
+
+    // Shared by every status code of the operation
+    expect(badRequest.parameterCoverage).toBe(ok.parameterCoverage);
+    expect(ok.parameterCoverage).toEqual({
+      total: 3,
+      covered: 3,
+      coverage: 100,
+      parameters: [
+        { name: 'status', in: 'query', required: false, sent: true, enum: ['active', 'disabled', 'invited'], exercisedValues: ['active'] },
+        { name: 'fields', in: 'query', required: false, sent: true, enum: ['name', 'email'], exercisedValues: ['name'] },
+        { name: 'X-Tenant', in: 'header', required: true, sent: true }
+      ]
+    });
+  });
+
+  test('should leave operations without path, query or header parameters alone', () => {
+    const [item] = matchOperationsDetailed([specOp({ parameters: [{ name: 'id', in: 'body' }] })], [], {});
+    expect(item.parameterCoverage).toBeUndefined();
+
+    const coverage = calculateParameterCoverage(
+      { parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', enum: [1, 2] } }] },
+      [{ path: { id: '2' } }]
+    );
+    expect(coverage.parameters[0]).toMatchObject({ sent: true, enum: ['1', '2'], exercisedValues: ['2'] });
+  });
+
+  test('should read Swagger 2 parameter enums and count overridden path-level parameters once', () => {
+    const [op] = extractOperationsFromSpec({
+      swagger: '2.0',
+      paths: {
+        '/users': {
+          parameters: [
+            { name: 'status', in: 'query', type: 'string' },
+            { name: 'X-Tenant', in: 'header', type: 'string' }
+          ],
+          get: {
+            parameters: [
+              { name: 'status', in: 'query', type: 'string', enum: ['active', 'disabled'] },
+              { name: 'fields', in: 'query', type: 'array', items: { type: 'string', enum: ['name', 'email'] } }
+            ],
+            responses: { 200: { description: 'OK' } }
+          }
+        }
+      }
+    });
+    expect(op.parameters.map(p => `${p.in}:${p.name}`)).toEqual(['query:status', 'query:fields', 'header:X-Tenant']);
+
+    const coverage = calculateParameterCoverage(op, [{ query: [{ key: 'status', value: 'active' }, { key: 'fields', value: 'email' }] }]);
+    expect(coverage.total).toBe(3);
+    expect(coverage.parameters.slice(0, 2)).toEqual([
+      { name: 'status', in: 'query', required: false, sent: true, enum: ['active', 'disabled'], exercisedValues: ['active'] },
+      { name: 'fields', in: 'query', required: false, sent: true, enum: ['name', 'email'], exercisedValues: ['email'] }
+    ]);
+  });
+
+  test('summarizeParameterCoverage should count each operation once', () => {
+    const shared = calculateParameterCoverage(specOp(), [{ query: [{ key: 'status', value: 'disabled' }] }]);
+    const other = calculateParameterCoverage({ parameters: [{ name: 'id', in: 'path', required: true }] }, []);
+    const summary = summarizeParameterCoverage([
+      { parameterCoverage: shared },
+      { parameterCoverage: shared },
+      { parameterCoverage: other },
+      {}
+    ]);
+
+    expect(summary).toMatchObject({ total: 4, covered: 1, uncovered: 3, coverage: 25 });
+    expect(summary.enumValues).toMatchObject({ total: 5, covered: 1, coverage: 20 });
+  });
+
+  test('Postman requests should carry enabled headers with variables resolved', () => {
+    const [req] = extractRequestsFromPostman({
+      variable: [{ key: 'tenant', value: 'acme' }],
+      item: [{
+        name: 'List users',
+        request: {
+          method: 'GET',
+          url: { raw: '/users' },
+          header: [
+            { key: 'X-Tenant', value: '{{tenant}}' },
+            { key: 'X-Debug', value: '1', disabled: true }
+          ]
+        }
+      }]
+    });
+    expect(req.headers).toEqual([{ key: 'X-Tenant', value: 'acme' }]);
+  });
+
+  test('CLI should print parameter coverage and write it to the JSON report', async () => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    const specPath = path.join(tmpDir, 'api.yaml');
+    const collectionPath = path.join(tmpDir, 'collection.json');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    fs.writeFileSync(specPath, [
+      'openapi: 3.0.0',
+      'info: { title: Users, version: "1.0" }',
+      'paths:',
+      '  /users:',
+      '    get:',
+      '      parameters:',
+      '        - { name: status, in: query, schema: { type: string, enum: [active, disabled] } }',
+      '        - { name: X-Tenant, in: header, required: true, schema: { type: string } }',
+      '      responses:',
+      '        "200": { description: OK }'
+    ].join('\n'));
+    fs.writeFileSync(collectionPath, JSON.stringify({
+      info: { name: 'Users' },
+      item: [{
+        name: 'Active users',
+        request: { method: 'GET', url: { raw: '/users?status=active', query: [{ key: 'status', value: 'active' }] } },
+        event: [{ listen: 'test', script: { exec: ['pm.response.to.have.status(200);'] } }]
+      }]
+    }));
+
+    const { stdout } = await execAsync(
+      `node cli.js "${specPath}" "${collectionPath}" --output "${path.join(tmpDir, 'report.html')}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+
+    expect(stdout).toContain('Parameter coverage: 50.00% (1/2 parameters, 1/2 enum values)');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.parameters).toEqual({
+      total: 2, covered: 1, uncovered: 1, coverage: 50,
+      enumValues: { total: 2, covered: 1, coverage: 50 }
+    });
+    expect(fs.readFileSync(path.join(tmpDir, 'report.html'), 'utf8')).toContain('Parameter Coverage:</strong> 50.00%');
+  });
+});
@@ -0,0 +1,134 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { loadPostmanEnvironment, resolveVariables, extractRequestsFromPostman } = require('../lib/postman');
+const { urlMatchesSwaggerPath, calculatePathSimilarity, extractPathParams } = require('../lib/match');
+
+const execAsync = promisify(exec);
+
+const collection = {
+  info: { name: 'Variable Collection', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+  variable: [
+    { key: 'baseUrl', value: 'https://api.example.com' },
+    { key: 'apiVersion', value: 'v1' },
+    { key: 'usersPath', value: '{{apiVersion}}/users' },
+    { key: 'disabledVar', value: 'nope', disabled: true }
+  ],
+  item: [
+    {
+      name: 'Get user',
+      request: {
+        method: 'GET',
+        url: {
+          raw: '{{baseUrl}}/{{usersPath}}/{{userId}}?expand={{expand}}',
+          query: [{ key: 'expand', value: '{{expand}}' }]
+        }
+      },
+      event: [{ listen: 'test', script: { exec: ['pm.response.to.have.status(200);'] } }]
+    },
+    {
+      name: 'Create user',
+      request: {
+        method: 'POST',
+        url: '{{baseUrl}}/{{apiVersion}}/users',
+        body: { mode: 'raw', raw: '{"role": "{{role}}", "x": "{{disabledVar}}"}' }
+      },
+      event: [{ listen: 'test', script: { exec: ['pm.response.to.have.status(201);'] } }]
+    }
+  ]
+};
+
+describe('Postman variables', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-postman-variables');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('resolveVariables should substitute nested variables and keep unknown ones', () => {
+    const vars = { a: '{{b}}/x', b: 'y' };
+    expect(resolveVariables('{{a}}/{{c}}', vars)).toBe('y/x/{{c}}');
+    expect(resolveVariables('{{ a }}', vars)).toBe('y/x');
+    expect(resolveVariables(undefined, vars)).toBeUndefined();
+  });
+
+  test('extractRequestsFromPostman should apply collection variables', () => {
+    const requests = extractRequestsFromPostman(collection);
+
+    expect(requests[0].rawUrl).toBe('https://api.example.com/v1/users/{{userId}}?expand={{expand}}');
+    expect(requests[1].rawUrl).toBe('https://api.example.com/v1/users');
+    // Disabled variables are not substituted
+    expect(requests[1].bodyInfo.content).toBe('{"role": "{{role}}", "x": "{{disabledVar}}"}');
+  });
+
+  test('environment variables should take precedence over collection variables', () => {
+    const envPath = path.join(tmpDir, 'dev.postman_environment.json');
+    fs.writeFileSync(envPath, JSON.stringify({
+      name: 'dev',
+      values: [
+        { key: 'apiVersion', value: 'v2', enabled: true },
+        { key: 'userId', value: '42', enabled: true },
+        { key: 'expand', value: 'roles', enabled: true },
+        { key: 'role', value: 'admin', enabled: false }
+      ]
+    }));
+
+    const environment = loadPostmanEnvironment(envPath);
+    expect(environment).toEqual({ apiVersion: 'v2', userId: '42', expand: 'roles' });
+
+    const requests = extractRequestsFromPostman(collection, false, { environment });
+    expect(requests[0].rawUrl).toBe('https://api.example.com/v2/users/42?expand=roles');
+    expect(requests[0].queryParams).toEqual([{ key: 'expand', value: 'roles' }]);
+  });
+
+  test('loadPostmanEnvironment should reject missing and invalid files', () => {
+    expect(() => loadPostmanEnvironment(path.join(tmpDir, 'none.json'))).toThrow('Postman environment file not found');
+    const badPath = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badPath, JSON.stringify({ name: 'x' }));
+    expect(() => loadPostmanEnvironment(badPath)).toThrow('missing values field');
+  });
+
+  test('unresolved variables should only stand in for {param} segments', () => {
+    expect(urlMatchesSwaggerPath('{{baseUrl}}/users/{{userId}}', '/users/{id}')).toBe(true);
+    expect(urlMatchesSwaggerPath('{{baseUrl}}/orders/{{id}}', '/users/{id}')).toBe(false);
+    // Literal segments are never matched by an unresolved variable
+    expect(urlMatchesSwaggerPath('{{baseUrl}}/{{res}}/1', '/orders/{id}')).toBe(false);
+    expect(urlMatchesSwaggerPath('{{baseUrl}}/users/{{x}}', '/users/me')).toBe(false);
+    expect(urlMatchesSwaggerPath('{{baseUrl}}/{{apiVersion}}/users', '/users', ['/v1'])).toBe(false);
+    expect(extractPathParams('{{baseUrl}}/users/{{x}}', '/users/me')).toBeNull();
+    expect(calculatePathSimilarity('{{baseUrl}}/{{res}}/1', '/orders/{id}')).toBe(0);
+  });
+
+  test('CLI should resolve variables with --environment', async () => {
+    const specPath = path.join(tmpDir, 'api.json');
+    const collectionPath = path.join(tmpDir, 'collection.json');
+    const envPath = path.join(tmpDir, 'env.json');
+    const reportPath = path.join(tmpDir, 'report.html');
+    const cliPath = path.resolve(__dirname, '..', 'cli.js');
+
+    fs.writeFileSync(specPath, JSON.stringify({
+      openapi: '3.0.0',
+      info: { title: 'Variables API', version: '1.0.0' },
+      servers: [{ url: 'https://api.example.com/v1' }],
+      paths: {
+        '/users/me': { get: { responses: { '200': { description: 'OK' } } } },
+        '/users/{id}': { get: { responses: { '200': { description: 'OK' } } } },
+        '/users': { post: { responses: { '201': { description: 'Created' } } } }
+      }
+    }));
+    fs.writeFileSync(collectionPath, JSON.stringify(collection));
+    fs.writeFileSync(envPath, JSON.stringify({ values: [{ key: 'userId', value: 'me' }] }));
+
+    const { stdout } = await execAsync(
+      `node "${cliPath}" "${specPath}" "${collectionPath}" --environment "${envPath}" --output "${reportPath}"`
+    );
+    // "me" resolves from the environment, apiVersion from the collection variables
+    expect(stdout).toContain('Coverage: 100.00%');
+    expect(fs.readFileSync(reportPath, 'utf8')).toContain('https://api.example.com/v1/users/me');
+  });
+});
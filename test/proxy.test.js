@@ -0,0 +1,112 @@
+const http = require('http');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createRecordingProxy, resolveUpstreamUrl } = require('../lib/proxy');
+const { loadRecords } = require('../lib/recorder');
+
+// Upstream API: 200 for GET /users, 201 for POST /users, 404 for anything else
+function startApi() {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const status = req.url.startsWith('/users') && !req.url.startsWith('/users/') ?
+        (req.method === 'POST' ? 201 : 200) : 404;
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ path: req.url }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Send a request to host:port with the given path (an absolute URL for forward proxy requests)
+function send(port, { method = 'GET', path: requestPath, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, agent: false }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Recording proxy', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-proxy');
+  const recordsFile = path.join(tmpDir, 'records.jsonl');
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  let api;
+
+  beforeEach(async () => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    api = await startApi();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => api.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('resolveUpstreamUrl should keep the target path prefix in reverse-proxy mode', () => {
+    expect(resolveUpstreamUrl('/users?limit=5', new URL('http://localhost:3000/api/')).href)
+      .toBe('http://localhost:3000/api/users?limit=5');
+    expect(resolveUpstreamUrl('http://example.com/users', null).href).toBe('http://example.com/users');
+    expect(() => resolveUpstreamUrl('/users', null)).toThrow('not a proxy request');
+  });
+
+  test('should forward and record requests in reverse and forward proxy mode', async () => {
+    const apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    const reverse = createRecordingProxy({ target: apiUrl, records: recordsFile });
+    const { port: reversePort } = await reverse.listen(0, '127.0.0.1');
+    const created = await send(reversePort, { method: 'POST', path: '/users', body: '{"name":"Ann"}' });
+    expect(created).toEqual({ status: 201, body: '{"path":"/users"}' });
+    await reverse.close();
+
+    const forward = createRecordingProxy({ records: recordsFile });
+    const { port: forwardPort } = await forward.listen(0, '127.0.0.1');
+    expect((await send(forwardPort, { path: `${apiUrl}/users/7` })).status).toBe(404);
+    expect((await send(forwardPort, { path: '/users' })).status).toBe(400);
+    expect(forward.stats.recorded).toBe(1);
+    await forward.close();
+
+    expect(loadRecords(recordsFile).map(r => `${r.method} ${r.url} ${r.status} ${r.body}`)).toEqual([
+      `POST ${apiUrl}/users 201 {"name":"Ann"}`,
+      `GET ${apiUrl}/users/7 404 null`
+    ]);
+  });
+
+  test('record command should write the coverage report when stopped', async () => {
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    const child = spawn('node', [
+      'cli.js', 'record', apiPath,
+      '--port', '0',
+      '--target', `http://127.0.0.1:${api.address().port}`,
+      '--records', recordsFile,
+      '--output', path.join(tmpDir, 'report.html'),
+      '--json', jsonPath
+    ], { cwd: path.resolve(__dirname, '..') });
+
+    let stdout = '';
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const proxyPort = await new Promise((resolve, reject) => {
+      child.stdout.on('data', chunk => {
+        stdout += chunk;
+        const match = stdout.match(/listening on http:\/\/127\.0\.0\.1:(\d+)/);
+        if (match) resolve(Number(match[1]));
+      });
+      child.on('exit', () => reject(new Error(`record command exited early: ${stdout}`)));
+    });
+
+    await send(proxyPort, { path: '/users' });
+    await send(proxyPort, { method: 'POST', path: '/users', body: '{"name":"Ann"}' });
+    child.kill('SIGINT');
+    expect(await exited).toBe(0);
+
+    expect(stdout).toContain('Recorded 2 request(s)');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('recorder');
+    expect(json.summary.covered).toBe(2);
+  }, 20000);
+});
@@ -0,0 +1,158 @@
+const EventEmitter = require('events');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { createRecorder, loadRecords, recordsToRequests } = require('../lib/recorder');
+const { matchOperationsDetailed } = require('../lib/match');
+const { analyzeCoverage } = require('../lib/analyze');
+const SwaggerCoverageJestReporter = require('../lib/jest-reporter');
+
+const execAsync = promisify(exec);
+
+// Minimal axios stand-in: only the response interceptor API
+function fakeAxios(responses) {
+  const handlers = [];
+  return {
+    interceptors: { response: { use: (ok, fail) => handlers.push({ ok, fail }) } },
+    request(config) {
+      const res = responses[`${config.method} ${config.url}`];
+      return res.status < 400 ?
+        Promise.resolve(handlers[0].ok({ status: res.status, config })) :
+        handlers[0].fail(Object.assign(new Error('failed'), { config, response: { status: res.status } }));
+    }
+  };
+}
+
+// Minimal supertest stand-in: request(app).get(url) returns an emitter like superagent's Request
+function fakeSupertest() {
+  return () => ({
+    get: url => Object.assign(new EventEmitter(), { method: 'GET', url: `http://127.0.0.1:4000${url}`, qs: { limit: 5 } }),
+    post: url => Object.assign(new EventEmitter(), { method: 'POST', url: `http://127.0.0.1:4000${url}`, _data: { name: 'Ann' } })
+  });
+}
+
+describe('Request recorder and Jest reporter', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-recorder');
+  const recordsFile = path.join(tmpDir, 'records.jsonl');
+  const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+  const recordsEnv = process.env.SWAGGER_COVERAGE_RECORDS;
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (recordsEnv === undefined) delete process.env.SWAGGER_COVERAGE_RECORDS;
+    else process.env.SWAGGER_COVERAGE_RECORDS = recordsEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should record axios, fetch and supertest requests with the current test name', async () => {
+    const recorder = createRecorder({ file: recordsFile });
+
+    const axios = recorder.attachAxios(fakeAxios({ 'get /users': { status: 200 }, 'post /users': { status: 409 } }));
+    await axios.request({ method: 'get', baseURL: 'http://localhost:3000/', url: '/users', params: { limit: 10 } });
+    await expect(axios.request({ method: 'post', url: '/users', data: { name: 'Ann' } })).rejects.toThrow('failed');
+
+    const fetch = recorder.wrapFetch(async () => ({ status: 204 }));
+    await fetch('http://localhost:3000/users/1', { method: 'DELETE' });
+
+    const request = recorder.wrapSupertest(fakeSupertest());
+    const test = request({}).get('/users');
+    test.emit('response', { status: 200 });
+
+    const records = loadRecords(recordsFile);
+    expect(records.map(r => `${r.method} ${r.url} ${r.status}`)).toEqual([
+      'GET http://localhost:3000/users?limit=10 200',
+      'POST /users 409',
+      'DELETE http://localhost:3000/users/1 204',
+      'GET http://127.0.0.1:4000/users?limit=5 200'
+    ]);
+    expect(records[1].body).toBe('{"name":"Ann"}');
+    expect(records[0]).toMatchObject({
+      test: 'Request recorder and Jest reporter should record axios, fetch and supertest requests with the current test name',
+      testFile: 'test/recorder.test.js'
+    });
+  });
+
+  test('recordsToRequests should use test names as request names', () => {
+    const [req] = recordsToRequests([{ test: 'creates a user', testFile: 'test/a.test.js', method: 'POST', url: '/users?dry=1', body: '{}', status: 201 }]);
+    expect(req).toMatchObject({
+      name: 'creates a user',
+      folder: 'test/a.test.js',
+      method: 'post',
+      rawUrl: '/users?dry=1',
+      queryParams: [{ key: 'dry', value: '1' }],
+      bodyInfo: { mode: 'raw', content: '{}' },
+      testedStatusCodes: ['201']
+    });
+  });
+
+  test('recordsToRequests should match the recorded route when the URL does not match', () => {
+    const requests = recordsToRequests([
+      { test: 'downloads a file', method: 'GET', url: '/files/docs/readme.md', route: '/files/:name(*)', body: null, status: 200 },
+      { test: 'downloads a file', method: 'GET', url: '/files/docs/readme.md', body: null, status: 200 }
+    ]);
+    expect(requests.map(req => req.route)).toEqual(['/files/{name}', undefined]);
+
+    const [item] = matchOperationsDetailed(
+      [{ method: 'get', path: '/files/{name}', statusCode: '200', parameters: [] }],
+      requests,
+      {}
+    );
+    expect(item.matchedRequests).toHaveLength(1);
+  });
+
+  test('calls of one test should be undocumented on their own when another call matches', async () => {
+    const requests = recordsToRequests([
+      { test: 'user flow', method: 'GET', url: 'http://localhost:3000/users', body: null, status: 200 },
+      { test: 'user flow', method: 'GET', url: 'http://localhost:3000/users/export', body: null, status: 200 },
+      { test: 'user flow', method: 'POST', url: 'http://localhost:3000/undocumented', body: null, status: 200 }
+    ]);
+    const result = await analyzeCoverage({ specs: [apiPath], inputs: [{ name: 'Records', requests }] });
+
+    expect(result.undocumentedRequests.map(req => `${req.method} ${req.rawUrl}`)).toEqual([
+      'post http://localhost:3000/undocumented'
+    ]);
+  });
+
+  test('Jest reporter should clear records on start and write reports on completion', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const htmlPath = path.join(tmpDir, 'coverage.html');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    fs.writeFileSync(recordsFile, 'stale\n');
+
+    const reporter = new SwaggerCoverageJestReporter({}, { spec: apiPath, records: recordsFile, output: htmlPath, json: jsonPath });
+    expect(process.env.SWAGGER_COVERAGE_RECORDS).toBe(recordsFile);
+    reporter.onRunStart();
+    expect(fs.existsSync(recordsFile)).toBe(false);
+
+    const recorder = createRecorder({ getTestInfo: () => ({ test: 'lists users', testFile: 'test/users.test.js' }) });
+    recorder.record({ method: 'get', url: 'http://localhost:3000/users', status: 200 });
+    recorder.record({ method: 'post', url: 'http://localhost:3000/users', body: { name: 'Ann' }, status: 201 });
+
+    const result = await reporter.onRunComplete();
+    expect(result.summary.covered).toBe(2);
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.meta.inputType).toBe('recorder');
+    const listUsers = json.operations.find(op => op.method === 'GET' && op.path === '/users' && op.statusCode === '200');
+    expect(listUsers.matchedRequests[0].name).toBe('lists users');
+    expect(fs.existsSync(htmlPath)).toBe(true);
+
+    expect(() => new SwaggerCoverageJestReporter({}, {})).toThrow('"spec" option is required');
+  });
+
+  test('CLI should accept a records file as input', async () => {
+    const recorder = createRecorder({ file: recordsFile, getTestInfo: () => ({ test: 'lists users', testFile: '' }) });
+    recorder.record({ method: 'GET', url: '/users', status: 200 });
+    const reportPath = path.join(tmpDir, 'report.html');
+
+    const { stdout } = await execAsync(
+      `node cli.js "${apiPath}" "${recordsFile}" --output "${reportPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+    expect(stdout).toContain('Coverage: 5.56%');
+  });
+});
@@ -1,4 +1,4 @@
-const { generateHtmlReport } = require('../lib/report');
+const { generateHtmlReport, mergeStatusCodeDetails } = require('../lib/report');
 
 describe('Report Module', () => {
   test('generateHtmlReport should return HTML string', () => {
@@ -16,4 +16,54 @@ describe('Report Module', () => {
     expect(html).toContain('<html');
     expect(html).toContain('Swagger Coverage Report');
   });
+
+  test('generateHtmlReport should not let request URLs close the report script', () => {
+    const rawUrl = '/search?q=</script><script>alert(1)</script>';
+    const html = generateHtmlReport({
+      coverage: 100,
+      coverageItems: [{
+        method: 'GET', path: '/search', name: 'search', statusCode: '200', tags: [], unmatched: false,
+        matchedRequests: [{ name: 'GET /search', rawUrl, method: 'GET', testedStatusCodes: ['200'], testScripts: '' }]
+      }],
+      meta: { timestamp: '', specName: 'Test API', postmanCollectionName: '' }
+    });
+
+    expect(html).not.toContain('<script>alert(1)');
+    expect(html).toContain('/search?q=\\u003c/script>\\u003cscript>alert(1)\\u003c/script>');
+  });
+
+  test('merged rows should keep the response violations of every status code', () => {
+    const violation = (request, errors) => ({ request, contentType: 'application/json', errors });
+    const items = [
+      { statusCode: '200', responseValidation: { validated: 2, failed: 0, violations: [] } },
+      { statusCode: '404', responseValidation: { validated: 1, failed: 1, violations: [violation('Missing user', ['/message must be string'])] } },
+      { statusCode: '500' }
+    ];
+    const merged = items.reduce((row, item) => mergeStatusCodeDetails(row, item), {});
+
+    expect(merged.responseValidation).toEqual({
+      validated: 3,
+      failed: 1,
+      violations: [{ statusCode: '404', ...violation('Missing user', ['/message must be string']) }]
+    });
+    // The same function merges the rows in the browser
+    const html = generateHtmlReport({ coverage: 0, coverageItems: items, meta: { timestamp: '', specName: 'Test API', postmanCollectionName: '' } });
+    expect(html).toContain('function mergeStatusCodeDetails(merged, item)');
+  });
+
+  test('merged rows should keep the response header coverage of every status code', () => {
+    const merged = [
+      { statusCode: '201', responseCoverage: { responses: 1, headers: [{ name: 'Location', required: true, seen: true }], contentTypes: [] } },
+      { statusCode: '429', responseCoverage: { responses: 0, headers: [{ name: 'Retry-After', required: false, seen: false }], contentTypes: [{ type: 'application/json', seen: false }] } }
+    ].reduce((row, item) => mergeStatusCodeDetails(row, item), {});
+
+    expect(merged.responseCoverage).toEqual({
+      responses: 1,
+      headers: [
+        { statusCode: '201', name: 'Location', required: true, seen: true },
+        { statusCode: '429', name: 'Retry-After', required: false, seen: false }
+      ],
+      contentTypes: [{ statusCode: '429', type: 'application/json', seen: false }]
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { calculateResponseCoverage, summarizeResponseCoverage } = require('../lib/response-coverage');
+const { extractOperationsFromSpec } = require('../lib/swagger');
+const { extractRequestsFromNewman } = require('../lib/newman');
+const { matchOperationsDetailed } = require('../lib/match');
+
+const execAsync = promisify(exec);
+
+function executed(code, headers) {
+  return { name: 'List users', responseCode: code, responseHeaders: headers };
+}
+
+describe('Response header and media type coverage', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-response-coverage');
+  const specOp = {
+    statusCode: '200',
+    responseHeaders: [{ name: 'ETag', required: false }, { name: 'X-RateLimit-Limit', required: true }],
+    responseContentTypes: ['application/json', 'application/xml']
+  };
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should extract declared response headers and media types per status code', () => {
+    const ops = extractOperationsFromSpec({
+      openapi: '3.0.0',
+      paths: {
+        '/users': {
+          post: {
+            responses: {
+              201: {
+                description: 'Created',
+                headers: { Location: { required: true, schema: { type: 'string' } }, 'Content-Type': { schema: { type: 'string' } } },
+                content: { 'application/json': {}, 'application/xml': {} }
+              },
+              204: { description: 'No content' }
+            }
+          }
+        }
+      }
+    });
+    expect(ops.map(op => [op.statusCode, op.responseHeaders, op.responseContentTypes])).toEqual([
+      ['201', [{ name: 'Location', required: true }], ['application/json', 'application/xml']],
+      ['204', [], []]
+    ]);
+
+    const [v2] = extractOperationsFromSpec({
+      swagger: '2.0',
+      produces: ['application/json'],
+      paths: { '/users': { get: { responses: { 200: { description: 'OK', schema: { type: 'array' }, headers: { 'X-Total-Count': { type: 'integer' } } } } } } }
+    });
+    expect(v2.responseHeaders).toEqual([{ name: 'X-Total-Count', required: false }]);
+    expect(v2.responseContentTypes).toEqual(['application/json']);
+  });
+
+  test('should report headers and media types seen in responses of the same status code', () => {
+    const coverage = calculateResponseCoverage(specOp, [
+      executed(200, [{ key: 'etag', value: '"v1"' }, { key: 'Content-Type', value: 'application/json; charset=utf-8' }]),
+      executed(429, [{ key: 'X-RateLimit-Limit', value: '100' }, { key: 'Content-Type', value: 'application/xml' }])
+    ]);
+
+    expect(coverage).toEqual({
+      responses: 1,
+      headers: [
+        { name: 'ETag', required: false, seen: true },
+        { name: 'X-RateLimit-Limit', required: true, seen: false }
+      ],
+      contentTypes: [
+        { type: 'application/json', seen: true },
+        { type: 'application/xml', seen: false }
+      ]
+    });
+    expect(summarizeResponseCoverage([{ responseCoverage: coverage }, {}])).toEqual({
+      headers: { total: 2, covered: 1, uncovered: 1, coverage: 50 },
+      contentTypes: { total: 2, covered: 1, uncovered: 1, coverage: 50 }
+    });
+  });
+
+  test('should mark everything declared as missing for status codes no response had', () => {
+    expect(calculateResponseCoverage(specOp, [executed(429, [{ key: 'ETag', value: '"v1"' }])])).toEqual({
+      responses: 0,
+      headers: [
+        { name: 'ETag', required: false, seen: false },
+        { name: 'X-RateLimit-Limit', required: true, seen: false }
+      ],
+      contentTypes: [
+        { type: 'application/json', seen: false },
+        { type: 'application/xml', seen: false }
+      ]
+    });
+  });
+
+  test('should skip inputs without response data and responses without declarations', () => {
+    const op = { method: 'get', path: '/users', ...specOp };
+    const postmanReq = { name: 'Postman request', method: 'get', rawUrl: '/users', queryParams: [], testedStatusCodes: ['200'], testScripts: '' };
+    expect(matchOperationsDetailed([op], [postmanReq], {})[0].responseCoverage).toBeUndefined();
+    expect(matchOperationsDetailed([op], [{ ...postmanReq, responseCode: 200, responseHeaders: [] }], {})[0].responseCoverage)
+      .toMatchObject({ responses: 1 });
+    expect(calculateResponseCoverage({ statusCode: '200', responseHeaders: [], responseContentTypes: [] }, [executed(200, [])])).toBeNull();
+
+    const [req] = extractRequestsFromNewman({
+      run: { executions: [{ item: { name: 'No response' }, request: { method: 'GET', url: '/users' } }] }
+    });
+    expect(req.responseHeaders).toBeUndefined();
+  });
+
+  test('CLI should print response header and media type coverage for Newman reports', async () => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    const specPath = path.join(tmpDir, 'api.yaml');
+    const reportPath = path.join(tmpDir, 'newman.json');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    fs.writeFileSync(specPath, [
+      'openapi: 3.0.0',
+      'info: { title: Users, version: "1.0" }',
+      'paths:',
+      '  /users:',
+      '    get:',
+      '      responses:',
+      '        "200":',
+      '          description: OK',
+      '          headers:',
+      '            ETag: { schema: { type: string } }',
+      '            X-RateLimit-Remaining: { schema: { type: integer } }',
+      '          content:',
+      '            application/json: { schema: { type: array } }',
+      '            application/xml: { schema: { type: array } }'
+    ].join('\n'));
+    fs.writeFileSync(reportPath, JSON.stringify({
+      collection: { info: { name: 'Users' } },
+      run: {
+        executions: [{
+          item: { name: 'List users' },
+          request: { method: 'GET', url: { raw: 'https://api.example.com/users' } },
+          response: { code: 200, status: 'OK', header: [{ key: 'ETag', value: '"1"' }, { key: 'Content-Type', value: 'application/json' }] },
+          assertions: []
+        }]
+      }
+    }));
+
+    const { stdout } = await execAsync(
+      `node cli.js "${specPath}" "${reportPath}" --newman --output "${path.join(tmpDir, 'report.html')}" --json "${jsonPath}"`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+
+    expect(stdout).toContain('Response header coverage: 50.00% (1/2 headers)');
+    expect(stdout).toContain('Response media type coverage: 50.00% (1/2 media types)');
+    expect(stdout).toContain('[GET] /users (statusCode=200) - missing headers: X-RateLimit-Remaining; untested media types: application/xml');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.responses.headers).toEqual({ total: 2, covered: 1, uncovered: 1, coverage: 50 });
+    expect(json.operations[0].responseCoverage.responses).toBe(1);
+    expect(fs.readFileSync(path.join(tmpDir, 'report.html'), 'utf8')).toContain('Response Coverage:</strong> Headers: 50.00% (1/2)');
+  });
+});
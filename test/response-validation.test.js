@@ -0,0 +1,153 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { validateOperationResponses, summarizeResponseValidation } = require('../lib/response-validation');
+const { extractRequestsFromNewman } = require('../lib/newman');
+const { extractOperationsFromSpec } = require('../lib/swagger');
+
+const execAsync = promisify(exec);
+
+const userSchema = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: { id: { type: 'integer' }, name: { type: 'string' }, email: { type: 'string', nullable: true } }
+};
+
+function response(name, body, { code = 200, contentType = 'application/json; charset=utf-8' } = {}) {
+  return { name, responseCode: code, responseContentType: contentType, responseBody: body };
+}
+
+function execution(name, method, url, code, body, contentType = 'application/json') {
+  return {
+    item: { name },
+    request: { method, url: { raw: url } },
+    response: {
+      code,
+      status: 'OK',
+      header: [{ key: 'Content-Type', value: contentType }],
+      stream: { type: 'Buffer', data: Array.from(Buffer.from(body)) }
+    },
+    assertions: []
+  };
+}
+
+describe('Response schema validation', () => {
+  const tmpDir = path.resolve(__dirname, 'fixtures', 'tmp-response-validation');
+  const specOp = { method: 'get', path: '/users/{id}', statusCode: '200', responseSchemas: { 'application/json': userSchema } };
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Newman requests should carry the response body and content type', () => {
+    const [req] = extractRequestsFromNewman({
+      run: { executions: [execution('Get user', 'GET', '/users/1', 200, '{"id":1}', 'application/json; charset=utf-8')] }
+    });
+    expect(req.responseBody).toBe('{"id":1}');
+    expect(req.responseContentType).toBe('application/json; charset=utf-8');
+  });
+
+  test('should report responses violating the schema of their status code and content type', () => {
+    const result = validateOperationResponses(specOp, [
+      response('Valid user', '{"id":1,"name":"Ann","email":null}'),
+      response('String id', '{"id":"1"}'),
+      response('HTML error page', '<html></html>', { contentType: 'text/html' }),
+      response('Broken JSON', '{"id":'),
+      response('Empty body', ''),
+      response('Not found', '{"message":"no"}', { code: 404 })
+    ]);
+
+    expect(result).toEqual({
+      validated: 4,
+      failed: 3,
+      violations: [
+        { request: 'String id', contentType: 'application/json', errors: ['(root) must have required property \'name\'', '/id must be integer'] },
+        {
+          request: 'HTML error page',
+          contentType: 'text/html',
+          errors: ['content type "text/html" is not declared for this response (expected application/json)']
+        },
+        { request: 'Broken JSON', contentType: 'application/json', errors: ['response body is not valid JSON'] }
+      ]
+    });
+    expect(summarizeResponseValidation([{ responseValidation: result }, {}])).toEqual({ validated: 4, failed: 3, operations: 1 });
+  });
+
+  test('should skip operations without response schemas or response bodies', () => {
+    expect(validateOperationResponses({ ...specOp, responseSchemas: null }, [response('Valid user', '{}')])).toBeNull();
+    expect(validateOperationResponses(specOp, [{ name: 'Postman request', testedStatusCodes: ['200'] }])).toBeNull();
+    expect(validateOperationResponses(
+      { ...specOp, responseSchemas: { 'application/*': { type: 'string' } } },
+      [response('Plain text', 'ok', { contentType: 'application/octet-stream' })]
+    )).toEqual({ validated: 1, failed: 0, violations: [] });
+  });
+
+  test('should keep response schemas by content type, using produces in Swagger 2', () => {
+    const [v2] = extractOperationsFromSpec({
+      swagger: '2.0',
+      produces: ['application/json', 'application/xml'],
+      paths: { '/users/{id}': { get: { responses: { 200: { description: 'OK', schema: userSchema }, 404: { description: 'Not found' } } } } }
+    });
+    expect(v2.responseSchemas).toEqual({ 'application/json': userSchema, 'application/xml': userSchema });
+
+    const ops = extractOperationsFromSpec({
+      openapi: '3.0.0',
+      paths: { '/users/{id}': { get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: userSchema } } }, 404: { description: 'Not found' } } } } }
+    });
+    expect(ops.map(op => op.responseSchemas)).toEqual([{ 'application/json': userSchema }, null]);
+  });
+
+  test('CLI --validate-responses should list contract violations and write them to the JSON report', async () => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    const specPath = path.join(tmpDir, 'api.yaml');
+    const reportPath = path.join(tmpDir, 'newman.json');
+    const jsonPath = path.join(tmpDir, 'coverage.json');
+    fs.writeFileSync(specPath, [
+      'openapi: 3.0.0',
+      'info: { title: Users, version: "1.0" }',
+      'paths:',
+      '  /users/{id}:',
+      '    get:',
+      '      parameters:',
+      '        - { name: id, in: path, required: true, schema: { type: integer } }',
+      '      responses:',
+      '        "200":',
+      '          description: OK',
+      '          content:',
+      '            application/json:',
+      '              schema:',
+      '                type: object',
+      '                required: [id]',
+      '                properties: { id: { type: integer } }'
+    ].join('\n'));
+    fs.writeFileSync(reportPath, JSON.stringify({
+      collection: { info: { name: 'Users' } },
+      run: {
+        executions: [
+          execution('Get user', 'GET', 'https://api.example.com/users/1', 200, '{"id":1}'),
+          execution('Get user as string', 'GET', 'https://api.example.com/users/2', 200, '{"id":"2"}')
+        ]
+      }
+    }));
+    const run = flags => execAsync(
+      `node cli.js "${specPath}" "${reportPath}" --newman --output "${path.join(tmpDir, 'report.html')}" --json "${jsonPath}" ${flags}`,
+      { cwd: path.resolve(__dirname, '..') }
+    );
+
+    const { stdout } = await run('--validate-responses');
+    expect(stdout).toContain('Response validation: 2 response(s) validated, 1 contract violation(s) in 1 operation(s)');
+    expect(stdout).toContain('"Get user as string": /id must be integer');
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    expect(json.responseValidation).toEqual({ validated: 2, failed: 1, operations: 1 });
+    expect(json.operations[0].responseValidation.violations).toEqual([
+      { request: 'Get user as string', contentType: 'application/json', errors: ['/id must be integer'] }
+    ]);
+    expect(fs.readFileSync(path.join(tmpDir, 'report.html'), 'utf8')).toContain('Response Validation:</strong> 2 response(s) validated');
+
+    // Opt-in: without the flag responses are not validated
+    const plain = await run('');
+    expect(plain.stdout).not.toContain('Response validation');
+    expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).operations[0].responseValidation).toBeUndefined();
+  });
+});
@@ -0,0 +1,126 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const {
+  THRESHOLD_EXIT_CODE,
+  parsePercentage,
+  parseThresholdPair,
+  evaluateThresholds,
+  formatThresholdFailure
+} = require('../lib/thresholds');
+const { calculateCoverageSummary } = require('../lib/summary');
+
+const execAsync = promisify(exec);
+
+describe('Coverage Thresholds', () => {
+  const summary = calculateCoverageSummary([
+    { apiName: 'Users API', tags: ['Users'], unmatched: false },
+    { apiName: 'Users API', tags: ['Users'], unmatched: true },
+    { apiName: 'Orders API', tags: ['Orders'], unmatched: false },
+    { apiName: 'Orders API', tags: ['Orders'], unmatched: false }
+  ]);
+
+  test('parsePercentage should accept numbers and percent signs', () => {
+    expect(parsePercentage('80')).toBe(80);
+    expect(parsePercentage('75.5%')).toBe(75.5);
+    expect(() => parsePercentage('abc')).toThrow('Invalid coverage threshold');
+    expect(() => parsePercentage('120')).toThrow('between 0 and 100');
+    expect(() => parsePercentage('')).toThrow();
+  });
+
+  test('parseThresholdPair should split on the last "="', () => {
+    expect(parseThresholdPair('Users API=80')).toEqual({ name: 'Users API', min: 80 });
+    expect(parseThresholdPair('a=b=50')).toEqual({ name: 'a=b', min: 50 });
+    expect(() => parseThresholdPair('Users')).toThrow('Expected format: name=percentage');
+    expect(() => parseThresholdPair('=50')).toThrow();
+  });
+
+  test('evaluateThresholds should pass when all thresholds are met', () => {
+    const failures = evaluateThresholds(summary, {
+      overall: 75,
+      apis: [{ name: 'Orders API', min: 100 }],
+      tags: [{ name: 'Users', min: 50 }]
+    });
+    expect(failures).toEqual([]);
+  });
+
+  test('evaluateThresholds should report every failed threshold', () => {
+    const failures = evaluateThresholds(summary, {
+      overall: 90,
+      apis: [{ name: 'Users API', min: 60 }],
+      tags: [{ name: 'Missing', min: 10 }]
+    });
+
+    expect(failures).toEqual([
+      { scope: 'overall', name: 'overall', actual: 75, min: 90 },
+      { scope: 'api', name: 'Users API', actual: 50, min: 60 },
+      { scope: 'tag', name: 'Missing', actual: null, min: 10 }
+    ]);
+    expect(formatThresholdFailure(failures[0])).toBe('Overall coverage: 75.00% < required 90.00%');
+    expect(formatThresholdFailure(failures[1])).toBe('API "Users API": 50.00% < required 60.00%');
+    expect(formatThresholdFailure(failures[2])).toBe('Tag "Missing": no operations found (required 10.00%)');
+  });
+
+  test('evaluateThresholds should ignore unset thresholds', () => {
+    expect(evaluateThresholds(summary)).toEqual([]);
+    expect(evaluateThresholds(summary, { overall: undefined })).toEqual([]);
+  });
+
+  describe('CLI', () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const apiPath = path.resolve(__dirname, 'fixtures', 'sample-api.yaml');
+    const newmanPath = path.resolve(__dirname, 'fixtures', 'sample-newman-report.json');
+    const outputFile = 'thresholds-cli-test.html';
+
+    afterEach(() => {
+      const reportPath = path.resolve(rootDir, outputFile);
+      if (fs.existsSync(reportPath)) fs.unlinkSync(reportPath);
+    });
+
+    test('should exit 0 when thresholds are met', async () => {
+      const { stdout, stderr } = await execAsync(
+        `node cli.js "${apiPath}" "${newmanPath}" --newman --output ${outputFile} --min-coverage 50 --min-coverage-tag Users=40`,
+        { cwd: rootDir }
+      );
+      expect(stdout).toContain('Coverage: 50.00%');
+      expect(stderr).not.toContain('Coverage thresholds not met');
+    }, 15000);
+
+    test('should exit with threshold exit code and list failed thresholds', async () => {
+      let error;
+      try {
+        await execAsync(
+          `node cli.js "${apiPath}" "${newmanPath}" --newman --output ${outputFile} --min-coverage 80 --min-coverage-tag Users=90`,
+          { cwd: rootDir }
+        );
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeDefined();
+      expect(error.code).toBe(THRESHOLD_EXIT_CODE);
+      expect(error.stderr).toContain('Coverage thresholds not met');
+      expect(error.stderr).toContain('Overall coverage: 50.00% < required 80.00%');
+      expect(error.stderr).toContain('Tag "Users"');
+      // Report is still written before failing
+      expect(fs.existsSync(path.resolve(rootDir, outputFile))).toBe(true);
+    }, 15000);
+
+    test('should exit 1 for an invalid threshold value', async () => {
+      let error;
+      try {
+        await execAsync(
+          `node cli.js "${apiPath}" "${newmanPath}" --newman --output ${outputFile} --min-coverage-api oops`,
+          { cwd: rootDir }
+        );
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeDefined();
+      expect(error.code).toBe(1);
+      expect(error.stderr).toContain('Invalid threshold "oops"');
+    }, 15000);
+  });
+});